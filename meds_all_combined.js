@@ -10,7 +10,9 @@
    
    USAGE: 
    This file attaches a global array 'window.meds_10000_cleaned' which the 
-   Rx Engine uses for autocomplete.
+   Rx Engine uses for autocomplete, and beside it 'window.meds_structured'
+   (same order: ingredients with strength/unit, form and route per entry)
+   and 'window.meds_parse_report' (entries that could not be fully parsed).
    ========================================================================== */
 
 (function() {
@@ -1872,6 +1874,167 @@
         { name: "Zopiclone Tablet 7.5 mg", type: "Tab", category: "Psychiatry", tags: "sleep insomnia" }
     ];
 
+    // --- STRUCTURED FIELDS ---
+    // Splits a display name into ingredients, per-ingredient strength and
+    // unit, dosage form and route:
+    //   "Abacavir + Lamivudine Tablet (600 mg + 300 mg)" ->
+    //   { form: "Tablet", route: "oral", ingredients: [
+    //       { name: "Abacavir", strength: 600, unit: "mg" },
+    //       { name: "Lamivudine", strength: 300, unit: "mg" } ] }
+    // Anything the name does not state, or states ambiguously, is listed
+    // in `issues` rather than guessed.
+
+    const FORMS = {
+        tablet: ["Tablet", "oral"], tab: ["Tablet", "oral"],
+        capsule: ["Capsule", "oral"], cap: ["Capsule", "oral"], rotacaps: ["Rotacaps", "inhalation"],
+        syrup: ["Syrup", "oral"], suspension: ["Suspension", "oral"], liquid: ["Liquid", "oral"],
+        solution: ["Solution", null], drops: ["Drops", "oral"], sachet: ["Sachet", "oral"],
+        granules: ["Granules", "oral"], powder: ["Powder", null], gum: ["Gum", "oral"],
+        mouthwash: ["Mouthwash", "oromucosal"], paint: ["Paint", "topical"],
+        injection: ["Injection", "parenteral"], inj: ["Injection", "parenteral"],
+        infusion: ["Infusion", "intravenous"],
+        inhaler: ["Inhaler", "inhalation"], respules: ["Respules", "inhalation"],
+        ointment: ["Ointment", "topical"], cream: ["Cream", "topical"], gel: ["Gel", "topical"],
+        lotion: ["Lotion", "topical"], jelly: ["Jelly", "topical"], paste: ["Paste", "topical"],
+        shampoo: ["Shampoo", "topical"], soap: ["Soap", "topical"], spray: ["Spray", "topical"],
+        stick: ["Stick", "topical"], suppository: ["Suppository", "rectal"], patch: ["Patch", "transdermal"]
+    };
+
+    // Site words decide the route over the form ("Eye Drops", "Vaginal Tablet")
+    const SITES = {
+        eye: "ophthalmic", ear: "otic", nasal: "nasal", vaginal: "vaginal", rectal: "rectal",
+        oral: "oral", mouth: "oromucosal", sublingual: "sublingual", inhalation: "inhalation"
+    };
+
+    const MODIFIERS = ["SR", "ER", "XL", "XR", "CR", "MR", "DR", "MD", "DT", "Dispersible", "Chewable"];
+
+    // Fallback when the name carries no form word ("Glimepiride + Metformin + Voglibose")
+    const TYPE_FORMS = {
+        Tab: "tablet", Cap: "capsule", Syr: "syrup", Inj: "injection", Oint: "ointment", Gel: "gel",
+        Inhaler: "inhaler", Cream: "cream", Lotion: "lotion", Spray: "spray", Powder: "powder",
+        Patch: "patch", Soap: "soap", Drops: "drops", Suppository: "suppository", Respule: "respules",
+        Sachet: "sachet", Jelly: "jelly", Gum: "gum", Stick: "stick"
+    };
+
+    const UNITS = { mg: "mg", mcg: "mcg", g: "g", iu: "IU", unit: "units", units: "units", meq: "mEq", "%": "%", ml: "ml" };
+
+    // "300 mg", "50 mg/5ml", "20 Units/ml", "0.1%", "60,000 IU", "1 Lac IU",
+    // "6 Lac" (units), "1 MIU", "20 mEq/15ml", "100ml"
+    const STRENGTH = /(\d[\d,]*(?:\.\d+)?)\s*(?:(lac)(?:\s+(iu|units?))?|(mg|mcg|g|iu|miu|meq|units?|%|ml))(?![a-z])(?:\s*\/\s*(\d+(?:\.\d+)?)?\s*(ml|g)(?![a-z]))?/gi;
+
+    const toNumber = (text) => parseFloat(String(text).replace(/,/g, ""));
+
+    // "(600 mg + 300 mg)", "(75 + 75 mg)", "(125/25)": one part per ingredient;
+    // a trailing unit covers the parts without one
+    function parseStrengthGroup(text, form) {
+        const parts = text.split(/\s*[+\/]\s*/).map(part => {
+            const m = part.match(/^(\d[\d,]*(?:\.\d+)?)\s*(mg|mcg|g|iu)?$/i);
+            return m ? { strength: toNumber(m[1]), unit: m[2] ? UNITS[m[2].toLowerCase()] : null, per: null } : null;
+        });
+        if (parts.some(p => !p)) return null;
+        const stated = parts.map(p => p.unit).filter(Boolean).pop();
+        parts.forEach(p => {
+            if (p.unit) return;
+            // Unitless combination strengths are mcg for inhaled forms, mg otherwise
+            p.unit = stated || (form && FORMS[form][1] === "inhalation" ? "mcg" : "mg");
+            if (!stated) p.unitInferred = true;
+        });
+        return parts;
+    }
+
+    function normalizeMed(med) {
+        const issues = [];
+        const words = med.name.split(/\s+/);
+        const isMarker = (w) => {
+            const lower = w.toLowerCase();
+            return FORMS.hasOwnProperty(lower) || SITES.hasOwnProperty(lower) || MODIFIERS.includes(w);
+        };
+
+        // Ingredients run up to the first form, site or modifier word, or a
+        // separate number ("Glucose 50% Injection"); "Vitamin D3" stays whole
+        let cut = words.findIndex(w => isMarker(w) || /^\d/.test(w));
+        if (cut < 0) cut = words.length;
+        const ingredients = words.slice(0, cut).join(" ").split(/\s*\+\s*/).filter(Boolean).map(part => {
+            const synonyms = [];
+            const name = part.replace(/\(([^)]*)\)/g, (all, inner) => { synonyms.push(inner.trim()); return " "; })
+                .replace(/\s+/g, " ").trim();
+            return { name, synonyms, strength: null, unit: null, per: null };
+        });
+        if (!ingredients.length) issues.push("no ingredient");
+
+        // Bracketed text after the ingredients: numbers are strengths, words are notes
+        let tail = words.slice(cut).join(" ");
+        const groups = [];
+        const notes = [];
+        tail = tail.replace(/\(([^)]*)\)/g, (all, inner) => {
+            (/^\d/.test(inner.trim()) ? groups : notes).push(inner.trim());
+            return " ";
+        });
+
+        let form = null, site = null;
+        const modifiers = [];
+        const rest = [];
+        tail.split(/\s+/).filter(Boolean).forEach(w => {
+            const lower = w.toLowerCase();
+            if (FORMS.hasOwnProperty(lower)) form = form || lower;
+            else if (SITES.hasOwnProperty(lower)) site = site || lower;
+            else if (MODIFIERS.includes(w)) modifiers.push(w);
+            else rest.push(w);
+        });
+        if (!form && TYPE_FORMS[med.type]) form = TYPE_FORMS[med.type];
+        if (!form) issues.push("no dosage form");
+
+        // Strengths: one bracketed group, or the free-standing amounts
+        let strengths = [];
+        let volume = null;
+        groups.forEach(g => {
+            const parsed = parseStrengthGroup(g, form);
+            if (parsed) strengths = strengths.concat(parsed);
+            else issues.push(`unrecognised strength "${g}"`);
+        });
+        const leftover = rest.join(" ").replace(STRENGTH, (all, amount, lac, lacUnit, unit, perAmount, perUnit) => {
+            const lower = (lac ? lacUnit || "units" : unit).toLowerCase();
+            const value = toNumber(amount) * (lac ? 100000 : lower === "miu" ? 1000000 : 1);
+            const u = lower === "miu" ? "IU" : UNITS[lower];
+            if (u === "ml" && !perUnit) {
+                volume = { amount: value, unit: "ml" }; // Pack size ("Infusion 500ml")
+            } else {
+                strengths.push({
+                    strength: value,
+                    unit: u,
+                    per: perUnit ? { amount: perAmount ? toNumber(perAmount) : 1, unit: perUnit.toLowerCase() } : null
+                });
+            }
+            return " ";
+        }).replace(/\s+/g, " ").trim();
+        if (/\d/.test(leftover)) issues.push(`unrecognised strength "${leftover}"`);
+        else if (leftover) notes.push(leftover); // "Heavy", "Mixtard"
+
+        if (strengths.length === ingredients.length) {
+            strengths.forEach((s, i) => Object.assign(ingredients[i], s));
+        } else if (!strengths.length) {
+            issues.push("no strength");
+        } else {
+            issues.push(`${strengths.length} strength(s) for ${ingredients.length} ingredient(s)`);
+        }
+
+        // "Solution" and "Powder" take the route of the entry's type, if it has one
+        const typeForm = TYPE_FORMS[med.type];
+        const route = (site && SITES[site]) || (form && FORMS[form][1]) || (typeForm && FORMS[typeForm][1]) || null;
+        if (!route) issues.push("no route");
+
+        return {
+            name: med.name,
+            form: form ? FORMS[form][0] : null,
+            route,
+            modifiers,
+            notes,
+            ingredients,
+            volume,
+            issues
+        };
+    }
+
     // --- FINAL BUILD STEP ---
     // This logic runs only after all parts are loaded.
     // It combines the arrays and generates the efficient search index.
@@ -1891,6 +2054,18 @@
             };
         });
 
+        // Structured fields, index-aligned with meds_10000_cleaned
+        window.meds_structured = window.raw_meds_database.map(normalizeMed);
+        const unparsed = window.meds_structured.filter(rec => rec.issues.length);
+        window.meds_parse_report = {
+            total: window.meds_structured.length,
+            parsed: window.meds_structured.length - unparsed.length,
+            unparsed: unparsed.map(rec => ({ name: rec.name, issues: rec.issues }))
+        };
+        if (unparsed.length) {
+            console.warn(unparsed.length + " medicines could not be fully parsed (see window.meds_parse_report).");
+        }
+
         console.log("✅ MASTER DRUG DATABASE LOADED SUCCESSFULLY.");
         console.log("Total Entries:", window.meds_10000_cleaned.length);
         
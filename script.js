@@ -20,10 +20,14 @@
    
    KEY SUBSYSTEMS:
    1.  KNOWLEDGE_BASE: Static ontology of medical protocols for AI.
-   2.  STATE_MANAGER: Reactive data store for Patients, Visits, and Settings.
+   2.  STATE_MANAGER: Reactive data store for Patients, Visits, and Settings,
+       persisted to IndexedDB through a versioned migration runner.
    3.  DOM_REGISTRY: Cached references to all HTML elements (performance).
    4.  EVENT_BUS: Centralized event delegation and binding.
-   5.  RX_ENGINE: Advanced prescription logic with allergy safety checks.
+   5.  RX_ENGINE: Advanced prescription logic with allergy safety checks
+       (ingredient, drug-class and cross-reactivity screening) and
+       drug-drug interaction, therapeutic duplication, renal/hepatic
+       dose-adjustment and pregnancy/lactation checks.
    6.  AI_CORE: Heuristic-based clinical decision support system.
    7.  RENDER_ENGINE: Dynamic DOM manipulation and Print generation.
    
@@ -32,7 +36,22 @@
    --------------------------------------------------------------------------
    1.0  GLOBAL CONFIGURATION & CONSTANTS
    2.0  MEDICAL KNOWLEDGE BASE (AI ONTOLOGY - CARDIOLOGY & GENERAL)
+   2.1  DRUG CLASS ONTOLOGY & ALLERGY CROSS-REACTIVITY
+   2.2  DRUG-DRUG INTERACTION RULES
+   2.3  RENAL & HEPATIC DOSE ADJUSTMENT
+   2.4  PEDIATRIC WEIGHT-BASED DOSING
+   2.5  PREGNANCY & LACTATION SAFETY
+   2.6  BRAND NAME ALIASES
    3.0  SYSTEM UTILITIES & LOGGER
+   3.1  PERSISTENCE LAYER (INDEXEDDB STORE & MIGRATIONS)
+   3.2  BACKUP FILE FORMAT
+   3.3  ENCRYPTION AT REST (VAULT)
+   3.4  DRUG KNOWLEDGE INDEX (CLASS MAP & RX SAFETY CHECKS)
+   3.5  DOSAGE PARSER (FREQUENCY, DURATION & QUANTITY)
+   3.6  DRUG SEARCH INDEX (RANKED, TYPO-TOLERANT AUTOCOMPLETE)
+   3.7  PROTOCOL MATCHER (SCORED DIAGNOSIS LOOKUP)
+   3.8  CLINICAL TEXT PRE-PROCESSOR (NEGATION & CONTEXT)
+   3.9  PROTOCOL PACK FORMAT
    4.0  CORE CONTROLLER & STATE
    5.0  INITIALIZATION & BOOTSTRAPPING
    6.0  DOM CACHING LAYER
@@ -43,6 +62,7 @@
    11.0 ARTIFICIAL INTELLIGENCE (CDSS)
    12.0 DOCUMENT GENERATION (HIGH-FIDELITY PRINT)
    13.0 MOBILE CONTROLLER (RESPONSIVE LOGIC)
+   14.0 ACCESS CONTROL (LOCK SCREEN & AUTO-LOCK)
    ========================================================================== */
 
 (function () {
@@ -61,17 +81,54 @@
         VERSION: "6.0.0-Enterprise",
         BUILD: "2025.12.25.RC1",
         
+        // Legacy localStorage keys. Patients, visits and settings are only read
+        // from here once, by the IndexedDB import (see 3.1 PERSISTENCE LAYER).
         STORAGE_KEYS: {
             PATIENTS: "hims_db_patients_v2",
             VISITS: "hims_db_visits_v2",
             SETTINGS: "hims_config_settings_v2",
             THEME: "hims_ui_theme_pref"
         },
+
+        // IndexedDB database. The schema version is derived from DB_MIGRATIONS.
+        DB: {
+            NAME: "solo_clinic_hims",
+            STORES: {
+                PATIENTS: "patients",
+                VISITS: "visits",
+                SETTINGS: "settings",
+                DRAFTS: "drafts",
+                REVISIONS: "revisions",
+                CUSTOM_DRUGS: "customDrugs",
+                PROTOCOLS: "protocols",
+                PROTOCOL_PACKS: "protocolPacks"
+            },
+            SETTING_KEYS: {
+                CLINIC: "clinic",
+                LEGACY_IMPORT: "meta.legacyImport",
+                ENCRYPTION: "meta.encryption",
+                LOCK: "security.lock"
+            },
+            // Settings that describe this browser's copy of the data, never
+            // exported to or overwritten by a backup file
+            DEVICE_SETTING_KEYS: ["meta.encryption", "security.lock"]
+        },
+
+        // Encryption at rest (WebCrypto: PBKDF2 -> AES-GCM 256)
+        SECURITY: {
+            PBKDF2_ITERATIONS: 250000,
+            MIN_PASSPHRASE_LENGTH: 8,
+            PIN_PATTERN: /^[0-9]{4,8}$/,
+            IDLE_CHECK_INTERVAL: 15000,  // Ms between inactivity checks
+            MAX_PIN_ATTEMPTS: 5,
+            PIN_LOCKOUT: 30000           // Ms the unlock form is disabled after too many attempts
+        },
         
         UI: {
             TOAST_DURATION: 3000,
             AI_THINK_TIME: 1200, // Ms to simulate AI processing
             SEARCH_DEBOUNCE: 150,
+            AUTOSAVE_DEBOUNCE: 1000, // Ms of typing pause before the draft is written
             ANIMATION_SPEED: 300
         },
         
@@ -85,7 +142,8 @@
         // Regex patterns for validation
         REGEX: {
             PHONE: /^[0-9]{10}$/,
-            AGE: /^[0-9]{1,3}$/
+            AGE: /^[0-9]{1,3}$/,
+            NO_ALLERGY: /^(nil|none|no|na|n\/a|nkda|nka|no known( drug)? allerg(y|ies)|-+)$/i
         }
     };
 
@@ -344,6 +402,495 @@
     };
 
 
+    /* ==========================================================================
+       2.1 DRUG CLASS ONTOLOGY & ALLERGY CROSS-REACTIVITY
+       ========================================================================== */
+
+    /**
+     * Pharmacological classes used by the Rx safety checks. Class membership
+     * is not listed drug by drug: at boot every ingredient found in
+     * meds_10000_cleaned is tested against `pattern` (per word) and `members`
+     * (whole ingredient), see 3.4 DRUG KNOWLEDGE INDEX.
+     * `terms` are the words a doctor writes in an allergy note ("Sulfa", "NSAIDs").
+     * `allowMultiple` classes are routinely combined (dual antiplatelet therapy,
+     * topical plus systemic steroid) and are not reported as duplication.
+     */
+    const DRUG_CLASSES = {
+        PENICILLIN:      { label: "Penicillins", pattern: /cillin$/, terms: ["penicillin", "penicillins", "pcn"] },
+        CEPHALOSPORIN:   { label: "Cephalosporins", pattern: /^(cef|ceph)/, terms: ["cephalosporin", "cephalosporins"] },
+        CARBAPENEM:      { label: "Carbapenems", pattern: /penem$/, terms: ["carbapenem", "carbapenems"] },
+        SULFONAMIDE:     { label: "Sulfonamides", pattern: /^(sulfa|sulpha)(?!te)/, members: ["co-trimoxazole", "cotrimoxazole"], terms: ["sulfa", "sulpha", "sulfonamide", "sulfonamides", "sulphonamide", "sulphonamides"] },
+        MACROLIDE:       { label: "Macrolides", pattern: /thromycin$/, terms: ["macrolide", "macrolides"] },
+        FLUOROQUINOLONE: { label: "Fluoroquinolones", pattern: /floxacin$/, terms: ["quinolone", "quinolones", "fluoroquinolone", "fluoroquinolones"] },
+        TETRACYCLINE:    { label: "Tetracyclines", pattern: /cycline$/, terms: ["tetracyclines"] },
+        AMINOGLYCOSIDE:  { label: "Aminoglycosides", members: ["gentamicin", "amikacin", "tobramycin", "streptomycin", "neomycin", "netilmicin", "kanamycin"], terms: ["aminoglycoside", "aminoglycosides"] },
+        NITROIMIDAZOLE:  { label: "Nitroimidazoles", pattern: /nidazole$/, terms: ["nitroimidazole", "nitroimidazoles"] },
+        NSAID:           { label: "NSAIDs", pattern: /(profen|fenac|coxib|oxicam)$/, members: ["aspirin", "acetylsalicylic acid", "naproxen", "ketorolac", "mefenamic acid", "nimesulide", "indomethacin", "etodolac", "nabumetone"], terms: ["nsaid", "nsaids"] },
+        OPIOID:          { label: "Opioids", members: ["morphine", "codeine", "tramadol", "tapentadol", "fentanyl", "pethidine", "buprenorphine", "oxycodone", "methadone", "nalbuphine", "pentazocine", "butorphanol"], terms: ["opioid", "opioids", "opiate", "opiates"] },
+        SULFONYLUREA:    { label: "Sulfonylureas", members: ["glimepiride", "gliclazide", "glipizide", "glibenclamide", "gliquidone"], terms: ["sulfonylurea", "sulfonylureas"] },
+        ACE_INHIBITOR:   { label: "ACE Inhibitors", pattern: /pril$/, terms: ["ace inhibitor", "ace inhibitors", "acei"] },
+        ARB:             { label: "ARBs", pattern: /sartan$/, terms: ["arb", "arbs"] },
+        BETA_BLOCKER:    { label: "Beta Blockers", pattern: /olol$/, terms: ["beta blocker", "beta blockers"] },
+        DHP_CCB:         { label: "Calcium Channel Blockers (DHP)", pattern: /dipine$/, terms: ["calcium channel blocker", "calcium channel blockers", "ccb"] },
+        STATIN:          { label: "Statins", pattern: /vastatin$/, terms: ["statin", "statins"] },
+        PPI:             { label: "Proton Pump Inhibitors", members: ["omeprazole", "esomeprazole", "lansoprazole", "dexlansoprazole", "pantoprazole", "rabeprazole", "ilaprazole"], terms: ["ppi", "ppis"] },
+        BENZODIAZEPINE:  { label: "Benzodiazepines", pattern: /(azepam|azolam|azepoxide)$/, members: ["clobazam"], terms: ["benzodiazepine", "benzodiazepines"] },
+        CORTICOSTEROID:  { label: "Corticosteroids", allowMultiple: true, pattern: /(asone|isone|solone|cinolone|cort)$/, terms: ["steroid", "steroids", "corticosteroid", "corticosteroids"] },
+        LOCAL_ANAESTHETIC: { label: "Local Anaesthetics", allowMultiple: true, pattern: /caine$/, terms: ["local anaesthetic", "local anesthetic"] },
+        ANTICOAGULANT:   { label: "Anticoagulants", members: ["warfarin", "acenocoumarol", "apixaban", "rivaroxaban", "dabigatran", "edoxaban", "heparin", "enoxaparin", "dalteparin", "fondaparinux"], terms: ["anticoagulant", "anticoagulants"] },
+        ANTIPLATELET:    { label: "Antiplatelets", allowMultiple: true, members: ["aspirin", "acetylsalicylic acid", "clopidogrel", "prasugrel", "ticagrelor", "cilostazol"], terms: ["antiplatelet", "antiplatelets"] },
+        K_SPARING_DIURETIC: { label: "Potassium-Sparing Diuretics", members: ["spironolactone", "eplerenone", "amiloride", "triamterene"], terms: [] },
+        DIURETIC:        { label: "Loop & Thiazide Diuretics", members: ["furosemide", "torsemide", "bumetanide", "hydrochlorothiazide", "chlorthalidone", "indapamide", "metolazone"], terms: ["diuretic", "diuretics"] },
+        NON_DHP_CCB:     { label: "Calcium Channel Blockers (non-DHP)", members: ["verapamil", "diltiazem"], terms: [] },
+        NITRATE:         { label: "Nitrates", members: ["nitroglycerin", "isosorbide dinitrate", "isosorbide mononitrate"], terms: ["nitrate", "nitrates"] },
+        PDE5_INHIBITOR:  { label: "PDE5 Inhibitors", pattern: /afil$/, terms: [] },
+        SSRI:            { label: "SSRIs", members: ["sertraline", "fluoxetine", "escitalopram", "citalopram", "paroxetine", "fluvoxamine"], terms: ["ssri", "ssris"] },
+        SNRI:            { label: "SNRIs", members: ["venlafaxine", "desvenlafaxine", "duloxetine"], terms: [] },
+        MAOI:            { label: "MAO Inhibitors", members: ["selegiline", "rasagiline", "phenelzine", "tranylcypromine"], terms: ["maoi", "maois"] },
+        TRIPTAN:         { label: "Triptans", pattern: /triptan$/, terms: ["triptan", "triptans"] },
+        AZOLE_ANTIFUNGAL: { label: "Azole Antifungals", pattern: /conazole$/, terms: ["azole", "azoles"] },
+        QT_PROLONGING:   { label: "QT-Prolonging Drugs", allowMultiple: true, members: ["domperidone", "ondansetron", "haloperidol", "amiodarone", "citalopram", "escitalopram", "clarithromycin", "erythromycin", "azithromycin", "levofloxacin", "moxifloxacin", "hydroxychloroquine", "chloroquine"], terms: [] }
+    };
+
+    /**
+     * Allergy to one class that warrants a warning for another.
+     * Same-class matches are always flagged and are not listed here.
+     */
+    const ALLERGY_CROSS_REACTIVITY = [
+        { allergy: "PENICILLIN", drug: "CEPHALOSPORIN", note: "beta-lactam cross-reactivity (~1-2%, higher with 1st-generation cephalosporins)" },
+        { allergy: "PENICILLIN", drug: "CARBAPENEM", note: "beta-lactam cross-reactivity (<1%)" },
+        { allergy: "CEPHALOSPORIN", drug: "PENICILLIN", note: "beta-lactam cross-reactivity (~1-2%)" },
+        { allergy: "CEPHALOSPORIN", drug: "CARBAPENEM", note: "beta-lactam cross-reactivity (<1%)" },
+        { allergy: "CARBAPENEM", drug: "PENICILLIN", note: "beta-lactam cross-reactivity (<1%)" },
+        { allergy: "CARBAPENEM", drug: "CEPHALOSPORIN", note: "beta-lactam cross-reactivity (<1%)" },
+        { allergy: "SULFONAMIDE", drug: "SULFONYLUREA", note: "shared sulfonamide group; cross-reactivity is unlikely but reported" },
+        { allergy: "ACE_INHIBITOR", drug: "ARB", note: "ACE-inhibitor angioedema can recur on ARBs" }
+    ];
+
+
+    /* ==========================================================================
+       2.2 DRUG-DRUG INTERACTION RULES
+       ========================================================================== */
+
+    /**
+     * Pairwise interaction rules checked across the whole Rx list.
+     * `a` and `b` list DRUG_CLASSES IDs (upper case) or ingredients (lower case);
+     * a rule fires when one Rx line matches `a` and a different line matches `b`.
+     * Only the first (most severe) rule is reported for a pair of lines, so
+     * keep the table ordered by severity.
+     */
+    const DRUG_INTERACTIONS = [
+        // --- Contraindicated ---
+        { a: ["PDE5_INHIBITOR"], b: ["NITRATE", "nicorandil"], severity: "contraindicated",
+          mechanism: "Additive cGMP-mediated vasodilation; profound hypotension.",
+          advice: "Do not co-prescribe. No nitrate within 24 h of sildenafil or 48 h of tadalafil." },
+        { a: ["sacubitril"], b: ["ACE_INHIBITOR"], severity: "contraindicated",
+          mechanism: "Neprilysin and ACE inhibition both raise bradykinin; angioedema.",
+          advice: "Stop the ACE inhibitor 36 h before starting sacubitril/valsartan." },
+        { a: ["SSRI", "SNRI", "tramadol"], b: ["MAOI", "linezolid"], severity: "contraindicated",
+          mechanism: "Combined serotonergic effect; serotonin syndrome.",
+          advice: "Avoid. Allow a washout period when switching." },
+        { a: ["tizanidine"], b: ["ciprofloxacin", "fluvoxamine"], severity: "contraindicated",
+          mechanism: "CYP1A2 inhibition raises tizanidine levels; hypotension and sedation.",
+          advice: "Use a different muscle relaxant or antibiotic." },
+
+        // --- Major ---
+        { a: ["ANTICOAGULANT"], b: ["NSAID"], severity: "major",
+          mechanism: "NSAIDs impair platelet function and injure gastric mucosa on top of anticoagulation; bleeding.",
+          advice: "Avoid. Use paracetamol for pain; if an NSAID is unavoidable, shortest course with a PPI." },
+        { a: ["ANTICOAGULANT"], b: ["ANTIPLATELET"], severity: "major",
+          mechanism: "Additive inhibition of haemostasis; bleeding.",
+          advice: "Only with a clear indication (e.g. recent stent); limit the duration and add a PPI." },
+        { a: ["warfarin", "acenocoumarol"], b: ["NITROIMIDAZOLE", "AZOLE_ANTIFUNGAL", "co-trimoxazole", "sulfamethoxazole", "amiodarone", "clarithromycin"], severity: "major",
+          mechanism: "CYP2C9/3A4 inhibition raises the anticoagulant effect (INR).",
+          advice: "Check INR within 3-5 days and reduce the dose if needed." },
+        { a: ["ACE_INHIBITOR"], b: ["ARB"], severity: "major",
+          mechanism: "Dual RAAS blockade; hyperkalaemia, hypotension, acute kidney injury.",
+          advice: "Avoid the combination; use one agent." },
+        { a: ["ACE_INHIBITOR", "ARB"], b: ["K_SPARING_DIURETIC", "potassium chloride", "potassium citrate"], severity: "major",
+          mechanism: "Reduced potassium excretion; hyperkalaemia.",
+          advice: "Check potassium and creatinine within 1 week." },
+        { a: ["K_SPARING_DIURETIC"], b: ["potassium chloride", "potassium citrate"], severity: "major",
+          mechanism: "Potassium load with reduced excretion; hyperkalaemia.",
+          advice: "Avoid potassium supplements unless hypokalaemia is documented." },
+        { a: ["OPIOID"], b: ["BENZODIAZEPINE"], severity: "major",
+          mechanism: "Additive CNS and respiratory depression.",
+          advice: "Avoid; if needed, lowest doses and warn about sedation." },
+        { a: ["tramadol"], b: ["SSRI", "SNRI", "TRIPTAN"], severity: "major",
+          mechanism: "Serotonergic effect and lowered seizure threshold.",
+          advice: "Prefer a non-serotonergic analgesic; watch for agitation, tremor, fever." },
+        { a: ["clarithromycin", "erythromycin", "itraconazole", "ketoconazole", "voriconazole"], b: ["simvastatin", "atorvastatin", "lovastatin"], severity: "major",
+          mechanism: "CYP3A4 inhibition raises statin levels; myopathy and rhabdomyolysis.",
+          advice: "Hold the statin during the course or use rosuvastatin/pravastatin." },
+        { a: ["BETA_BLOCKER"], b: ["NON_DHP_CCB"], severity: "major",
+          mechanism: "Additive negative chronotropic and inotropic effect; bradycardia, AV block.",
+          advice: "Avoid, or use a dihydropyridine CCB instead." },
+        { a: ["digoxin"], b: ["amiodarone", "verapamil", "clarithromycin"], severity: "major",
+          mechanism: "Reduced digoxin clearance (P-gp inhibition); digoxin toxicity.",
+          advice: "Halve the digoxin dose and check levels." },
+        { a: ["lithium carbonate"], b: ["NSAID", "ACE_INHIBITOR", "ARB", "DIURETIC"], severity: "major",
+          mechanism: "Reduced renal lithium clearance; lithium toxicity.",
+          advice: "Avoid, or check lithium levels within 5-7 days." },
+        { a: ["methotrexate"], b: ["NSAID", "co-trimoxazole", "trimethoprim"], severity: "major",
+          mechanism: "Reduced methotrexate clearance / additive antifolate effect; marrow suppression.",
+          advice: "Avoid with weekly low-dose methotrexate unless monitored (CBC)." },
+        { a: ["allopurinol"], b: ["azathioprine"], severity: "major",
+          mechanism: "Xanthine oxidase inhibition blocks azathioprine breakdown; marrow suppression.",
+          advice: "Reduce azathioprine to 25% of the dose, or avoid." },
+        { a: ["colchicine"], b: ["clarithromycin", "itraconazole", "ketoconazole", "verapamil", "diltiazem"], severity: "major",
+          mechanism: "CYP3A4/P-gp inhibition raises colchicine levels; toxicity.",
+          advice: "Reduce the colchicine dose or avoid, especially in renal impairment." },
+
+        // --- Moderate ---
+        { a: ["clopidogrel"], b: ["omeprazole", "esomeprazole"], severity: "moderate",
+          mechanism: "CYP2C19 inhibition reduces clopidogrel activation.",
+          advice: "Use pantoprazole instead." },
+        { a: ["ibuprofen"], b: ["aspirin", "acetylsalicylic acid"], severity: "moderate",
+          mechanism: "Ibuprofen blocks the antiplatelet effect of low-dose aspirin.",
+          advice: "Give aspirin at least 30 min before ibuprofen, or use paracetamol." },
+        { a: ["ACE_INHIBITOR", "ARB"], b: ["NSAID"], severity: "moderate",
+          mechanism: "NSAIDs blunt the antihypertensive effect and reduce renal perfusion.",
+          advice: "Short courses only; check BP and creatinine. Avoid with a diuretic (\"triple whammy\")." },
+        { a: ["SSRI", "SNRI"], b: ["NSAID", "ANTICOAGULANT", "ANTIPLATELET"], severity: "moderate",
+          mechanism: "SSRIs deplete platelet serotonin; additive bleeding risk.",
+          advice: "Consider a PPI for GI protection; watch for bleeding." },
+        { a: ["NSAID"], b: ["CORTICOSTEROID"], severity: "moderate",
+          mechanism: "Additive gastrointestinal mucosal injury; peptic ulcer and bleeding.",
+          advice: "Add a PPI; shortest course." },
+        { a: ["FLUOROQUINOLONE"], b: ["CORTICOSTEROID"], severity: "moderate",
+          mechanism: "Increased risk of tendinopathy and tendon rupture.",
+          advice: "Warn the patient; stop at the first sign of tendon pain." },
+        { a: ["ciprofloxacin"], b: ["theophylline"], severity: "moderate",
+          mechanism: "CYP1A2 inhibition raises theophylline levels.",
+          advice: "Reduce the theophylline dose or use another antibiotic." },
+        { a: ["QT_PROLONGING"], b: ["QT_PROLONGING"], severity: "moderate",
+          mechanism: "Additive QT prolongation; torsades de pointes.",
+          advice: "Avoid in known long QT or low K+/Mg2+; consider an ECG." }
+    ];
+
+    const INTERACTION_SEVERITIES = ["contraindicated", "major", "moderate"];
+
+
+    /* ==========================================================================
+       2.3 RENAL & HEPATIC DOSE ADJUSTMENT
+       ========================================================================== */
+
+    /**
+     * Renal dosing thresholds. `match` uses the DRUG_INTERACTIONS convention
+     * (class IDs upper case, ingredients lower case). `basis` is the value the
+     * product label is written against: eGFR (CKD-EPI) or creatinine clearance
+     * (Cockcroft-Gault, used for DOACs and most antimicrobials). Steps are
+     * ordered lowest threshold first; the first step below which the patient
+     * falls applies.
+     */
+    const RENAL_DOSING = [
+        { match: ["metformin"], basis: "egfr", steps: [
+            { below: 30, action: "contraindicated", advice: "Stop metformin (lactic acidosis risk)." },
+            { below: 45, action: "reduce", advice: "Max 1000 mg/day; do not start a new course." }] },
+        { match: ["dapagliflozin", "empagliflozin", "canagliflozin"], basis: "egfr", steps: [
+            { below: 25, action: "contraindicated", advice: "Do not initiate; little glucose-lowering effect." },
+            { below: 45, action: "reduce", advice: "Reduced glycaemic efficacy; add another agent if needed." }] },
+        { match: ["K_SPARING_DIURETIC"], basis: "egfr", steps: [
+            { below: 30, action: "contraindicated", advice: "Avoid (hyperkalaemia)." },
+            { below: 45, action: "reduce", advice: "Start at 12.5-25 mg; check potassium within 1 week." }] },
+        { match: ["NSAID"], basis: "egfr", steps: [
+            { below: 30, action: "contraindicated", advice: "Avoid; use paracetamol." },
+            { below: 60, action: "reduce", advice: "Lowest dose for the shortest time; recheck creatinine." }] },
+        { match: ["glibenclamide"], basis: "egfr", steps: [
+            { below: 60, action: "contraindicated", advice: "Avoid (prolonged hypoglycaemia); prefer gliclazide." }] },
+        { match: ["glimepiride", "gliclazide", "glipizide"], basis: "egfr", steps: [
+            { below: 30, action: "contraindicated", advice: "Avoid (hypoglycaemia)." },
+            { below: 60, action: "reduce", advice: "Start at the lowest dose." }] },
+        { match: ["sitagliptin"], basis: "egfr", steps: [
+            { below: 30, action: "reduce", advice: "25 mg once daily." },
+            { below: 45, action: "reduce", advice: "50 mg once daily." }] },
+        { match: ["vildagliptin", "saxagliptin"], basis: "egfr", steps: [
+            { below: 50, action: "reduce", advice: "Vildagliptin 50 mg OD / saxagliptin 2.5 mg OD." }] },
+        { match: ["lithium carbonate"], basis: "egfr", steps: [
+            { below: 30, action: "contraindicated", advice: "Avoid." },
+            { below: 60, action: "reduce", advice: "Reduce the dose and monitor lithium levels closely." }] },
+        { match: ["nitrofurantoin"], basis: "egfr", steps: [
+            { below: 45, action: "contraindicated", advice: "Ineffective and toxic at this eGFR; choose another agent." }] },
+        { match: ["morphine"], basis: "egfr", steps: [
+            { below: 30, action: "contraindicated", advice: "Active metabolites accumulate; prefer fentanyl or buprenorphine." }] },
+        { match: ["apixaban"], basis: "crcl", steps: [
+            { below: 15, action: "contraindicated", advice: "Not recommended." },
+            { below: 30, action: "reduce", advice: "2.5 mg BD for AF; use with caution." }] },
+        { match: ["rivaroxaban"], basis: "crcl", steps: [
+            { below: 15, action: "contraindicated", advice: "Avoid." },
+            { below: 50, action: "reduce", advice: "15 mg OD for AF." }] },
+        { match: ["dabigatran"], basis: "crcl", steps: [
+            { below: 30, action: "contraindicated", advice: "Contraindicated." },
+            { below: 50, action: "reduce", advice: "Consider 110 mg BD." }] },
+        { match: ["enoxaparin"], basis: "crcl", steps: [
+            { below: 30, action: "reduce", advice: "1 mg/kg once daily (treatment) / 20 mg OD (prophylaxis)." }] },
+        { match: ["digoxin"], basis: "crcl", steps: [
+            { below: 50, action: "reduce", advice: "Reduce the dose (e.g. 62.5 mcg OD) and check levels." }] },
+        { match: ["gabapentin", "pregabalin"], basis: "crcl", steps: [
+            { below: 30, action: "reduce", advice: "Reduce to about a quarter of the usual daily dose." },
+            { below: 60, action: "reduce", advice: "Halve the usual daily dose." }] },
+        { match: ["allopurinol"], basis: "crcl", steps: [
+            { below: 60, action: "reduce", advice: "Start at 50-100 mg/day and titrate slowly." }] },
+        { match: ["FLUOROQUINOLONE"], basis: "crcl", steps: [
+            { below: 50, action: "reduce", advice: "Extend the dosing interval / halve the dose." }] },
+        { match: ["co-trimoxazole", "sulfamethoxazole", "trimethoprim"], basis: "crcl", steps: [
+            { below: 15, action: "contraindicated", advice: "Avoid." },
+            { below: 30, action: "reduce", advice: "Half the usual dose." }] },
+        { match: ["AMINOGLYCOSIDE"], basis: "crcl", steps: [
+            { below: 60, action: "reduce", advice: "Extend the interval and monitor levels." }] },
+        { match: ["aciclovir", "acyclovir", "valaciclovir", "valacyclovir"], basis: "crcl", steps: [
+            { below: 50, action: "reduce", advice: "Extend the dosing interval." }] },
+        { match: ["famotidine", "ranitidine"], basis: "crcl", steps: [
+            { below: 50, action: "reduce", advice: "Halve the dose." }] },
+        { match: ["tramadol"], basis: "crcl", steps: [
+            { below: 30, action: "reduce", advice: "12-hourly dosing; max 200 mg/day." }] },
+        { match: ["colchicine"], basis: "crcl", steps: [
+            { below: 30, action: "reduce", advice: "Max 0.5 mg/day; avoid repeat courses." }] },
+        { match: ["methotrexate"], basis: "crcl", steps: [
+            { below: 30, action: "contraindicated", advice: "Contraindicated." },
+            { below: 60, action: "reduce", advice: "Reduce the dose by 50%." }] },
+        { match: ["tenofovir"], basis: "crcl", steps: [
+            { below: 50, action: "reduce", advice: "Extend the dosing interval (tenofovir DF)." }] }
+    ];
+
+    /**
+     * Hepatic dosing by Child-Pugh class. Steps are ordered most severe first;
+     * a step applies when the patient's class is `from` or worse.
+     */
+    const HEPATIC_DOSING = [
+        { match: ["paracetamol"], steps: [
+            { from: "B", action: "reduce", advice: "Max 2 g/day." }] },
+        { match: ["NSAID"], steps: [
+            { from: "C", action: "contraindicated", advice: "Avoid (bleeding, renal failure, ascites)." },
+            { from: "B", action: "reduce", advice: "Avoid if possible." }] },
+        { match: ["STATIN"], steps: [
+            { from: "C", action: "contraindicated", advice: "Contraindicated in decompensated liver disease." },
+            { from: "B", action: "reduce", advice: "Lowest dose; monitor liver enzymes." }] },
+        { match: ["metformin"], steps: [
+            { from: "B", action: "contraindicated", advice: "Avoid (lactic acidosis)." }] },
+        { match: ["SULFONYLUREA"], steps: [
+            { from: "C", action: "contraindicated", advice: "Avoid (hypoglycaemia)." },
+            { from: "B", action: "reduce", advice: "Start at the lowest dose." }] },
+        { match: ["BENZODIAZEPINE"], steps: [
+            { from: "C", action: "contraindicated", advice: "Avoid (may precipitate encephalopathy)." },
+            { from: "B", action: "reduce", advice: "Reduce the dose; prefer lorazepam or oxazepam." }] },
+        { match: ["OPIOID"], steps: [
+            { from: "C", action: "contraindicated", advice: "Avoid (may precipitate encephalopathy)." },
+            { from: "B", action: "reduce", advice: "Reduce the dose and extend the interval." }] },
+        { match: ["rivaroxaban"], steps: [
+            { from: "B", action: "contraindicated", advice: "Contraindicated with coagulopathy / Child-Pugh B-C." }] },
+        { match: ["apixaban", "dabigatran"], steps: [
+            { from: "C", action: "contraindicated", advice: "Not recommended." }] },
+        { match: ["methotrexate", "sodium valproate", "valproic acid", "ketoconazole"], steps: [
+            { from: "A", action: "contraindicated", advice: "Hepatotoxic; avoid in liver disease." }] },
+        { match: ["amiodarone"], steps: [
+            { from: "B", action: "reduce", advice: "Use with caution; monitor liver enzymes." }] },
+        { match: ["pyrazinamide", "isoniazid", "rifampicin"], steps: [
+            { from: "C", action: "contraindicated", advice: "Use a liver-sparing regimen." },
+            { from: "A", action: "reduce", advice: "Monitor LFTs every 2 weeks." }] }
+    ];
+
+    const CHILD_PUGH_CLASSES = ["A", "B", "C"];
+
+
+    /* ==========================================================================
+       2.4 PEDIATRIC WEIGHT-BASED DOSING
+       ========================================================================== */
+
+    /**
+     * Usual starting dose (mg/kg/dose at `freq`) and the daily ceiling for
+     * oral liquids, keyed by ingredient. The ceiling is the lower of
+     * maxMgPerKgDay x weight and the adult maximum (maxMgDay).
+     */
+    const PEDIATRIC_DOSING = {
+        "paracetamol":      { mgPerKg: 15,   freq: "QID", maxMgPerKgDay: 60,   maxMgDay: 4000 },
+        "ibuprofen":        { mgPerKg: 10,   freq: "TDS", maxMgPerKgDay: 40,   maxMgDay: 2400 },
+        "amoxicillin":      { mgPerKg: 25,   freq: "BD",  maxMgPerKgDay: 90,   maxMgDay: 4000 },
+        "azithromycin":     { mgPerKg: 10,   freq: "OD",  maxMgPerKgDay: 10,   maxMgDay: 500 },
+        "cefixime":         { mgPerKg: 4,    freq: "BD",  maxMgPerKgDay: 8,    maxMgDay: 400 },
+        "cefpodoxime":      { mgPerKg: 5,    freq: "BD",  maxMgPerKgDay: 10,   maxMgDay: 400 },
+        "cefuroxime":       { mgPerKg: 15,   freq: "BD",  maxMgPerKgDay: 30,   maxMgDay: 1000 },
+        "cefadroxil":       { mgPerKg: 15,   freq: "BD",  maxMgPerKgDay: 30,   maxMgDay: 2000 },
+        "cefaclor":         { mgPerKg: 10,   freq: "TDS", maxMgPerKgDay: 40,   maxMgDay: 1000 },
+        "cephalexin":       { mgPerKg: 12.5, freq: "QID", maxMgPerKgDay: 100,  maxMgDay: 4000 },
+        "clarithromycin":   { mgPerKg: 7.5,  freq: "BD",  maxMgPerKgDay: 15,   maxMgDay: 1000 },
+        "erythromycin":     { mgPerKg: 12.5, freq: "QID", maxMgPerKgDay: 50,   maxMgDay: 4000 },
+        "metronidazole":    { mgPerKg: 7.5,  freq: "TDS", maxMgPerKgDay: 30,   maxMgDay: 2250 },
+        "linezolid":        { mgPerKg: 10,   freq: "TDS", maxMgPerKgDay: 30,   maxMgDay: 1200 },
+        "aciclovir":        { mgPerKg: 20,   freq: "QID", maxMgPerKgDay: 80,   maxMgDay: 3200 },
+        "isoniazid":        { mgPerKg: 10,   freq: "OD",  maxMgPerKgDay: 15,   maxMgDay: 300 },
+        "rifampicin":       { mgPerKg: 15,   freq: "OD",  maxMgPerKgDay: 20,   maxMgDay: 600 },
+        "ondansetron":      { mgPerKg: 0.15, freq: "TDS", maxMgPerKgDay: 0.45, maxMgDay: 24 },
+        "domperidone":      { mgPerKg: 0.25, freq: "TDS", maxMgPerKgDay: 0.75, maxMgDay: 30 },
+        "ranitidine":       { mgPerKg: 2,    freq: "BD",  maxMgPerKgDay: 10,   maxMgDay: 300 },
+        "salbutamol":       { mgPerKg: 0.1,  freq: "TDS", maxMgPerKgDay: 0.45, maxMgDay: 12 },
+        "prednisolone":     { mgPerKg: 1,    freq: "OD",  maxMgPerKgDay: 2,    maxMgDay: 60 },
+        "hydroxyzine":      { mgPerKg: 0.5,  freq: "TDS", maxMgPerKgDay: 2,    maxMgDay: 100 },
+        "levetiracetam":    { mgPerKg: 10,   freq: "BD",  maxMgPerKgDay: 60,   maxMgDay: 3000 },
+        "sodium valproate": { mgPerKg: 10,   freq: "BD",  maxMgPerKgDay: 60,   maxMgDay: 2500 },
+        "carbamazepine":    { mgPerKg: 5,    freq: "BD",  maxMgPerKgDay: 20,   maxMgDay: 1000 },
+        "phenytoin":        { mgPerKg: 2.5,  freq: "BD",  maxMgPerKgDay: 8,    maxMgDay: 300 },
+        "phenobarbital":    { mgPerKg: 2.5,  freq: "BD",  maxMgPerKgDay: 5,    maxMgDay: 180 }
+    };
+
+    const PEDIATRIC_FREQUENCIES = { OD: 1, BD: 2, TDS: 3, QID: 4 };
+
+
+    /* ==========================================================================
+       2.5 PREGNANCY & LACTATION SAFETY
+       ========================================================================== */
+
+    /**
+     * Drugs to avoid in pregnancy or breastfeeding. `match` uses the
+     * DRUG_INTERACTIONS convention. `pregnancy` steps use the former FDA letter
+     * categories and are ordered latest gestation first; the first step at or
+     * after `fromWeek` applies, and the first (strictest) step applies when the
+     * gestational age is unknown. Only category D and X, and lactation "avoid",
+     * raise a hard warning.
+     */
+    const PREGNANCY_SAFETY = [
+        { match: ["STATIN"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Stop during pregnancy; no benefit and possible fetal harm." }],
+            lactation: { level: "avoid", advice: "Not recommended while breastfeeding." } },
+        { match: ["ACE_INHIBITOR", "ARB"], pregnancy: [
+            { fromWeek: 13, category: "X", advice: "Fetal renal failure, oligohydramnios and skull hypoplasia; switch to labetalol, nifedipine or methyldopa." },
+            { fromWeek: 0, category: "D", advice: "Switch before the second trimester; use labetalol, nifedipine or methyldopa." }] },
+        { match: ["warfarin"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Warfarin embryopathy and fetal bleeding; use low-molecular-weight heparin." }] },
+        { match: ["rivaroxaban", "apixaban", "dabigatran"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Not studied in pregnancy; use low-molecular-weight heparin." }],
+            lactation: { level: "avoid", advice: "Passes into milk; use warfarin or heparin." } },
+        { match: ["methotrexate", "leflunomide", "mycophenolate mofetil"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Teratogenic; stop and refer." }],
+            lactation: { level: "avoid", advice: "Contraindicated while breastfeeding." } },
+        { match: ["isotretinoin", "acitretin"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Severe retinoid embryopathy." }],
+            lactation: { level: "avoid", advice: "Contraindicated while breastfeeding." } },
+        { match: ["misoprostol"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Induces uterine contractions and abortion." }] },
+        { match: ["finasteride", "dutasteride"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Feminises a male fetus." }] },
+        { match: ["sodium valproate", "valproic acid", "divalproex"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Neural tube defects and neurodevelopmental harm; refer to neurology." }] },
+        { match: ["carbamazepine", "phenytoin", "topiramate"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Teratogenic; continue only on specialist advice with folic acid 5 mg." }] },
+        { match: ["lithium carbonate"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Cardiac (Ebstein) anomaly; specialist review." }],
+            lactation: { level: "avoid", advice: "Infant toxicity; avoid breastfeeding." } },
+        { match: ["TETRACYCLINE"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Tooth discolouration and bone growth effects after 15 weeks; use a penicillin or macrolide." }],
+            lactation: { level: "avoid", advice: "Avoid prolonged courses while breastfeeding." } },
+        { match: ["AMINOGLYCOSIDE"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Fetal ototoxicity." }] },
+        { match: ["NSAID"], pregnancy: [
+            { fromWeek: 28, category: "D", advice: "Premature ductus closure and oligohydramnios; use paracetamol." },
+            { fromWeek: 0, category: "C", advice: "Avoid if possible; use paracetamol." }] },
+        { match: ["amiodarone"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Fetal thyroid dysfunction." }],
+            lactation: { level: "avoid", advice: "Accumulates in milk; avoid breastfeeding." } },
+        { match: ["carbimazole", "methimazole"], pregnancy: [
+            { fromWeek: 13, category: "C", advice: "Acceptable after the first trimester at the lowest dose." },
+            { fromWeek: 0, category: "D", advice: "Embryopathy in the first trimester; use propylthiouracil." }] },
+        { match: ["BENZODIAZEPINE"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Floppy infant and withdrawal at birth; avoid regular use." }] },
+        { match: ["atenolol"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Fetal growth restriction; use labetalol." }] },
+        { match: ["fluconazole"], pregnancy: [{ fromWeek: 0, category: "D", advice: "Avoid courses (high or prolonged doses are teratogenic); use topical azoles." }] },
+        { match: ["danazol", "testosterone", "nandrolone", "letrozole", "clomiphene"], pregnancy: [{ fromWeek: 0, category: "X", advice: "Contraindicated in pregnancy." }] },
+        { match: ["bromocriptine", "cabergoline"], lactation: { level: "avoid", advice: "Suppresses lactation." } },
+        { match: ["codeine", "tramadol"], lactation: { level: "avoid", advice: "Infant respiratory depression (ultra-rapid metabolisers)." } }
+    ];
+
+    const PREGNANCY_HARD_CATEGORIES = ["D", "X"];
+
+
+    /* ==========================================================================
+       2.6 BRAND NAME ALIASES
+       ========================================================================== */
+
+    /**
+     * Common trade names and the generic ingredient(s) they contain. A brand
+     * is attached to every database entry with exactly these ingredients, so
+     * typing "Telma" suggests the telmisartan formulations, and the safety
+     * checks read "Tab. Ecosprin 75" as aspirin. Multi-word brands ("Telma H")
+     * take precedence over their shorter stems. Brands of drugs missing from
+     * the database (Jardiance) still count for the safety checks.
+     */
+    const BRAND_ALIASES = [
+        // Cardiology
+        { brand: "Ecosprin", generics: ["aspirin"] },
+        { brand: "Ecosprin AV", generics: ["aspirin", "atorvastatin"] },
+        { brand: "Clopilet", generics: ["clopidogrel"] },
+        { brand: "Deplatt", generics: ["clopidogrel"] },
+        { brand: "Clopitab A", generics: ["clopidogrel", "aspirin"] },
+        { brand: "Telma", generics: ["telmisartan"] },
+        { brand: "Telma H", generics: ["telmisartan", "hydrochlorothiazide"] },
+        { brand: "Telma AM", generics: ["telmisartan", "amlodipine"] },
+        { brand: "Amlong", generics: ["amlodipine"] },
+        { brand: "Stamlo", generics: ["amlodipine"] },
+        { brand: "Amlokind AT", generics: ["amlodipine", "atenolol"] },
+        { brand: "Losar", generics: ["losartan"] },
+        { brand: "Losar H", generics: ["losartan", "hydrochlorothiazide"] },
+        { brand: "Olmezest", generics: ["olmesartan"] },
+        { brand: "Cilacar", generics: ["cilnidipine"] },
+        { brand: "Cardace", generics: ["ramipril"] },
+        { brand: "Concor", generics: ["bisoprolol"] },
+        { brand: "Metolar", generics: ["metoprolol tartrate"] },
+        { brand: "Met XL", generics: ["metoprolol succinate"] },
+        { brand: "Atorva", generics: ["atorvastatin"] },
+        { brand: "Lipitor", generics: ["atorvastatin"] },
+        { brand: "Rosuvas", generics: ["rosuvastatin"] },
+        { brand: "Crestor", generics: ["rosuvastatin"] },
+        { brand: "Vymada", generics: ["sacubitril", "valsartan"] },
+        { brand: "Lasix", generics: ["furosemide"] },
+        { brand: "Dytor", generics: ["torsemide"] },
+        { brand: "Aldactone", generics: ["spironolactone"] },
+        { brand: "Ivabrad", generics: ["ivabradine"] },
+        { brand: "Sorbitrate", generics: ["isosorbide dinitrate"] },
+        { brand: "Monotrate", generics: ["isosorbide mononitrate"] },
+        { brand: "Acitrom", generics: ["acenocoumarol"] },
+        // Diabetes & thyroid
+        { brand: "Glycomet", generics: ["metformin"] },
+        { brand: "Glycomet GP", generics: ["glimepiride", "metformin"] },
+        { brand: "Amaryl", generics: ["glimepiride"] },
+        { brand: "Januvia", generics: ["sitagliptin"] },
+        { brand: "Janumet", generics: ["sitagliptin", "metformin"] },
+        { brand: "Galvus", generics: ["vildagliptin"] },
+        { brand: "Galvus Met", generics: ["vildagliptin", "metformin"] },
+        { brand: "Jardiance", generics: ["empagliflozin"] },
+        { brand: "Forxiga", generics: ["dapagliflozin"] },
+        { brand: "Thyronorm", generics: ["levothyroxine"] },
+        { brand: "Eltroxin", generics: ["levothyroxine"] },
+        // Analgesics
+        { brand: "Dolo", generics: ["paracetamol"] },
+        { brand: "Calpol", generics: ["paracetamol"] },
+        { brand: "Crocin", generics: ["paracetamol"] },
+        { brand: "Brufen", generics: ["ibuprofen"] },
+        { brand: "Combiflam", generics: ["ibuprofen", "paracetamol"] },
+        { brand: "Zerodol", generics: ["aceclofenac"] },
+        { brand: "Zerodol P", generics: ["aceclofenac", "paracetamol"] },
+        { brand: "Voveran", generics: ["diclofenac"] },
+        { brand: "Ultracet", generics: ["tramadol", "paracetamol"] },
+        { brand: "Lyrica", generics: ["pregabalin"] },
+        // Antimicrobials
+        { brand: "Augmentin", generics: ["amoxicillin", "clavulanic acid"] },
+        { brand: "Clavam", generics: ["amoxicillin", "clavulanic acid"] },
+        { brand: "Mox", generics: ["amoxicillin"] },
+        { brand: "Azithral", generics: ["azithromycin"] },
+        { brand: "Azee", generics: ["azithromycin"] },
+        { brand: "Taxim O", generics: ["cefixime"] },
+        { brand: "Ciplox", generics: ["ciprofloxacin"] },
+        { brand: "Flagyl", generics: ["metronidazole"] },
+        { brand: "Metrogyl", generics: ["metronidazole"] },
+        // Gastro & respiratory
+        { brand: "Pan", generics: ["pantoprazole"] },
+        { brand: "Pantocid", generics: ["pantoprazole"] },
+        { brand: "Pan D", generics: ["pantoprazole", "domperidone"] },
+        { brand: "Razo D", generics: ["rabeprazole", "domperidone"] },
+        { brand: "Rantac", generics: ["ranitidine"] },
+        { brand: "Emeset", generics: ["ondansetron"] },
+        { brand: "Domstal", generics: ["domperidone"] },
+        { brand: "Allegra", generics: ["fexofenadine"] },
+        { brand: "Cetzine", generics: ["cetirizine"] },
+        { brand: "Montair LC", generics: ["montelukast", "levocetirizine"] },
+        { brand: "Budecort", generics: ["budesonide"] },
+        { brand: "Foracort", generics: ["formoterol", "budesonide"] },
+        { brand: "Seroflo", generics: ["salmeterol", "fluticasone"] },
+        // Others
+        { brand: "Wysolone", generics: ["prednisolone"] },
+        { brand: "Zyloric", generics: ["allopurinol"] },
+        { brand: "Urimax", generics: ["tamsulosin"] },
+        { brand: "Folvite", generics: ["folic acid"] },
+        { brand: "Shelcal", generics: ["calcium carbonate", "vitamin d"] },
+        { brand: "Nexito", generics: ["escitalopram"] }
+    ];
+
+
     /* ==========================================================================
        3.0 SYSTEM UTILITIES & LOGGER
        ========================================================================== */
@@ -381,6 +928,16 @@
             });
         },
 
+        /**
+         * Formats an ISO timestamp with date and time (e.g., "Dec 25, 2025, 10:42 AM").
+         */
+        formatDateTime: (dateStr) => {
+            if (!dateStr) return "--";
+            return new Date(dateStr).toLocaleString(undefined, {
+                year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            });
+        },
+
         /**
          * Calculates BMI and returns value + status.
          */
@@ -395,6 +952,80 @@
             return { value: bmi.toFixed(1), status: status };
         },
 
+        /**
+         * eGFR by the 2021 CKD-EPI creatinine equation (race-free).
+         * @param {number} scr Serum creatinine, mg/dL
+         * @param {"M"|"F"} sex
+         * @returns {{value: number, stage: string}|null} mL/min/1.73m²
+         */
+        calculateEGFR: (scr, age, sex) => {
+            if (!scr || !age || age < 18) return null;
+            const female = sex === "F";
+            const k = female ? 0.7 : 0.9;
+            const a = female ? -0.241 : -0.302;
+            const egfr = 142 * Math.pow(Math.min(scr / k, 1), a) * Math.pow(Math.max(scr / k, 1), -1.2) *
+                Math.pow(0.9938, age) * (female ? 1.012 : 1);
+            let stage = "G1";
+            if (egfr < 15) stage = "G5";
+            else if (egfr < 30) stage = "G4";
+            else if (egfr < 45) stage = "G3b";
+            else if (egfr < 60) stage = "G3a";
+            else if (egfr < 90) stage = "G2";
+            return { value: Math.round(egfr), stage: stage };
+        },
+
+        /**
+         * Creatinine clearance by Cockcroft-Gault (actual body weight).
+         * Adults only; like eGFR, returns null under 18.
+         * @returns {number|null} mL/min
+         */
+        calculateCrCl: (scr, age, sex, weightKg) => {
+            if (!scr || !age || age < 18 || !weightKg) return null;
+            const crcl = ((140 - age) * weightKg) / (72 * scr) * (sex === "F" ? 0.85 : 1);
+            return Math.round(crcl);
+        },
+
+        /**
+         * Edit distance between two strings (insert/delete/substitute = 1).
+         */
+        levenshtein: (a, b) => {
+            if (a === b) return 0;
+            if (!a.length) return b.length;
+            if (!b.length) return a.length;
+            let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                const cur = [i];
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+                }
+                prev = cur;
+            }
+            return prev[b.length];
+        },
+
+        /**
+         * Similarity ratio 0..1 derived from the edit distance.
+         */
+        similarity: (a, b) => {
+            const len = Math.max(a.length, b.length);
+            return len ? 1 - Utils.levenshtein(a, b) / len : 1;
+        },
+
+        /**
+         * Splits a free-text list ("Penicillin, sulfa; NSAIDs") into unique
+         * entries, de-duplicated case-insensitively, first spelling wins.
+         */
+        splitList: (text) => {
+            const seen = new Set();
+            return String(text || "").split(/[,;\n]+/).map(t => t.trim()).filter(t => {
+                const k = t.toLowerCase();
+                if (!t || seen.has(k)) return false;
+                seen.add(k);
+                return true;
+            });
+        },
+
         /**
          * Escapes HTML characters to prevent XSS in print templates.
          */
@@ -409,6 +1040,40 @@
                 .replace(/\n/g, "<br>");
         },
 
+        /**
+         * SHA-256 of a string, as lowercase hex (WebCrypto).
+         */
+        sha256Hex: async (text) => {
+            const bytes = new TextEncoder().encode(text);
+            const hash = await crypto.subtle.digest("SHA-256", bytes);
+            return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, "0")).join("");
+        },
+
+        /**
+         * Base64 <-> byte array conversion for storing WebCrypto output as JSON.
+         */
+        bytesToBase64: (bytes) => {
+            let bin = "";
+            bytes.forEach(b => { bin += String.fromCharCode(b); });
+            return btoa(bin);
+        },
+
+        base64ToBytes: (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0)),
+
+        /**
+         * Offers a string to the user as a file download.
+         */
+        downloadFile: (filename, content, mime = "application/json") => {
+            const url = URL.createObjectURL(new Blob([content], { type: mime }));
+            const a = document.createElement("a");
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            a.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        },
+
         /**
          * Simulates network latency for UI feedback.
          */
@@ -417,135 +1082,1861 @@
 
 
     /* ==========================================================================
-       4.0 CORE CONTROLLER & STATE
+       3.1 PERSISTENCE LAYER (INDEXEDDB STORE & MIGRATIONS)
+       ==========================================================================
+       Patients, visits and settings live in IndexedDB so that a save only
+       writes the records that changed. The schema is built by replaying
+       DB_MIGRATIONS: every entry upgrades the database by exactly one
+       version, so a future schema change is a new entry appended at the end
+       (never an edit to an old one).
        ========================================================================== */
 
+    const DB_MIGRATIONS = [
+        {
+            version: 1,
+            description: "Initial schema: patients, visits (by patient/date) and settings",
+            up(db) {
+                const S = CONFIG.DB.STORES;
+                db.createObjectStore(S.PATIENTS, { keyPath: "id" });
+
+                const visits = db.createObjectStore(S.VISITS, { keyPath: "id" });
+                visits.createIndex("patientId", "patientId", { unique: false });
+                visits.createIndex("date", "date", { unique: false });
+
+                db.createObjectStore(S.SETTINGS, { keyPath: "key" });
+            }
+        },
+        {
+            version: 2,
+            description: "Autosaved visit drafts, one per patient",
+            up(db) {
+                db.createObjectStore(CONFIG.DB.STORES.DRAFTS, { keyPath: "patientId" });
+            }
+        },
+        {
+            version: 3,
+            description: "Append-only visit revision trail (by visit)",
+            up(db) {
+                const revisions = db.createObjectStore(CONFIG.DB.STORES.REVISIONS, { keyPath: "id" });
+                revisions.createIndex("visitId", "visitId", { unique: false });
+            }
+        },
+        {
+            version: 4,
+            description: "Doctor's custom drug list, kept apart from the bundled database",
+            up(db) {
+                db.createObjectStore(CONFIG.DB.STORES.CUSTOM_DRUGS, { keyPath: "id" });
+            }
+        },
+        {
+            version: 5,
+            description: "Doctor's protocols, layered over the built-in knowledge base",
+            up(db) {
+                db.createObjectStore(CONFIG.DB.STORES.PROTOCOLS, { keyPath: "id" });
+            }
+        },
+        {
+            version: 6,
+            description: "Imported protocol packs, each kept whole under its pack id",
+            up(db) {
+                db.createObjectStore(CONFIG.DB.STORES.PROTOCOL_PACKS, { keyPath: "id" });
+            }
+        }
+    ];
+
     /**
-     * The Singleton Application Controller.
+     * Promise-based wrapper around the IndexedDB connection.
+     * All methods resolve once the underlying transaction has committed.
      */
-    const App = {
-        
-        // --- 4.1 Application State Store ---
-        state: {
-            // Configuration Settings (User Preferences)
-            clinic: { ...CONFIG.DEFAULTS },
-            
-            // Database (Arrays of Objects)
-            patients: [],
-            visits: [],
-            
-            // Runtime Session Context
-            currentPatient: null,
-            currentVisit: null,
-            
-            // Rx Engine Specific State
-            rxList: [],
-            editingRxId: null, // ID of medicine currently being edited
-            
-            // UI & Feature Flags
-            isRecording: false,
-            activeDictationInput: null,
-            recognitionObject: null,
-            isDarkMode: false,
-            
-            // History Stack for Undo/Redo (Potential Feature)
-            historyStack: []
-        },
+    const Store = {
+        db: null,
 
-        // --- 4.2 DOM Cache Container ---
-        // Populated dynamically on init to avoid global variable pollution
-        dom: {},
+        get version() {
+            return DB_MIGRATIONS[DB_MIGRATIONS.length - 1].version;
+        },
 
+        /**
+         * Opens (and if needed upgrades) the database.
+         * Migrations newer than the on-disk version run inside the upgrade transaction.
+         */
+        open() {
+            if (this.db) return Promise.resolve(this.db);
+            if (!window.indexedDB) return Promise.reject(new Error("IndexedDB is not supported in this browser"));
+
+            return new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(CONFIG.DB.NAME, this.version);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    const tx = request.transaction;
+                    DB_MIGRATIONS
+                        .filter(m => m.version > event.oldVersion)
+                        .forEach(m => {
+                            Logger.info(`DB Migration v${m.version}: ${m.description}`);
+                            m.up(db, tx);
+                        });
+                };
 
-        /* ==========================================================================
-           5.0 INITIALIZATION & BOOTSTRAPPING
-           ========================================================================== */
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    // Another tab upgraded the schema: release our handle so it can proceed
+                    this.db.onversionchange = () => { this.db.close(); this.db = null; };
+                    resolve(this.db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => Logger.warn("DB upgrade blocked by another open tab.");
+            });
+        },
 
         /**
-         * Main Entry Point.
-         * Orchestrates the startup sequence.
+         * Runs `work(stores)` in a single transaction over the given stores.
+         * Resolves with whatever `work` returned once the transaction completes.
          */
-        init() {
-            Logger.info("Kernel Boot Sequence Initiated...");
-            
-            try {
-                // 1. Hydrate DOM Cache
-                this.cacheDom();
-                
-                // 2. Load Persisted Data from LocalStorage
-                this.loadData();
-                this.loadTheme();
+        transaction(storeNames, mode, work) {
+            return this.open().then(db => new Promise((resolve, reject) => {
+                const tx = db.transaction(storeNames, mode);
+                const stores = {};
+                [].concat(storeNames).forEach(name => { stores[name] = tx.objectStore(name); });
+
+                let result;
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+                result = work(stores, tx);
+            }));
+        },
 
-                // 3. Initialize Subsystems
-                this.initDictation();
-                this.initClock();
-                this.initTabs();
-                this.initShortcuts();
+        // Reads return plain records: sealed rows are decrypted by the Vault.
+        // Writes encrypt before the transaction opens, because IndexedDB
+        // transactions auto-commit across the await of a WebCrypto call.
 
-                // 4. Bind User Interactions
-                this.bindEvents();
+        getAll(storeName) {
+            return this.transaction(storeName, "readonly", (stores) => {
+                const out = [];
+                stores[storeName].getAll().onsuccess = (e) => out.push(...e.target.result);
+                return out;
+            }).then(rows => Vault.unsealAll(storeName, rows));
+        },
 
-                // 5. Initial Rendering
-                this.renderClinicBranding();
-                this.loadPatientContext(null); // Ensure clean slate on boot
+        getAllByIndex(storeName, indexName, value) {
+            return this.transaction(storeName, "readonly", (stores) => {
+                const out = [];
+                stores[storeName].index(indexName).getAll(value).onsuccess = (e) => out.push(...e.target.result);
+                return out;
+            }).then(rows => Vault.unsealAll(storeName, rows));
+        },
 
-                // 6. Set Default Date to Today
-                if(this.dom.visitDate) {
-                    this.dom.visitDate.valueAsDate = new Date();
-                }
+        async putMany(storeName, records) {
+            const rows = await Vault.sealAll(storeName, records);
+            return this.transaction(storeName, "readwrite", (stores) => {
+                rows.forEach(r => stores[storeName].put(r));
+                return rows.length;
+            });
+        },
 
-                // 7. Initialize Mobile Logic
-                MobileApp.init();
+        /**
+         * Inserts records that must never be overwritten (IDB `add` fails on an
+         * existing key, aborting the whole transaction).
+         */
+        async append(storeName, records) {
+            const rows = await Vault.sealAll(storeName, records);
+            return this.transaction(storeName, "readwrite", (stores) => {
+                rows.forEach(r => stores[storeName].add(r));
+                return rows.length;
+            });
+        },
 
-                Logger.success(`System Online. Build: ${CONFIG.BUILD}`);
-                this.showToast("System Ready. Welcome, Doctor.", "success");
+        delete(storeName, key) {
+            return this.transaction(storeName, "readwrite", (stores) => {
+                stores[storeName].delete(key);
+            });
+        },
 
-            } catch (error) {
-                Logger.error("Kernel Panic: Boot Failed", error);
-                alert("Critical System Error during boot. Please check console for stack trace.");
-            }
+        /**
+         * Applies puts and deletes across several stores atomically.
+         * @param {Object} ops - { put: { storeName: records[] }, remove: { storeName: keys[] } }
+         */
+        async commit({ put = {}, remove = {} }) {
+            const sealed = {};
+            for (const [n, records] of Object.entries(put)) sealed[n] = await Vault.sealAll(n, records);
+            const names = Array.from(new Set(Object.keys(put).concat(Object.keys(remove))));
+
+            return this.transaction(names, "readwrite", (stores) => {
+                Object.entries(remove).forEach(([n, keys]) => keys.forEach(k => stores[n].delete(k)));
+                Object.entries(sealed).forEach(([n, rows]) => rows.forEach(r => stores[n].put(r)));
+            });
         },
 
+        /**
+         * Maps every object store name to its keyPath.
+         */
+        keyPaths() {
+            return this.open().then(db => {
+                const names = Array.from(db.objectStoreNames);
+                const tx = db.transaction(names, "readonly");
+                const map = {};
+                names.forEach(n => { map[n] = tx.objectStore(n).keyPath; });
+                return map;
+            });
+        },
 
-        /* ==========================================================================
-           6.0 DOM CACHING LAYER
-           ========================================================================== */
+        /**
+         * Reads every object store in one transaction, decrypted.
+         * Device-bound settings (e.g. the encryption header) are left out.
+         * @returns {Promise<Object>} { storeName: records[] }
+         */
+        async exportAll() {
+            const db = await this.open();
+            const names = Array.from(db.objectStoreNames);
+            const raw = await this.transaction(names, "readonly", (stores) => {
+                const out = {};
+                names.forEach(n => {
+                    stores[n].getAll().onsuccess = (e) => { out[n] = e.target.result; };
+                });
+                return out;
+            });
+
+            const out = {};
+            for (const n of names) out[n] = await Vault.unsealAll(n, raw[n]);
+            const S = CONFIG.DB.STORES.SETTINGS;
+            if (out[S]) out[S] = out[S].filter(r => !CONFIG.DB.DEVICE_SETTING_KEYS.includes(r.key));
+            return out;
+        },
 
         /**
-         * Maps HTML IDs to Javascript properties.
-         * Using a centralized cache improves performance by reducing DOM lookups.
+         * Writes a full dataset in one transaction, encrypting where needed.
+         * mode "merge" upserts by key; mode "replace" clears every store first
+         * but keeps the device-bound settings.
          */
-        cacheDom() {
-            // Helper to get element by ID with validation
-            const get = (id) => {
-                const el = document.getElementById(id);
-                if (!el) {
-                    // Suppress warning for optional elements to keep console clean
-                    // Logger.warn(`Missing DOM Element: #${id}`); 
+        async importAll(data, mode) {
+            const db = await this.open();
+            const names = Array.from(db.objectStoreNames);
+            const S = CONFIG.DB.STORES.SETTINGS;
+            const deviceKeys = CONFIG.DB.DEVICE_SETTING_KEYS;
+
+            const sealed = {};
+            for (const [n, records] of Object.entries(data)) {
+                if (!names.includes(n)) continue;
+                const rows = n === S ? records.filter(r => !deviceKeys.includes(r.key)) : records;
+                sealed[n] = await Vault.sealAll(n, rows);
+            }
+            const keep = [];
+            for (const k of deviceKeys) {
+                const value = await this.getSetting(k);
+                if (value !== undefined) keep.push({ key: k, value });
+            }
+
+            return this.transaction(names, "readwrite", (stores) => {
+                if (mode === "replace") {
+                    names.forEach(n => stores[n].clear());
+                    keep.forEach(r => stores[S].put(r));
                 }
-                return el;
+                Object.entries(sealed).forEach(([n, rows]) => rows.forEach(r => stores[n].put(r)));
+            });
+        },
+
+        getSetting(key) {
+            const S = CONFIG.DB.STORES;
+            return this.transaction(S.SETTINGS, "readonly", (stores) => {
+                const box = {};
+                stores[S.SETTINGS].get(key).onsuccess = (e) => { box.value = e.target.result ? e.target.result.value : undefined; };
+                return box;
+            }).then(box => box.value);
+        },
+
+        putSetting(key, value) {
+            const S = CONFIG.DB.STORES;
+            return this.transaction(S.SETTINGS, "readwrite", (stores) => {
+                stores[S.SETTINGS].put({ key, value });
+            });
+        },
+
+        /**
+         * One-time import of the pre-IndexedDB localStorage database (v2 keys).
+         * The legacy keys are removed only after the import transaction commits,
+         * which frees the localStorage quota they were using.
+         */
+        async importLegacyData() {
+            const K = CONFIG.STORAGE_KEYS;
+            const S = CONFIG.DB.STORES;
+            const markerKey = CONFIG.DB.SETTING_KEYS.LEGACY_IMPORT;
+
+            if (await this.getSetting(markerKey)) return null;
+
+            const rawPatients = localStorage.getItem(K.PATIENTS);
+            const rawVisits = localStorage.getItem(K.VISITS);
+            const rawSettings = localStorage.getItem(K.SETTINGS);
+
+            const patients = rawPatients ? JSON.parse(rawPatients) : [];
+            const visits = rawVisits ? JSON.parse(rawVisits) : [];
+            const clinic = rawSettings ? JSON.parse(rawSettings) : null;
+            const summary = {
+                importedAt: new Date().toISOString(),
+                patients: patients.length,
+                visits: visits.length
             };
 
-            this.dom = {
-                // --- Top Bar & Navigation ---
-                clinicNameDisplay: get("clinicNameDisplay"),
-                doctorNameDisplay: get("doctorNameDisplay"),
-                globalSearch: get("globalPatientSearch"),
-                searchResults: get("patientSearchResults"),
-                liveTime: get("liveTime"),
-                liveDate: get("liveDate"),
-                themeToggleBtn: get("themeToggleBtn"),
-                
-                // --- Global Action Buttons ---
-                newPatientBtn: get("newPatientBtn"),
-                saveVisitBtn: get("saveVisitBtn"),
-                printBtn: get("printBtn"),
-                settingsBtn: get("clinicSettingsBtn"),
-                shortcutsBtn: get("shortcutsBtn"),
+            await this.transaction([S.PATIENTS, S.VISITS, S.SETTINGS], "readwrite", (stores) => {
+                patients.forEach(p => stores[S.PATIENTS].put(p));
+                visits.forEach(v => stores[S.VISITS].put(v));
+                if (clinic) stores[S.SETTINGS].put({ key: CONFIG.DB.SETTING_KEYS.CLINIC, value: clinic });
+                stores[S.SETTINGS].put({ key: markerKey, value: summary });
+            });
 
-                // --- Patient Header Context ---
-                contextStrip: get("currentPatientHeader"),
-                headerAvatar: get("headerAvatar"),
+            [K.PATIENTS, K.VISITS, K.SETTINGS].forEach(k => localStorage.removeItem(k));
+            if (patients.length || visits.length) {
+                Logger.success(`Imported legacy localStorage data: ${summary.patients} patients, ${summary.visits} visits.`);
+            }
+            return summary;
+        }
+    };
+
+
+    /* ==========================================================================
+       3.2 BACKUP FILE FORMAT
+       ==========================================================================
+       A backup is one JSON envelope holding every IndexedDB object store,
+       keyed by store name. Stores added by later migrations are picked up
+       automatically. The checksum is a SHA-256 of JSON.stringify(data), so a
+       truncated or hand-edited file is rejected before anything is written.
+       With encryption at rest turned on, `data` is replaced by `sealed`: the
+       whole dataset AES-GCM encrypted under the vault key, with the vault's
+       salt and iterations under `encryption` so the passphrase in use at
+       export time opens it on any computer. The checksum then covers
+       `sealed`. Without encryption the records are plain JSON and the file
+       itself must be kept somewhere safe.
+       ========================================================================== */
+
+    const Backup = {
+        FORMAT: "solo-clinic-backup",
+        FORMAT_VERSION: 1,
+
+        /**
+         * @param {CryptoKey|null} key Vault key; seals the data section when given
+         * @param {Object|null} header Vault header the key was derived with
+         */
+        async build(data, key = null, header = null) {
+            const sealed = key ? await Vault.encrypt(key, data) : null;
+            return {
+                format: this.FORMAT,
+                formatVersion: this.FORMAT_VERSION,
+                schemaVersion: Store.version,
+                app: `${CONFIG.APP_NAME} ${CONFIG.VERSION}`,
+                exportedAt: new Date().toISOString(),
+                ...(sealed ? { encryption: { salt: header.salt, iterations: header.iterations } } : {}),
+                checksum: await Utils.sha256Hex(JSON.stringify(sealed || data)),
+                ...(sealed ? { sealed } : { data })
+            };
+        },
+
+        /** Decrypts the data section of a sealed backup. */
+        async unseal(envelope, passphrase) {
+            const enc = envelope.encryption || {};
+            if (!enc.salt || !enc.iterations) throw new Error("Encrypted backup has no key parameters.");
+            if (!passphrase) throw new Error("This backup is encrypted; enter its passphrase.");
+            const key = await Vault.deriveKey(passphrase, Utils.base64ToBytes(enc.salt), enc.iterations);
+            try {
+                return await Vault.decrypt(key, envelope.sealed);
+            } catch (e) {
+                throw new Error("Wrong passphrase for this backup.");
+            }
+        },
+
+        /**
+         * Format, version and checksum checks; for a sealed backup these run
+         * before its passphrase is asked for.
+         */
+        async verify(envelope) {
+            if (!envelope || envelope.format !== this.FORMAT) throw new Error("Not a Solo Clinic backup file.");
+            if (envelope.formatVersion > this.FORMAT_VERSION) throw new Error(`Backup format v${envelope.formatVersion} is newer than this app supports.`);
+            if (envelope.schemaVersion > Store.version) throw new Error(`Backup was made with database schema v${envelope.schemaVersion}; this app is on v${Store.version}. Update the app first.`);
+            const payload = envelope.sealed || envelope.data;
+            if (!payload || typeof payload !== "object") throw new Error("Backup has no data section.");
+
+            const checksum = await Utils.sha256Hex(JSON.stringify(payload));
+            if (checksum !== envelope.checksum) throw new Error("Checksum mismatch: the file is corrupted or was edited.");
+        },
+
+        /**
+         * Validates a parsed backup envelope against the open database.
+         * Throws an Error describing the first problem found.
+         * @param {string|null} passphrase Needed only for a sealed backup
+         * @returns {Promise<{data: Object, ignoredStores: string[]}>}
+         */
+        async validate(envelope, keyPaths, passphrase = null) {
+            await this.verify(envelope);
+            const source = envelope.sealed ? await this.unseal(envelope, passphrase) : envelope.data;
+            if (!source || typeof source !== "object") throw new Error("Backup has no data section.");
+
+            const data = {};
+            const ignoredStores = [];
+            Object.entries(source).forEach(([storeName, records]) => {
+                if (!keyPaths[storeName]) return ignoredStores.push(storeName);
+                if (!Array.isArray(records)) throw new Error(`Section '${storeName}' is not a list of records.`);
+                records.forEach((r, i) => {
+                    if (!r || typeof r !== "object" || r[keyPaths[storeName]] === undefined) {
+                        throw new Error(`Record #${i + 1} in '${storeName}' has no '${keyPaths[storeName]}'.`);
+                    }
+                });
+                data[storeName] = records;
+            });
+            return { data, ignoredStores };
+        },
+
+        /**
+         * Compares incoming records with the current database, per store.
+         * @returns {Object} { storeName: { incoming, added, updated, unchanged, onlyLocal } }
+         */
+        summarize(incoming, current, keyPaths) {
+            const summary = {};
+            Object.keys(keyPaths).forEach(storeName => {
+                const key = keyPaths[storeName];
+                const local = new Map((current[storeName] || []).map(r => [r[key], JSON.stringify(r)]));
+                const rows = incoming[storeName] || [];
+                const s = { incoming: rows.length, added: 0, updated: 0, unchanged: 0, onlyLocal: 0 };
+                const seen = new Set();
+                rows.forEach(r => {
+                    seen.add(r[key]);
+                    if (!local.has(r[key])) s.added++;
+                    else if (local.get(r[key]) === JSON.stringify(r)) s.unchanged++;
+                    else s.updated++;
+                });
+                local.forEach((_, k) => { if (!seen.has(k)) s.onlyLocal++; });
+                summary[storeName] = s;
+            });
+            return summary;
+        }
+    };
+
+
+    /* ==========================================================================
+       3.3 ENCRYPTION AT REST (VAULT)
+       ==========================================================================
+       Optional. When enabled, patient-identifying stores are written as
+       { <index fields>, sealed: { iv, data } }: only the key path and the
+       fields IndexedDB indexes on stay readable, the rest of the record is
+       AES-GCM encrypted with a key derived from the doctor's passphrase.
+       The key only ever lives in memory; the header stored under
+       meta.encryption holds the salt and a verifier, never the key.
+       ========================================================================== */
+
+    const Vault = {
+        key: null,      // CryptoKey while unlocked
+        header: null,   // { salt, iterations, verifier } when encryption is on
+
+        // Store name -> fields kept in plaintext (key path + indexed fields)
+        SEALED_STORES: {
+            [CONFIG.DB.STORES.PATIENTS]: ["id"],
+            [CONFIG.DB.STORES.VISITS]: ["id", "patientId", "date"],
+            [CONFIG.DB.STORES.DRAFTS]: ["patientId"],
+            [CONFIG.DB.STORES.REVISIONS]: ["id", "visitId"]
+        },
+
+        VERIFIER_TEXT: "solo-clinic-vault-v1",
+
+        get enabled() { return !!this.header; },
+        get locked() { return this.enabled && !this.key; },
+
+        async load() {
+            this.header = (await Store.getSetting(CONFIG.DB.SETTING_KEYS.ENCRYPTION)) || null;
+            return this.header;
+        },
+
+        async deriveKey(passphrase, salt, iterations) {
+            const material = await crypto.subtle.importKey(
+                "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+            );
+            return crypto.subtle.deriveKey(
+                { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+                material,
+                { name: "AES-GCM", length: 256 },
+                false,
+                ["encrypt", "decrypt"]
+            );
+        },
+
+        async encrypt(key, value) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const bytes = new TextEncoder().encode(JSON.stringify(value));
+            const cipher = await crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, bytes);
+            return { iv: Utils.bytesToBase64(iv), data: Utils.bytesToBase64(new Uint8Array(cipher)) };
+        },
+
+        async decrypt(key, sealed) {
+            const plain = await crypto.subtle.decrypt(
+                { name: "AES-GCM", iv: Utils.base64ToBytes(sealed.iv) }, key, Utils.base64ToBytes(sealed.data)
+            );
+            return JSON.parse(new TextDecoder().decode(plain));
+        },
+
+        /**
+         * Derives the key from the passphrase and checks it against the verifier.
+         * @returns {Promise<boolean>} false for a wrong passphrase.
+         */
+        async unlock(passphrase) {
+            if (!this.header) return true;
+            const h = this.header;
+            const key = await this.deriveKey(passphrase, Utils.base64ToBytes(h.salt), h.iterations);
+            try {
+                if (await this.decrypt(key, h.verifier) !== this.VERIFIER_TEXT) return false;
+            } catch (e) {
+                return false; // AES-GCM authentication failed: wrong passphrase
+            }
+            this.key = key;
+            return true;
+        },
+
+        async sealAll(storeName, records, key = this.key) {
+            const plainFields = this.SEALED_STORES[storeName];
+            if (!plainFields || !key) {
+                if (plainFields && this.locked) throw new Error("Database is locked");
+                return records;
+            }
+            return Promise.all(records.map(async (r) => {
+                const row = {};
+                plainFields.forEach(f => { if (r[f] !== undefined) row[f] = r[f]; });
+                row.sealed = await this.encrypt(key, r);
+                return row;
+            }));
+        },
+
+        async unsealAll(storeName, rows) {
+            if (!this.SEALED_STORES[storeName]) return rows;
+            return Promise.all(rows.map(row => {
+                if (!row.sealed) return row; // Written before encryption was turned on
+                if (!this.key) throw new Error("Database is locked");
+                return this.decrypt(this.key, row.sealed);
+            }));
+        },
+
+        /**
+         * Re-encrypts every sealed store under a new passphrase, or writes it
+         * back in plaintext when `newPassphrase` is null. All rows and the new
+         * header are committed in a single transaction, so a failure leaves the
+         * old passphrase in force.
+         */
+        async rekey(newPassphrase) {
+            const storeNames = Object.keys(this.SEALED_STORES);
+            const records = {};
+            for (const n of storeNames) records[n] = await Store.getAll(n);
+
+            let header = null;
+            let key = null;
+            if (newPassphrase !== null) {
+                const salt = crypto.getRandomValues(new Uint8Array(16));
+                const iterations = CONFIG.SECURITY.PBKDF2_ITERATIONS;
+                key = await this.deriveKey(newPassphrase, salt, iterations);
+                header = {
+                    salt: Utils.bytesToBase64(salt),
+                    iterations: iterations,
+                    verifier: await this.encrypt(key, this.VERIFIER_TEXT),
+                    updatedAt: new Date().toISOString()
+                };
+            }
+
+            const rows = {};
+            for (const n of storeNames) rows[n] = key ? await this.sealAll(n, records[n], key) : records[n];
+
+            const S = CONFIG.DB.STORES.SETTINGS;
+            const headerKey = CONFIG.DB.SETTING_KEYS.ENCRYPTION;
+            await Store.transaction(storeNames.concat(S), "readwrite", (stores) => {
+                storeNames.forEach(n => rows[n].forEach(r => stores[n].put(r)));
+                if (header) stores[S].put({ key: headerKey, value: header });
+                else stores[S].delete(headerKey);
+            });
+
+            this.header = header;
+            this.key = key;
+        }
+    };
+
+
+    /* ==========================================================================
+       3.4 DRUG KNOWLEDGE INDEX (CLASS MAP & RX SAFETY CHECKS)
+       ========================================================================== */
+
+    /**
+     * Resolves free text (an Rx line, an allergy note) to the ingredients and
+     * DRUG_CLASSES it refers to. The ingredient list and class map are built
+     * once from window.meds_10000_cleaned, so database updates are picked up
+     * without touching this file.
+     */
+    const DrugKnowledge = {
+        built: false,
+        ingredients: new Map(),   // ingredient -> [classId]
+        byFirstWord: new Map(),   // first word -> [ingredient] (multi-word lookup)
+        aliases: new Map(),       // tag word -> [ingredient], e.g. "augmentin"
+        brands: [],               // { brand, generics, key, body, pattern }, longest name first
+        classMembers: {},         // classId -> [ingredient]
+
+        FORM_WORDS: /\b(tablets?|tab|capsules?|cap|syrup|suspension|injection|inj|infusion|drops?|nasal|eye|ear|cream|ointment|gel|lotion|spray|inhaler|rotacaps?|respules?|sachet|powder|solution|soap|shampoo|dispersible|chewable|oral|vaginal|suppository|patch|granules|lozenges?|mouthwash|sr|er|xr|mr|cr|dr|forte)\b/,
+
+        /**
+         * Splits a database name into ingredients:
+         * "Aceclofenac + Paracetamol Tablet (100 mg + 325 mg)" -> ["aceclofenac", "paracetamol"]
+         */
+        parseIngredients(name) {
+            let n = String(name || "").toLowerCase().replace(/\([^)]*\)/g, " ");
+            const cuts = [n.search(this.FORM_WORDS), n.search(/\d/)].filter(i => i >= 0);
+            if (cuts.length) n = n.slice(0, Math.min(...cuts));
+            return n.split("+")
+                .map(s => s.replace(/[^a-z\s-]/g, " ").replace(/\s+/g, " ").trim())
+                .filter(Boolean);
+        },
+
+        /** Class IDs for an ingredient or a single unrecognised word. */
+        classify(ingredient) {
+            const words = ingredient.split(" ");
+            return Object.keys(DRUG_CLASSES).filter(id => {
+                const c = DRUG_CLASSES[id];
+                return (c.members && c.members.includes(ingredient)) ||
+                    (c.pattern && words.some(w => c.pattern.test(w)));
+            });
+        },
+
+        addIngredient(ing) {
+            if (this.ingredients.has(ing)) return;
+            const classes = this.classify(ing);
+            this.ingredients.set(ing, classes);
+            classes.forEach(c => (this.classMembers[c] = this.classMembers[c] || []).push(ing));
+            const first = ing.split(" ")[0];
+            this.byFirstWord.set(first, (this.byFirstWord.get(first) || []).concat(ing));
+        },
+
+        build() {
+            if (this.built) return;
+            const meds = window.meds_10000_cleaned || [];
+            const tagged = new Map(); // tag word -> ingredient lists, one per medicine
+
+            meds.forEach(med => {
+                const ings = this.parseIngredients(med.name);
+                ings.forEach(ing => this.addIngredient(ing));
+
+                // Tag words that are not part of the name or category ("augmentin")
+                const own = new Set(`${med.name} ${med.category}`.toLowerCase().split(/[^a-z]+/));
+                new Set(med.searchString.split(/[^a-z]+/)).forEach(w => {
+                    if (w.length < 4 || own.has(w)) return;
+                    tagged.set(w, (tagged.get(w) || []).concat([ings]));
+                });
+            });
+
+            // A tag is an alias only if every medicine carrying it shares the
+            // same ingredient(s): "augmentin" qualifies, "infection" does not.
+            // Descriptive tags can still slip through ("lipid"), so resolve()
+            // only falls back to aliases when no ingredient is named.
+            tagged.forEach((lists, word) => {
+                if (lists.length < 2 || this.ingredients.has(word)) return;
+                const common = lists.reduce((acc, l) => acc.filter(i => l.includes(i)));
+                if (common.length) this.aliases.set(word, common);
+            });
+
+            // Drugs named by the rule tables but missing from the database
+            // (e.g. Dapagliflozin) must still resolve
+            const named = [
+                ...Object.values(DRUG_CLASSES).flatMap(c => c.members || []),
+                ...DRUG_INTERACTIONS.flatMap(r => r.a.concat(r.b)),
+                ...RENAL_DOSING.flatMap(r => r.match),
+                ...HEPATIC_DOSING.flatMap(r => r.match),
+                ...PREGNANCY_SAFETY.flatMap(r => r.match),
+                ...Object.keys(PEDIATRIC_DOSING)
+            ];
+            named.filter(t => t !== t.toUpperCase()).forEach(t => this.addIngredient(t));
+
+            // Trade names; "Telma-H" and "TelmaH" match "Telma H"
+            this.brands = BRAND_ALIASES.map(b => {
+                b.generics.forEach(g => this.addIngredient(g));
+                const body = b.brand.toLowerCase().split(/\s+/).join("[\\s-]*");
+                return {
+                    brand: b.brand,
+                    generics: b.generics,
+                    key: this.ingredientKey(b.generics),
+                    body,
+                    pattern: new RegExp(`(?<![a-z])${body}(?![a-z])`, "i")
+                };
+            }).sort((a, b) => b.brand.length - a.brand.length);
+
+            this.built = true;
+            Logger.info(`Drug class map: ${this.ingredients.size} ingredients, ${this.aliases.size} aliases, ${this.brands.length} brands`);
+        },
+
+        /** Order-independent key for an ingredient list ("telmisartan+amlodipine" = "amlodipine+telmisartan"). */
+        ingredientKey(ingredients) {
+            return [...new Set(ingredients)].sort().join("+");
+        },
+
+        /** Brand names whose generics are exactly `ingredients`. */
+        brandsFor(ingredients) {
+            this.build();
+            const key = this.ingredientKey(ingredients);
+            return this.brands.filter(b => b.key === key).map(b => b.brand);
+        },
+
+        /**
+         * Finds the (longest) brand named in a drug line and rewrites the line
+         * with the generic instead: "Tab. Telma H 40" -> "Tab. Telmisartan +
+         * Hydrochlorothiazide 40". A brand kept in brackets after the generic
+         * ("Aspirin Tablet 75 mg (Ecosprin)") is simply dropped.
+         * @returns {{brand: string, generic: string}|null}
+         */
+        splitBrand(text) {
+            this.build();
+            const line = String(text || "");
+            const hit = this.brands.find(b => b.pattern.test(line));
+            if (!hit) return null;
+            const bracketed = new RegExp(`\\s*\\(\\s*${hit.body}\\s*\\)`, "i");
+            const generic = bracketed.test(line)
+                ? line.replace(bracketed, "")
+                : line.replace(hit.pattern, hit.generics.map(g => g.replace(/\b[a-z]/g, ch => ch.toUpperCase())).join(" + "));
+            return { brand: hit.brand, generic: generic.replace(/\s+/g, " ").trim() };
+        },
+
+        /**
+         * @returns {{ingredients: string[], classes: string[]}}
+         */
+        resolve(text) {
+            this.build();
+            const words = String(text || "").toLowerCase().split(/[^a-z-]+/).filter(Boolean);
+            const padded = ` ${words.join(" ")} `;
+            const ingredients = new Set();
+            const classes = new Set();
+
+            words.forEach(w => {
+                (this.byFirstWord.get(w) || []).forEach(ing => {
+                    if (padded.includes(` ${ing} `)) ingredients.add(ing);
+                });
+                // Spellings missing from the database ("amoxycillin") still classify by pattern
+                this.classify(w).forEach(c => classes.add(c));
+            });
+            // Trade names from the alias table ("Tab. Telma H 40")
+            this.brands.forEach(b => {
+                if (b.pattern.test(text)) b.generics.forEach(ing => ingredients.add(ing));
+            });
+            // Brand-like tags from the database ("Tab. Augmentin 625")
+            if (!ingredients.size) {
+                words.forEach(w => (this.aliases.get(w) || []).forEach(ing => ingredients.add(ing)));
+            }
+            ingredients.forEach(ing => this.ingredients.get(ing).forEach(c => classes.add(c)));
+
+            // Class names written directly ("Sulfa drugs", "NSAIDs")
+            Object.keys(DRUG_CLASSES).forEach(id => {
+                if (DRUG_CLASSES[id].terms.some(t => padded.includes(` ${t} `))) classes.add(id);
+            });
+
+            return { ingredients: [...ingredients], classes: [...classes] };
+        },
+
+        /**
+         * Checks one drug against allergy entries ({ allergen, classId, reaction, severity }).
+         * level: "allergy" (same ingredient), "class" (same class) or "cross" (cross-reactive class).
+         * @returns {Array<{level, entry, message}>}
+         */
+        screenAllergies(drugText, entries) {
+            const drug = this.resolve(drugText);
+            const title = (s) => s.replace(/\b[a-z]/g, ch => ch.toUpperCase());
+            const alerts = [];
+
+            entries.forEach(entry => {
+                const allergen = this.resolve(entry.allergen);
+                if (entry.classId && !allergen.classes.includes(entry.classId)) allergen.classes.push(entry.classId);
+                const recorded = `${entry.allergen}${entry.reaction ? ` (${entry.reaction})` : ""}`;
+
+                const sameIngredient = drug.ingredients.filter(i => allergen.ingredients.includes(i));
+                const sameClass = drug.classes.filter(c => allergen.classes.includes(c));
+                const cross = ALLERGY_CROSS_REACTIVITY.filter(r =>
+                    allergen.classes.includes(r.allergy) && drug.classes.includes(r.drug));
+
+                if (sameIngredient.length) {
+                    alerts.push({ level: "allergy", entry, message: `Contains ${sameIngredient.map(title).join(", ")}; recorded allergy: ${recorded}` });
+                } else if (sameClass.length) {
+                    alerts.push({ level: "class", entry, message: `${sameClass.map(c => DRUG_CLASSES[c].label).join(", ")}; same class as recorded allergy: ${recorded}` });
+                } else if (cross.length) {
+                    cross.forEach(r => alerts.push({ level: "cross", entry, message: `${DRUG_CLASSES[r.drug].label} with ${recorded}: ${r.note}` }));
+                } else if (!allergen.ingredients.length && !allergen.classes.length) {
+                    // Unrecognised allergen: fall back to a plain text match
+                    const term = entry.allergen.toLowerCase().trim();
+                    if (term.length >= 3 && String(drugText).toLowerCase().includes(term)) {
+                        alerts.push({ level: "allergy", entry, message: `Name matches recorded allergy: ${recorded}` });
+                    }
+                }
+            });
+            return alerts;
+        },
+
+        /** Whether a resolved drug matches a rule side (class IDs or ingredients). */
+        matchesAny(resolved, tokens) {
+            return tokens.some(t => (t === t.toUpperCase() ? resolved.classes : resolved.ingredients).includes(t));
+        },
+
+        /**
+         * Evaluates DRUG_INTERACTIONS over every pair of Rx lines.
+         * @returns {Array<{rule, a, b}>} a/b are the Rx items, most severe first.
+         */
+        checkInteractions(rxList) {
+            const resolved = rxList.map(item => this.resolve(item.drug));
+            const found = [];
+
+            for (let i = 0; i < rxList.length; i++) {
+                for (let j = i + 1; j < rxList.length; j++) {
+                    const rule = DRUG_INTERACTIONS.find(r =>
+                        (this.matchesAny(resolved[i], r.a) && this.matchesAny(resolved[j], r.b)) ||
+                        (this.matchesAny(resolved[j], r.a) && this.matchesAny(resolved[i], r.b)));
+                    if (rule) found.push({ rule, a: rxList[i], b: rxList[j] });
+                }
+            }
+            return found.sort((x, y) =>
+                INTERACTION_SEVERITIES.indexOf(x.rule.severity) - INTERACTION_SEVERITIES.indexOf(y.rule.severity));
+        },
+
+        /**
+         * Finds Rx lines that repeat an active ingredient or a therapeutic class.
+         * Combination products count once per ingredient, so
+         * "Telmisartan + Amlodipine" duplicates a separate Telmisartan line.
+         * @returns {Array<{kind: "ingredient"|"class", labels: string[], items: object[]}>}
+         */
+        checkDuplicates(rxList) {
+            const title = (s) => s.replace(/\b[a-z]/g, ch => ch.toUpperCase());
+            const byIngredient = new Map();
+            const byClass = new Map();
+            const push = (map, key, item) => {
+                if (!map.has(key)) map.set(key, []);
+                if (!map.get(key).includes(item)) map.get(key).push(item);
+            };
+
+            rxList.forEach(item => {
+                const r = this.resolve(item.drug);
+                r.ingredients.forEach(ing => push(byIngredient, ing, item));
+                r.classes.filter(c => !DRUG_CLASSES[c].allowMultiple).forEach(c => push(byClass, c, item));
+            });
+
+            // One group per set of lines; "Diclofenac" and "Diclofenac Sodium" collapse
+            const groups = new Map();
+            const collect = (kind, label, items) => {
+                if (items.length < 2) return;
+                const key = items.map(i => i.id).sort().join(",");
+                if (kind === "class" && groups.has("ingredient|" + key)) return; // Already explained
+                const g = groups.get(kind + "|" + key) || { kind, labels: [], items };
+                g.labels.push(label);
+                groups.set(kind + "|" + key, g);
+            };
+            byIngredient.forEach((items, ing) => collect("ingredient", ing, items));
+            byClass.forEach((items, c) => collect("class", c, items));
+
+            return [...groups.values()].map(g => ({
+                ...g,
+                labels: g.kind === "class"
+                    ? g.labels.map(c => DRUG_CLASSES[c].label)
+                    : g.labels.filter(l => !g.labels.some(o => l.startsWith(o + " "))).map(title)
+            }));
+        },
+
+        /**
+         * Applies RENAL_DOSING and HEPATIC_DOSING to each Rx line.
+         * @param {{egfr: number|null, crcl: number|null, liver: ""|"A"|"B"|"C"}} fn
+         * @returns {Array<{item, organ: "renal"|"hepatic", action, advice, basis}>}
+         */
+        checkOrganDosing(rxList, fn) {
+            const alerts = [];
+            const liverRank = CHILD_PUGH_CLASSES.indexOf(fn.liver);
+
+            rxList.forEach(item => {
+                const r = this.resolve(item.drug);
+
+                RENAL_DOSING.filter(rule => this.matchesAny(r, rule.match)).forEach(rule => {
+                    const value = rule.basis === "crcl" ? fn.crcl : fn.egfr;
+                    if (value == null) return;
+                    const step = rule.steps.find(s => value < s.below);
+                    if (step) alerts.push({ item, organ: "renal", action: step.action, advice: step.advice,
+                        basis: `${rule.basis === "crcl" ? "CrCl" : "eGFR"} ${value} < ${step.below}` });
+                });
+
+                if (liverRank < 0) return;
+                HEPATIC_DOSING.filter(rule => this.matchesAny(r, rule.match)).forEach(rule => {
+                    const step = rule.steps.find(s => liverRank >= CHILD_PUGH_CLASSES.indexOf(s.from));
+                    if (step) alerts.push({ item, organ: "hepatic", action: step.action, advice: step.advice,
+                        basis: `Child-Pugh ${fn.liver}` });
+                });
+            });
+            return alerts;
+        },
+
+        /**
+         * Applies PREGNANCY_SAFETY to one drug for a pregnancy status.
+         * @param {{status: ""|"pregnant"|"lactating", weeks: number|null}} status
+         * @returns {Array<{context: "pregnancy"|"lactation", category?, advice}>} hard warnings only
+         */
+        screenPregnancy(drugText, status) {
+            if (!status || !status.status) return [];
+            const r = this.resolve(drugText);
+            const alerts = [];
+
+            PREGNANCY_SAFETY.filter(rule => this.matchesAny(r, rule.match)).forEach(rule => {
+                if (status.status === "pregnant" && rule.pregnancy) {
+                    const step = status.weeks == null
+                        ? rule.pregnancy[0]
+                        : rule.pregnancy.find(s => status.weeks >= s.fromWeek);
+                    if (step && PREGNANCY_HARD_CATEGORIES.includes(step.category)) {
+                        alerts.push({ context: "pregnancy", category: step.category, advice: step.advice });
+                    }
+                }
+                if (status.status === "lactating" && rule.lactation && rule.lactation.level === "avoid") {
+                    alerts.push({ context: "lactation", advice: rule.lactation.advice });
+                }
+            });
+            return alerts;
+        }
+    };
+
+
+    /* ==========================================================================
+       3.5 DOSAGE PARSER (FREQUENCY, DURATION & QUANTITY)
+       ========================================================================== */
+
+    /**
+     * Reads the free-text dose, frequency and duration of an Rx line into a
+     * structured sig, so the table can show timing icons and the print can
+     * state how much to dispense. Unrecognised text parses to nulls and is
+     * shown as typed.
+     */
+    const Dosage = {
+        // Doses per slot (morning, afternoon, night) for the standard codes
+        CODES: {
+            OD:  { slots: [1, 0, 0] },
+            BD:  { slots: [1, 0, 1] },
+            TDS: { slots: [1, 1, 1] },
+            TID: { slots: [1, 1, 1], code: "TDS" },
+            QID: { slots: [2, 1, 1] },
+            QD:  { slots: [2, 1, 1], code: "QID" }, // The frequency list offers QD as "Four times a day"
+            HS:  { slots: [0, 0, 1] },
+            SOS: { asNeeded: true },
+            PRN: { asNeeded: true, code: "SOS" },
+            STAT: { slots: [1, 0, 0], once: true }
+        },
+
+        WEEKDAYS: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+
+        FRACTIONS: { "½": 0.5, "¼": 0.25, "¾": 0.75, "1½": 1.5 },
+
+        // Units counted out at the pharmacy; drops and puffs are dispensed as a pack
+        COUNTABLE_UNITS: { tab: "Tab", tabs: "Tab", tablet: "Tab", tablets: "Tab", cap: "Cap", caps: "Cap",
+            capsule: "Cap", capsules: "Cap", sachet: "Sachet", sachets: "Sachet", ml: "ml", amp: "Amp", vial: "Vial" },
+
+        /** "½" -> 0.5, "1/2" -> 0.5, "1.5" -> 1.5; NaN when not a number. */
+        parseAmount(text) {
+            const t = String(text).trim();
+            if (t in this.FRACTIONS) return this.FRACTIONS[t];
+            const frac = /^(\d+)\s*\/\s*(\d+)$/.exec(t);
+            if (frac) return parseInt(frac[1], 10) / parseInt(frac[2], 10);
+            return /^\d+(\.\d+)?$/.test(t) ? parseFloat(t) : NaN;
+        },
+
+        /**
+         * @returns {{code: string|null, slots: number[]|null, perDay: number|null,
+         *            intervalHours: number|null, days: string[]|null, asNeeded: boolean,
+         *            once: boolean, notation: boolean}}
+         *   perDay is the average number of doses a day (3/7 for Mon/Wed/Fri);
+         *   slots are doses per time of day; for "1-0-1" notation they are
+         *   multiples of the written dose (one unit when none is written) and
+         *   may have four slots.
+         */
+        parseFrequency(text) {
+            const raw = String(text || "").trim();
+            const t = raw.toUpperCase();
+            const sig = { code: null, slots: null, perDay: null, intervalHours: null, days: null,
+                asNeeded: false, once: false, notation: false };
+            if (!t) return sig;
+
+            // "1-0-1", "½-0-½", "1-1-1-1"
+            const parts = t.split(/\s*-\s*/);
+            if (parts.length >= 3 && parts.length <= 4) {
+                const amounts = parts.map(p => this.parseAmount(p));
+                if (amounts.every(a => !isNaN(a)) && amounts.some(a => a > 0)) {
+                    sig.slots = amounts;
+                    sig.perDay = amounts.filter(a => a > 0).length;
+                    sig.notation = true;
+                    return sig;
+                }
+            }
+
+            // "every 8 hours", "q8h", "8 hourly", "6-hrly"
+            const interval = /(?:EVERY\s*|Q\s*)(\d+)\s*(?:H|HR|HRS|HOURS?)\b|(\d+)\s*-?\s*(?:HOURLY|HRLY)\b/.exec(t);
+            if (interval) {
+                const hours = parseInt(interval[1] || interval[2], 10);
+                if (hours > 0 && hours <= 24) {
+                    sig.intervalHours = hours;
+                    sig.perDay = 24 / hours;
+                    return sig;
+                }
+            }
+
+            // "Mon/Wed/Fri", "Mon, Thu"
+            const days = (t.match(/\b(SUN|MON|TUE|WED|THU|FRI|SAT)[A-Z]*\b/g) || [])
+                .map(dname => dname.slice(0, 3).toLowerCase());
+            if (days.length) {
+                sig.days = this.WEEKDAYS.filter(dname => days.includes(dname));
+                sig.perDay = sig.days.length / 7;
+                return sig;
+            }
+            if (/\bWEEKLY\b|ONCE A WEEK/.test(t)) { sig.perDay = 1 / 7; return sig; }
+            if (/ALTERNATE DAYS?|\bALT\.? DAY|\bEOD\b/.test(t)) { sig.perDay = 0.5; return sig; }
+
+            // Codes, taking the leading one: "OD (BBF)" -> OD. "OD/BD" is
+            // a choice between codes, so only the ceiling is kept (for quantity).
+            const codes = (t.match(/\b[A-Z]+\b/g) || []).filter(c => this.CODES[c]);
+            if (!codes.length) return sig;
+            const defs = codes.map(c => this.CODES[c]);
+            const perDayOf = (def) => def.slots ? def.slots.reduce((a, b) => a + b, 0) : null;
+            if (codes.length > 1 && /[\/|]|\bOR\b/.test(t)) {
+                sig.perDay = Math.max(...defs.map(perDayOf).filter(n => n != null));
+                return sig;
+            }
+            const def = defs[0];
+            sig.code = def.code || codes[0];
+            sig.slots = def.slots || null;
+            sig.perDay = perDayOf(def);
+            sig.asNeeded = !!def.asNeeded;
+            sig.once = !!def.once;
+            return sig;
+        },
+
+        /**
+         * "30 Days", "1 Mon", "2 wks", "5D", "Continuous".
+         * @returns {{days: number|null, label: string}} label is the normalised
+         *   text ("1 Month"), or the input when not understood.
+         */
+        parseDuration(text) {
+            const raw = String(text || "").trim();
+            const m = /^(\d+(?:\.\d+)?)\s*(d|days?|w|wks?|weeks?|m|mon|mons|months?|y|yrs?|years?)\.?$/i.exec(raw);
+            if (!m) return { days: null, label: raw };
+            const n = parseFloat(m[1]);
+            const unit = m[2].toLowerCase().charAt(0);
+            const [perUnit, name] = { d: [1, "Day"], w: [7, "Week"], m: [30, "Month"], y: [365, "Year"] }[unit];
+            return { days: Math.round(n * perUnit), label: `${n} ${name}${n === 1 ? "" : "s"}` };
+        },
+
+        /**
+         * "1 Tab" -> {amount: 1, unit: "Tab"}, "10ml" -> {amount: 10, unit: "ml"},
+         * "½ Tab", "2 Puffs". The unit falls back to the drug's form prefix.
+         */
+        parseDose(text, drug) {
+            const m = /^\s*(\d+(?:\.\d+)?(?:\s*\/\s*\d+)?|½|¼|¾|1½)\s*([a-z]*)/i.exec(String(text || "")) || [];
+            const amount = m[1] ? this.parseAmount(m[1]) : NaN;
+            let unit = m[2] ? m[2].toLowerCase() : "";
+            if (!unit) unit = (/^(tab|cap)\./i.exec(String(drug || "")) || [, ""])[1].toLowerCase();
+            return { amount: isNaN(amount) ? null : amount, unit: this.COUNTABLE_UNITS[unit] || (unit || null) };
+        },
+
+        /**
+         * Structured sig for an Rx item, with the dispense quantity when the
+         * dose is countable and both frequency and duration are understood.
+         * Multi-step items (tapers, titrations) are described step by step,
+         * and the quantity is the sum over steps.
+         * @returns {{frequency, duration, dose, quantity: {amount, unit}|null, steps: object[]|null}}
+         */
+        describe(item) {
+            if (!item.steps || !item.steps.length) return { ...this.describeStep(item), steps: null };
+
+            const steps = item.steps.map(step => this.describeStep({ drug: item.drug, ...step }));
+            const days = steps.every(s => s.duration.days) ? steps.reduce((sum, s) => sum + s.duration.days, 0) : null;
+            const units = [...new Set(steps.map(s => s.quantity && s.quantity.unit))];
+            const quantity = units.length === 1 && units[0]
+                ? { amount: steps.reduce((sum, s) => sum + s.quantity.amount, 0), unit: units[0] }
+                : null;
+            return {
+                frequency: steps[0].frequency,
+                duration: { days, label: days ? this.parseDuration(`${days} Days`).label : "" },
+                dose: steps[0].dose,
+                quantity,
+                steps
+            };
+        },
+
+        describeStep(item) {
+            const frequency = this.parseFrequency(item.freq);
+            const duration = this.parseDuration(item.duration);
+            const dose = this.toDosageUnits(this.parseDose(item.dose, item.drug), item.drug);
+
+            let quantity = null;
+            const countable = Object.values(this.COUNTABLE_UNITS).includes(dose.unit);
+            if (countable && frequency.once) {
+                if (dose.amount) quantity = { amount: dose.amount, unit: dose.unit };
+            } else if (countable && !frequency.asNeeded && frequency.perDay && duration.days) {
+                // "2 Tab, 1-0-1" is two tablets at each marked time
+                const unitsPerDay = frequency.notation
+                    ? frequency.slots.reduce((a, b) => a + b, 0) * (dose.amount || 1)
+                    : (dose.amount || 0) * frequency.perDay;
+                const amount = Math.ceil(unitsPerDay * duration.days - 1e-9);
+                if (amount > 0) quantity = { amount, unit: dose.unit };
+            }
+            return { frequency, duration, dose, quantity };
+        },
+
+        /**
+         * A dose written in mg for a single-strength tablet or capsule becomes
+         * a tablet count: "20 mg" of "Tab. Prednisolone 10mg" -> 2 Tab. Only
+         * whole, half and quarter tablets are converted.
+         */
+        toDosageUnits(dose, drug) {
+            const MG = { mcg: 0.001, mg: 1, g: 1000 };
+            const form = /^(tab|cap)\./i.exec(String(drug || ""));
+            const strengths = String(drug || "").match(/\d+(?:\.\d+)?\s*(?:mcg|mg|g)\b/gi) || [];
+            if (!form || strengths.length !== 1 || dose.amount == null || !(dose.unit in MG)) return dose;
+
+            const s = /(\d+(?:\.\d+)?)\s*(mcg|mg|g)/i.exec(strengths[0]);
+            const count = (dose.amount * MG[dose.unit]) / (parseFloat(s[1]) * MG[s[2].toLowerCase()]);
+            if (Math.abs(count * 4 - Math.round(count * 4)) > 1e-9) return dose;
+            return { amount: count, unit: this.COUNTABLE_UNITS[form[1].toLowerCase()] };
+        },
+
+        /**
+         * Reads typed tapers such as "20mg OD x5d then 10mg OD x5d" into steps.
+         * A segment without a frequency takes `defaultFreq`.
+         * @returns {Array<{dose, freq, duration}>|null} null unless every
+         *   segment has a dose and a duration and there are at least two.
+         */
+        parseTaper(text, defaultFreq) {
+            const segments = String(text || "").split(/\s*(?:\bthen\b|->|→|;)\s*/i).filter(Boolean);
+            if (segments.length < 2) return null;
+
+            const steps = segments.map(seg => {
+                const m = /^(.*?)\s*(?:\bx\b|×|\bx(?=\d)|\bfor\b)\s*(\d+(?:\.\d+)?\s*[a-z]+)\.?$/i.exec(seg.trim());
+                if (!m) return null;
+                const duration = this.parseDuration(m[2]);
+                if (!duration.days) return null;
+
+                // A trailing frequency ("10mg BD", "1 Tab 1-0-1") is split off
+                // the dose; "1-0-1" alone is the frequency with one unit per dose
+                const words = m[1].trim().split(/\s+/);
+                let freq = defaultFreq || "";
+                const last = words[words.length - 1];
+                const f = this.parseFrequency(last);
+                if (words.length > 1 && (f.perDay || f.asNeeded)) {
+                    freq = last;
+                    words.pop();
+                } else if (words.length === 1 && f.notation) {
+                    freq = last;
+                    words[0] = "1";
+                }
+                const dose = words.join(" ");
+                return dose ? { dose, freq, duration: duration.label } : null;
+            });
+            return steps.every(Boolean) ? steps : null;
+        },
+
+        formatQuantity(quantity) {
+            return quantity ? `${quantity.amount} ${quantity.unit}` : "";
+        },
+
+        /** Sun/moon cue for the Rx table: "☀️ 🌙 (BD)", "☀️ 🌙 (1-0-1)". */
+        timingIcons(item) {
+            const f = this.parseFrequency(item.freq);
+            const label = String(item.freq || "");
+            if (f.asNeeded) return `⚠️ (${label})`;
+            if (f.intervalHours) return `⏱️ (${label})`;
+            if (f.days || (f.perDay && f.perDay < 1)) return `📅 (${label})`;
+            if (!f.slots) return label;
+            const icons = f.slots.length === 4 ? ["☀️", "🌤️", "🌇", "🌙"] : ["☀️", "🌤️", "🌙"];
+            const cues = f.slots.flatMap((n, i) => n > 0 ? Array(f.notation ? 1 : n).fill(icons[i]) : []);
+            return `${cues.join(" ")} (${label})`;
+        }
+    };
+
+
+    /* ==========================================================================
+       3.6 DRUG SEARCH INDEX (RANKED, TYPO-TOLERANT AUTOCOMPLETE)
+       ========================================================================== */
+
+    /**
+     * Token index over the `searchString` (name, category, tags) that
+     * meds_all_combined.js precomputes for every entry. Built once at boot.
+     * Each query word must match a token exactly, as a prefix, or within a
+     * small edit distance ("amlodepine", "paracetmol"); name tokens weigh more
+     * than category/tag tokens ("bp", "sugar"). The doctor's own prescribing
+     * counts break near-ties.
+     */
+    const DrugSearch = {
+        built: false,
+        entries: [],          // { med, name, nameTokens: Set, brandTokens: Set }
+        postings: new Map(),  // token -> Set(entry index)
+        vocabulary: [],       // sorted distinct tokens, for prefix ranges
+        usage: new Map(),     // lowercase Rx text or first name word -> times prescribed
+        customStart: null,    // index of the first custom entry
+
+        FIELD_WEIGHT: { name: 1, brand: 0.9, tag: 0.6 },
+        MATCH_WEIGHT: { exact: 1, prefix: 0.8, fuzzy: 0.6 },
+        FORM_PREFIX: /^(tab|cap|syr|inj|oint|drops?|susp|cream|gel)\.?$/,
+
+        tokenize(text) {
+            return String(text || "").toLowerCase().split(/[^a-z0-9.%]+/)
+                .map(t => t.replace(/^\.+|\.+$/g, ""))
+                .filter(Boolean);
+        },
+
+        build() {
+            if (this.built) return;
+            (window.meds_10000_cleaned || []).forEach(med => this.add(med));
+            this.vocabulary = [...this.postings.keys()].sort();
+            this.built = true;
+            Logger.info(`Drug search index: ${this.entries.length} entries, ${this.vocabulary.length} tokens`);
+        },
+
+        /**
+         * Adds one { name, type, category, searchString } entry; callers re-sort
+         * the vocabulary. Database entries get `med.brands` from BRAND_ALIASES.
+         */
+        add(med) {
+            const index = this.entries.length;
+            const nameTokens = new Set(this.tokenize(med.name));
+            if (!med.custom) {
+                const brands = DrugKnowledge.brandsFor(DrugKnowledge.parseIngredients(med.name));
+                if (brands.length) med.brands = brands;
+            }
+            const brandTokens = new Set(this.tokenize((med.brands || []).join(" ")));
+            this.entries.push({ med, name: med.name.toLowerCase(), nameTokens, brandTokens });
+            const all = new Set(this.tokenize(`${med.searchString || `${med.name} ${med.category || ""}`} ${med.type || ""}`));
+            nameTokens.forEach(t => all.add(t));
+            brandTokens.forEach(t => all.add(t));
+            all.forEach(t => {
+                if (!this.postings.has(t)) this.postings.set(t, new Set());
+                this.postings.get(t).add(index);
+            });
+        },
+
+        /**
+         * Replaces the doctor's custom entries (hidden ones are left out).
+         * Master entries stay in place; custom ones are always appended after
+         * them, so this can run again after every edit.
+         */
+        setCustom(drugs) {
+            this.build();
+            if (this.customStart == null) this.customStart = this.entries.length;
+            const start = this.customStart;
+            this.postings.forEach((ids, token) => {
+                ids.forEach(i => { if (i >= start) ids.delete(i); });
+                if (!ids.size) this.postings.delete(token);
+            });
+            this.entries.length = start;
+            (drugs || []).filter(c => !c.hidden).forEach(c => this.add({
+                name: c.name,
+                type: c.type,
+                category: c.category,
+                searchString: `${c.name} ${c.category} ${c.tags || ""}`.toLowerCase(),
+                custom: true
+            }));
+            this.vocabulary = [...this.postings.keys()].sort();
+        },
+
+        /** First word of a drug name that is not a dosage form ("Tab. Amlodipine" -> "amlodipine"). */
+        headWord(name) {
+            return this.tokenize(name).find(t => !this.FORM_PREFIX.test(t) && /^[a-z]/.test(t)) || "";
+        },
+
+        /** Prescribing counts from saved visits, by exact text and by head word. */
+        setUsage(visits) {
+            this.usage = new Map();
+            (visits || []).forEach(v => (v.rx || []).forEach(r => this.recordUse(r.drug)));
+        },
+
+        recordUse(drug) {
+            [String(drug || "").trim().toLowerCase(), `~${this.headWord(drug)}`].forEach(key => {
+                if (key && key !== "~") this.usage.set(key, (this.usage.get(key) || 0) + 1);
+            });
+        },
+
+        usageOf(entry) {
+            return (this.usage.get(entry.name) || 0) + 0.5 * (this.usage.get(`~${this.headWord(entry.name)}`) || 0);
+        },
+
+        /**
+         * Vocabulary tokens one query word can stand for, with match weights.
+         * Words of 4+ letters also match within 1 edit (2 from 7 letters);
+         * from 5 letters a word still being typed matches a token's prefix
+         * within 1 edit.
+         */
+        expand(word) {
+            const found = new Map();
+            if (this.postings.has(word)) found.set(word, this.MATCH_WEIGHT.exact);
+
+            // Prefix range in the sorted vocabulary
+            let lo = 0, hi = this.vocabulary.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (this.vocabulary[mid] < word) lo = mid + 1; else hi = mid;
+            }
+            for (let i = lo; i < this.vocabulary.length && this.vocabulary[i].startsWith(word); i++) {
+                if (!found.has(this.vocabulary[i])) found.set(this.vocabulary[i], this.MATCH_WEIGHT.prefix);
+            }
+
+            if (word.length >= 4 && /^[a-z]+$/.test(word)) {
+                const maxEdits = word.length >= 7 ? 2 : 1;
+                this.vocabulary.forEach(token => {
+                    if (found.has(token) || token[0] !== word[0] || token.length < word.length - maxEdits) return;
+                    const whole = Math.abs(token.length - word.length) <= maxEdits &&
+                        Utils.levenshtein(word, token) <= maxEdits;
+                    const typing = word.length >= 5 && token.length > word.length &&
+                        Utils.levenshtein(word, token.slice(0, word.length)) <= 1;
+                    if (whole || typing) found.set(token, this.MATCH_WEIGHT.fuzzy);
+                });
+            }
+            return found;
+        },
+
+        /**
+         * @returns {Array<{med, score, matched: string[], brand: string}>} best
+         *   first, at most `limit`. `matched` holds the index tokens the query
+         *   words hit; `brand` is the trade name they spelled, if any.
+         */
+        search(query, limit = 15) {
+            this.build();
+            const words = this.tokenize(query);
+            if (!words.length) return [];
+
+            const scores = new Map(); // entry index -> { score, matched }
+            for (let w = 0; w < words.length; w++) {
+                const perEntry = new Map();
+                this.expand(words[w]).forEach((weight, token) => {
+                    this.postings.get(token).forEach(i => {
+                        if (w > 0 && !scores.has(i)) return; // Every word must match
+                        const entry = this.entries[i];
+                        const field = entry.nameTokens.has(token) ? "name" : entry.brandTokens.has(token) ? "brand" : "tag";
+                        const s = weight * this.FIELD_WEIGHT[field];
+                        if (!perEntry.has(i) || s > perEntry.get(i).s) perEntry.set(i, { s, token });
+                    });
+                });
+                if (w === 0) perEntry.forEach((m, i) => scores.set(i, { score: m.s, matched: [m.token] }));
+                else [...scores.keys()].forEach(i => {
+                    const m = perEntry.get(i);
+                    if (!m) return scores.delete(i);
+                    scores.get(i).score += m.s;
+                    scores.get(i).matched.push(m.token);
+                });
+                if (!scores.size) return [];
+            }
+
+            const q = words.join(" ");
+            return [...scores.entries()].map(([i, hit]) => {
+                const entry = this.entries[i];
+                let score = hit.score / words.length;
+                if (entry.name.startsWith(q)) score += 0.3;
+                score += Math.min(0.5, 0.15 * Math.log2(1 + this.usageOf(entry)));
+                return { med: entry.med, score, matched: hit.matched, name: entry.name };
+            }).sort((a, b) => b.score - a.score || a.name.length - b.name.length || a.name.localeCompare(b.name))
+              .slice(0, limit)
+              .map(({ med, score, matched }) => ({ med, score, matched, brand: this.brandMatched(med, matched) }));
+        },
+
+        /** Longest of the entry's brands whose words all appear in `matched` ("Telma H" over "Telma"). */
+        brandMatched(med, matched) {
+            return (med.brands || [])
+                .filter(b => this.tokenize(b).every(t => matched.includes(t)))
+                .sort((a, b) => b.length - a.length)[0] || "";
+        }
+    };
+
+
+    /* ==========================================================================
+       3.7 PROTOCOL MATCHER (SCORED DIAGNOSIS LOOKUP)
+       ========================================================================== */
+
+    /**
+     * Scores knowledge-base protocols against a free-text diagnosis. Keywords
+     * match whole words and phrases only ("af" no longer matches "after"), a
+     * phrase outranks the words inside it, and every protocol the text names
+     * is returned, so "HTN with T2DM" yields both hypertension and diabetes.
+     * Only affirmed words count (see ClinicalText): "no fever" and "HTN ruled
+     * out" are reported as excluded instead.
+     */
+    const ProtocolMatcher = {
+        tokenize(text) {
+            return String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+        },
+
+        /**
+         * @returns {{candidates: Array<{id, proto, score, keywords: string[]}>,
+         *   excluded: Array<{id, proto, keyword, context}>}} candidates best
+         *   first. `score` is the number of diagnosis words the protocol's
+         *   keywords cover; the catch-all DEFAULT protocol is never returned.
+         *   `excluded` lists keywords found only negated, uncertain or as history.
+         */
+        match(text, protocols = MEDICAL_KNOWLEDGE_BASE) {
+            const words = ClinicalText.analyze(text);
+            const hits = []; // { id, keyword, start, end } word spans
+            const excluded = [];
+            Object.entries(protocols).forEach(([id, proto]) => {
+                if (id === "DEFAULT") return;
+                (proto.keywords || []).forEach(keyword => {
+                    const kw = this.tokenize(keyword);
+                    if (!kw.length) return;
+                    for (let i = 0; i + kw.length <= words.length; i++) {
+                        if (!kw.every((w, j) => words[i + j].word === w)) continue;
+                        const context = words.slice(i, i + kw.length).map(w => w.context).find(c => c !== "affirmed");
+                        if (context) excluded.push({ id, proto, keyword, context, start: i, end: i + kw.length });
+                        else hits.push({ id, keyword, start: i, end: i + kw.length });
+                    }
+                });
+            });
+
+            // Longer phrases claim their words first: "uncontrolled bp" counts
+            // for stage 2 hypertension only, not again as "bp" for stage 1
+            hits.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+            const claimed = [];
+            const results = new Map();
+            hits.forEach(hit => {
+                const covered = claimed.some(c => c.start <= hit.start && hit.end <= c.end &&
+                    (c.id === hit.id || c.end - c.start > hit.end - hit.start));
+                if (covered) return;
+                claimed.push(hit);
+                if (!results.has(hit.id)) results.set(hit.id, { id: hit.id, proto: protocols[hit.id], score: 0, keywords: [] });
+                const result = results.get(hit.id);
+                result.score += hit.end - hit.start;
+                if (!result.keywords.includes(hit.keyword)) result.keywords.push(hit.keyword);
+            });
+
+            const order = Object.keys(protocols);
+            return {
+                candidates: [...results.values()].sort((a, b) => b.score - a.score || order.indexOf(a.id) - order.indexOf(b.id)),
+                // Inner words of an excluded phrase ("pain" in "denies chest pain") are not listed again
+                excluded: excluded.filter(e => !results.has(e.id) && !excluded.some(x =>
+                    x.start <= e.start && e.end <= x.end && x.end - x.start > e.end - e.start))
+            };
+        }
+    };
+
+
+    /* ==========================================================================
+       3.8 CLINICAL TEXT PRE-PROCESSOR (NEGATION & CONTEXT)
+       ========================================================================== */
+
+    /**
+     * Labels each word of a diagnosis as affirmed, negated, uncertain or
+     * history, in the manner of NegEx: a cue ("no", "r/o", "?", "h/o") covers
+     * up to SCOPE words before or after it, and never crosses a clause break
+     * (",", ";", ".", new line) or a contrast word ("but").
+     *   "no fever, r/o angina, HTN" -> fever: negated, angina: negated, htn: affirmed
+     */
+    const ClinicalText = {
+        SCOPE: 6,
+
+        // Abbreviations folded into single tokens before splitting
+        ABBREVIATIONS: [
+            [/\bk\s*\/\s*c\s*\/\s*o\b/g, " kco "],
+            [/\bh\s*\/\s*o\b/g, " ho "],
+            [/\br\s*\/\s*o\b/g, " ro "],
+            [/\bc\s*\/\s*o\b/g, " co "],
+            [/\?(?=\s*[a-z0-9])(?<![a-z0-9)]\?)/g, " qpre "], // "?angina", "HTN ? angina"
+            [/\?/g, " qpost "]                                  // "angina?"
+        ],
+
+        // dir: "pre" covers the words after the cue, "post" the words before it
+        CUES: [
+            { phrase: "no", context: "negated", dir: "pre" },
+            { phrase: "not", context: "negated", dir: "pre" },
+            { phrase: "denies", context: "negated", dir: "pre" },
+            { phrase: "denied", context: "negated", dir: "both" },
+            { phrase: "without", context: "negated", dir: "pre" },
+            { phrase: "negative for", context: "negated", dir: "pre" },
+            { phrase: "free of", context: "negated", dir: "pre" },
+            { phrase: "ro", context: "negated", dir: "pre" },
+            { phrase: "rule out", context: "negated", dir: "pre" },
+            { phrase: "ruled out", context: "negated", dir: "both" },
+            { phrase: "excluded", context: "negated", dir: "post" },
+            { phrase: "absent", context: "negated", dir: "post" },
+            { phrase: "qpre", context: "uncertain", dir: "pre" },
+            { phrase: "qpost", context: "uncertain", dir: "post" },
+            { phrase: "suspected", context: "uncertain", dir: "both" },
+            { phrase: "suspicion of", context: "uncertain", dir: "pre" },
+            { phrase: "possible", context: "uncertain", dir: "pre" },
+            { phrase: "probable", context: "uncertain", dir: "pre" },
+            { phrase: "query", context: "uncertain", dir: "pre" },
+            { phrase: "unlikely", context: "uncertain", dir: "post" },
+            { phrase: "kco", context: "history", dir: "pre" },
+            { phrase: "known case of", context: "history", dir: "pre" },
+            { phrase: "ho", context: "history", dir: "pre" },
+            { phrase: "history of", context: "history", dir: "pre" },
+            { phrase: "in the past", context: "history", dir: "post" }
+        ],
+
+        TERMINATORS: ["but", "however", "although", "though", "except"],
+
+        // A past problem ends where the current one starts: "k/c/o HTN with fever", "h/o MI c/o chest pain"
+        SCOPE_ENDS: { history: ["with", "now", "presents", "presenting", "co"] },
+
+        /**
+         * @returns {Array<{word: string, context: string}>} context is
+         *   "affirmed", "negated", "uncertain" or "history" for words, "cue"
+         *   for the cue words themselves and "break" for clause breaks.
+         */
+        analyze(text) {
+            let t = String(text || "").toLowerCase();
+            this.ABBREVIATIONS.forEach(([re, token]) => { t = t.replace(re, token); });
+            const tokens = t.replace(/[,;.:\n]+/g, " | ").split(/[^a-z0-9|]+/).filter(Boolean)
+                .map(word => ({ word, context: word === "|" || this.TERMINATORS.includes(word) ? "break" : "affirmed" }));
+
+            // Find the cues, longest phrase first at each position
+            const cues = [...this.CUES].sort((a, b) => b.phrase.length - a.phrase.length).map(c => ({ ...c, words: c.phrase.split(" ") }));
+            const found = [];
+            for (let i = 0; i < tokens.length; i++) {
+                const cue = cues.find(c => c.words.every((w, j) => tokens[i + j] && tokens[i + j].word === w));
+                if (!cue) continue;
+                for (let j = 0; j < cue.words.length; j++) tokens[i + j].context = "cue";
+                found.push({ cue, start: i, end: i + cue.words.length });
+                i += cue.words.length - 1;
+            }
+
+            // The first cue to reach a word decides its context
+            const ends = (context) => this.SCOPE_ENDS[context] || [];
+            const mark = (from, step, context) => {
+                for (let i = from, n = 0; i >= 0 && i < tokens.length && n < this.SCOPE; i += step) {
+                    const token = tokens[i];
+                    if (token.context === "break" || ends(context).includes(token.word)) break;
+                    if (token.context === "cue") continue;
+                    if (token.context === "affirmed") token.context = context;
+                    n++;
+                }
+            };
+            found.forEach(({ cue, start, end }) => {
+                if (cue.dir !== "post") mark(end, 1, cue.context);
+                if (cue.dir !== "pre") mark(start - 1, -1, cue.context);
+            });
+            return tokens;
+        }
+    };
+
+
+    /* ==========================================================================
+       3.9 PROTOCOL PACK FORMAT
+       ==========================================================================
+       A protocol pack shares a set of protocols between clinics as one JSON
+       file. Entries have the shape of MEDICAL_KNOWLEDGE_BASE:
+
+       {
+         "format": "solo-clinic-protocol-pack",
+         "formatVersion": 1,
+         "pack": {
+           "id": "peds-basics",          (letters, digits, ".", "_" and "-")
+           "name": "Paediatric Basics",
+           "version": "1.2.0",
+           "author": "Dr. A. Rao",       (optional)
+           "description": "..."          (optional)
+         },
+         "protocols": {
+           "PROTO-PED-001": {
+             "condition": "Acute Otitis Media",
+             "category": "Paediatrics",
+             "keywords": ["aom", "otitis media", "ear pain"],
+             "rx": [{ "drug": "Syp. Amoxicillin 250mg/5ml", "dose": "5 ml",
+                      "freq": "TDS", "dur": "7 Days", "remarks": "After food" }],
+             "advice": "...",
+             "investigations": "..."
+           }
+         }
+       }
+
+       A tapering Rx line carries "steps": [{ "dose", "freq", "dur" }]. A pack
+       is stored whole, so it can be switched off, or replaced by importing a
+       newer file with the same pack id, in one step.
+       ========================================================================== */
+
+    const ProtocolPack = {
+        FORMAT: "solo-clinic-protocol-pack",
+        FORMAT_VERSION: 1,
+        ID_PATTERN: /^[a-z0-9][a-z0-9._-]*$/i,
+
+        // Lower-cased names and ingredient keys of meds_10000_cleaned, built on first use
+        dbNames: null,
+        dbKeys: null,
+
+        build(meta, protocols) {
+            const entries = {};
+            Object.entries(protocols).forEach(([id, p]) => {
+                entries[id] = {
+                    condition: p.condition,
+                    category: p.category || "",
+                    keywords: p.keywords || [],
+                    rx: p.rx,
+                    advice: p.advice || "",
+                    investigations: p.investigations || ""
+                };
+            });
+            return {
+                format: this.FORMAT,
+                formatVersion: this.FORMAT_VERSION,
+                app: `${CONFIG.APP_NAME} ${CONFIG.VERSION}`,
+                exportedAt: new Date().toISOString(),
+                pack: meta,
+                protocols: entries
+            };
+        },
+
+        /**
+         * Validates a parsed pack. Throws an Error describing the first problem found.
+         * @returns {{pack: Object, protocols: Object}} text trimmed, keywords
+         *   lower-cased and unknown fields dropped.
+         */
+        validate(envelope) {
+            if (!envelope || envelope.format !== this.FORMAT) throw new Error("Not a Solo Clinic protocol pack.");
+            if (envelope.formatVersion > this.FORMAT_VERSION) throw new Error(`Pack format v${envelope.formatVersion} is newer than this app supports.`);
+            if (!envelope.pack || typeof envelope.pack !== "object") throw new Error("Pack has no 'pack' section.");
+
+            const text = (v) => typeof v === "string" ? v.trim().replace(/\s+/g, " ") : "";
+            const meta = envelope.pack;
+            const pack = { id: text(meta.id), name: text(meta.name), version: text(meta.version), author: text(meta.author), description: text(meta.description) };
+            if (!this.ID_PATTERN.test(pack.id)) throw new Error("Pack id is missing or uses characters other than letters, digits, '.', '_' and '-'.");
+            if (!pack.name) throw new Error("Pack has no name.");
+            if (!pack.version) throw new Error("Pack has no version.");
+
+            const source = envelope.protocols;
+            if (!source || typeof source !== "object" || Array.isArray(source)) throw new Error("Pack has no 'protocols' section.");
+            const ids = Object.keys(source);
+            if (!ids.length) throw new Error("Pack contains no protocols.");
+
+            const protocols = {};
+            ids.forEach(id => {
+                const p = source[id];
+                // Ids end up in markup and as object keys ("__proto__")
+                if (!this.ID_PATTERN.test(id)) throw new Error(`Protocol id '${id}' uses characters other than letters, digits, '.', '_' and '-'.`);
+                const where = `Protocol '${id}'`;
+                if (!p || typeof p !== "object") throw new Error(`${where} is not an object.`);
+                if (!text(p.condition)) throw new Error(`${where} has no condition.`);
+                const keywords = (Array.isArray(p.keywords) ? p.keywords : []).map(k => text(k).toLowerCase()).filter(Boolean);
+                // DEFAULT is the no-match fallback and is never matched by keyword
+                if (!keywords.length && id !== "DEFAULT") throw new Error(`${where} has no keywords.`);
+                if (!Array.isArray(p.rx)) throw new Error(`${where} has no 'rx' list.`);
+
+                const rx = p.rx.map((m, i) => {
+                    if (!m || !text(m.drug)) throw new Error(`${where}, Rx line ${i + 1} has no drug.`);
+                    const line = { drug: text(m.drug), dose: text(m.dose), freq: text(m.freq), dur: text(m.dur), remarks: text(m.remarks) };
+                    if (m.steps !== undefined) {
+                        if (!Array.isArray(m.steps) || !m.steps.length) throw new Error(`${where}, Rx line ${i + 1} has an empty schedule.`);
+                        line.steps = m.steps.map(s => ({ dose: text(s && s.dose), freq: text(s && s.freq), dur: text(s && s.dur) }));
+                    }
+                    return line;
+                });
+
+                protocols[id] = {
+                    condition: text(p.condition),
+                    category: text(p.category) || "Custom",
+                    keywords: keywords.filter((k, i) => keywords.indexOf(k) === i),
+                    rx,
+                    advice: text(p.advice),
+                    investigations: text(p.investigations)
+                };
+            });
+            return { pack, protocols };
+        },
+
+        /**
+         * Whether a drug line names a medicine in meds_10000_cleaned, either
+         * word for word or by the same ingredient(s): "Tab. Telmisartan 40mg"
+         * and "Tab. Telma 40" both find "Telmisartan Tablet 40 mg".
+         */
+        isKnownDrug(drug) {
+            if (!this.dbKeys) {
+                const meds = window.meds_10000_cleaned || [];
+                this.dbNames = new Set(meds.map(med => med.name.toLowerCase()));
+                this.dbKeys = new Set(meds.map(med => DrugKnowledge.ingredientKey(DrugKnowledge.parseIngredients(med.name))));
+            }
+            if (this.dbNames.has(drug.trim().toLowerCase())) return true;
+            const { ingredients } = DrugKnowledge.resolve(drug);
+            // "metoprolol succinate" also resolves "metoprolol"; keep the longer name
+            const named = ingredients.filter(i => !ingredients.some(o => o !== i && ` ${o} `.includes(` ${i} `)));
+            return named.length > 0 && this.dbKeys.has(DrugKnowledge.ingredientKey(named));
+        },
+
+        /** @returns {Array<{id, drug}>} Rx lines whose drug is not in the database. */
+        unknownDrugs(protocols) {
+            return Object.entries(protocols).flatMap(([id, p]) =>
+                p.rx.filter(m => !this.isKnownDrug(m.drug)).map(m => ({ id, drug: m.drug })));
+        }
+    };
+
+
+    /* ==========================================================================
+       4.0 CORE CONTROLLER & STATE
+       ========================================================================== */
+
+    /**
+     * The Singleton Application Controller.
+     */
+    const App = {
+        
+        // --- 4.1 Application State Store ---
+        state: {
+            // Configuration Settings (User Preferences)
+            clinic: { ...CONFIG.DEFAULTS },
+            
+            // Database (Arrays of Objects)
+            patients: [],
+            visits: [],
+            
+            // Runtime Session Context
+            currentPatient: null,
+            currentVisit: null,
+            
+            // Unsaved drafts by patientId ({ patientId, visitId, updatedAt, visit, snapshot })
+            drafts: {},
+            autosaveTimer: null,
+
+            // Rx Engine Specific State
+            rxList: [],
+            editingRxId: null, // ID of medicine currently being edited
+            rxSteps: [], // Taper steps staged before the line is added
+            drugSuggestions: [], // Entries in the autocomplete list
+            drugSuggestionIndex: -1, // Highlighted row (keyboard), -1 for none
+
+            // Ranked protocol matches awaiting the doctor's choice
+            aiCandidates: [], // { id, proto, score, keywords, selected }
+            protocolMerge: null, // Lines under review before a protocol is added
+
+            // Doctor's own drug entries (merged into the search index)
+            customDrugs: [],
+            editingCustomDrugId: null,
+
+            // Doctor's protocols; an entry with a built-in id overrides it
+            userProtocols: [],
+            protocolDraft: null, // Protocol open in the editor: { id, rx }
+            protocolPacks: [], // Imported packs, layered between the built-ins and the doctor's own
+            pendingPack: null, // Validated pack awaiting the doctor's Import decision
+            
+            // UI & Feature Flags
+            isRecording: false,
+            activeDictationInput: null,
+            recognitionObject: null,
+            isDarkMode: false,
+            
+            // Undo stack for protocol applications (current visit only)
+            historyStack: [],
+
+            // Validated backup awaiting the doctor's Merge/Replace decision
+            pendingRestore: null,
+
+            // Patient Merge Tool (ID of the record picked to merge with)
+            mergeTargetId: null,
+
+            // Allergy Registry rows being edited in the modal
+            allergyDraft: [],
+
+            // Safety findings for rxList, refreshed on every render
+            rxInteractions: [], // { rule, a, b }
+            rxDuplicates: [],   // { kind, labels, items }
+            rxOrganAlerts: [],  // { item, organ, action, advice, basis }
+            rxReviewAction: null, // "save" | "print" while the review is open
+            pregnancyStale: false, // Recorded pregnancy ran past MAX_GESTATION_WEEKS and awaits re-confirmation
+
+            // Pediatric dose calculator
+            pedsMode: false,
+            pedsDrug: null, // Drug the mg/kg defaults were filled for
+
+            // Lock Screen ({ salt, pinHash, idleMinutes } once a PIN is set)
+            lock: null,
+            isLocked: false,
+            lastActivityAt: Date.now(),
+            focusBeforeLock: null,
+            failedPinAttempts: 0
+        },
+
+        // --- 4.2 DOM Cache Container ---
+        // Populated dynamically on init to avoid global variable pollution
+        dom: {},
+
+
+        /* ==========================================================================
+           5.0 INITIALIZATION & BOOTSTRAPPING
+           ========================================================================== */
+
+        /**
+         * Main Entry Point.
+         * Orchestrates the startup sequence.
+         */
+        async init() {
+            Logger.info("Kernel Boot Sequence Initiated...");
+            
+            try {
+                // 1. Hydrate DOM Cache
+                this.cacheDom();
+                
+                // 2. Unlock (if encrypted) and Load Persisted Data from IndexedDB
+                await this.unlockStore();
+                await this.loadData();
+                this.loadTheme();
+                DrugKnowledge.build(); // Drug class map for allergy screening
+                DrugSearch.build(); // Autocomplete index, ranked by this doctor's usage
+                DrugSearch.setCustom(this.state.customDrugs);
+                DrugSearch.setUsage(this.state.visits);
+
+                // 3. Initialize Subsystems
+                this.initDictation();
+                this.initClock();
+                this.initTabs();
+                this.initShortcuts();
+                this.initLockScreen();
+
+                // 4. Bind User Interactions
+                this.bindEvents();
+
+                // 5. Initial Rendering
+                this.renderClinicBranding();
+                this.loadPatientContext(null); // Ensure clean slate on boot
+
+                // 6. Set Default Date to Today
+                if(this.dom.visitDate) {
+                    this.dom.visitDate.valueAsDate = new Date();
+                }
+
+                // 7. Initialize Mobile Logic
+                MobileApp.init();
+
+                // 8. Offer to resume drafts left by a crash or reload
+                this.offerDraftRecovery();
+
+                Logger.success(`System Online. Build: ${CONFIG.BUILD}`);
+                this.showToast("System Ready. Welcome, Doctor.", "success");
+
+            } catch (error) {
+                Logger.error("Kernel Panic: Boot Failed", error);
+                alert("Critical System Error during boot. Please check console for stack trace.");
+            }
+        },
+
+
+        /* ==========================================================================
+           6.0 DOM CACHING LAYER
+           ========================================================================== */
+
+        /**
+         * Maps HTML IDs to Javascript properties.
+         * Using a centralized cache improves performance by reducing DOM lookups.
+         */
+        cacheDom() {
+            // Helper to get element by ID with validation
+            const get = (id) => {
+                const el = document.getElementById(id);
+                if (!el) {
+                    // Suppress warning for optional elements to keep console clean
+                    // Logger.warn(`Missing DOM Element: #${id}`); 
+                }
+                return el;
+            };
+
+            this.dom = {
+                // --- Top Bar & Navigation ---
+                clinicNameDisplay: get("clinicNameDisplay"),
+                doctorNameDisplay: get("doctorNameDisplay"),
+                globalSearch: get("globalPatientSearch"),
+                searchResults: get("patientSearchResults"),
+                liveTime: get("liveTime"),
+                liveDate: get("liveDate"),
+                themeToggleBtn: get("themeToggleBtn"),
+                
+                // --- Global Action Buttons ---
+                newPatientBtn: get("newPatientBtn"),
+                saveVisitBtn: get("saveVisitBtn"),
+                printBtn: get("printBtn"),
+                settingsBtn: get("clinicSettingsBtn"),
+                shortcutsBtn: get("shortcutsBtn"),
+
+                // --- Patient Header Context ---
+                contextStrip: get("currentPatientHeader"),
+                headerAvatar: get("headerAvatar"),
                 headerName: get("headerName"),
                 headerUhid: get("headerUhid"),
                 headerAgeSex: get("headerAgeSex"),
@@ -554,947 +2945,3693 @@
                 calcBtn: get("calcBtn"),
                 openHistoryBtn: get("openHistoryBtn"),
 
-                // --- Clinical Panels (Left - Vitals) ---
-                vitalBP: get("vitalBP"),
-                vitalPulse: get("vitalPulse"),
-                vitalTemp: get("vitalTemp"),
-                vitalSpO2: get("vitalSpO2"),
-                vitalWeight: get("vitalWeight"),
-                vitalHeight: get("vitalHeight"),
-                snapshotAllergies: get("snapshotAllergies"),
-                snapshotChronic: get("snapshotChronic"),
+                // --- Clinical Panels (Left - Vitals) ---
+                vitalBP: get("vitalBP"),
+                vitalPulse: get("vitalPulse"),
+                vitalTemp: get("vitalTemp"),
+                vitalSpO2: get("vitalSpO2"),
+                vitalWeight: get("vitalWeight"),
+                vitalHeight: get("vitalHeight"),
+                vitalCreatinine: get("vitalCreatinine"),
+                vitalLiver: get("vitalLiver"),
+                renalReadout: get("renalReadout"),
+                snapshotAllergies: get("snapshotAllergies"),
+                snapshotChronic: get("snapshotChronic"),
+                pregnancySection: get("pregnancySection"),
+                snapshotPregnancy: get("snapshotPregnancy"),
+                pregnancyStaleNote: get("pregnancyStaleNote"),
+                snapshotGestation: get("snapshotGestation"),
+
+                // --- Center Workspace (Tabs & Inputs) ---
+                visitDate: get("visitDate"),
+                draftBanner: get("draftBanner"),
+                draftBannerText: get("draftBannerText"),
+                resumeDraftBtn: get("resumeDraftBtn"),
+                discardDraftBtn: get("discardDraftBtn"),
+                tabButtons: document.querySelectorAll(".tab-btn"),
+                tabContents: document.querySelectorAll(".tab-content"),
+                
+                // Text Areas (Smart Inputs)
+                coText: get("coText"),
+                examText: get("examText"),
+                dxText: get("dxText"),
+                adviceText: get("adviceText"),
+                investText: get("investText"),
+
+                // --- Rx Engine (Cockpit) Elements ---
+                rxDrugName: get("rxDrugName"),
+                pedsModeBtn: get("pedsModeBtn"),
+                pedsCalc: get("pedsCalc"),
+                pedsMgPerKg: get("pedsMgPerKg"),
+                pedsFreq: get("pedsFreq"),
+                pedsResult: get("pedsResult"),
+                pedsApplyBtn: get("pedsApplyBtn"),
+                drugSuggestions: get("drugSuggestions"),
+                rxDose: get("rxDose"),
+                rxFrequency: get("rxFrequency"),
+                rxDuration: get("rxDuration"),
+                rxRemarks: get("rxRemarks"),
+                addRxBtn: get("addRxBtn"),
+                addRxStepBtn: get("addRxStepBtn"),
+                rxStepList: get("rxStepList"),
+                addRxBtnText: get("addRxBtnText"),
+                editingIndicator: get("editingIndicator"),
+                rxTableBody: get("rxTableBody"),
+                rxEmptyState: get("rxEmptyState"),
+                rxSafetyBanner: get("rxSafetyBanner"),
+                rxAllergyText: get("rxAllergyText"),
+                dismissAllergyBtn: get("dismissAllergyBtn"),
+                
+                // --- AI & Decision Support ---
+                aiSuggestBtn: get("aiSuggestBtn"),
+                aiLoading: get("aiLoading"),
+                protocolPickerModal: get("protocolPickerModal"),
+                protocolCandidates: get("protocolCandidates"),
+                closeProtocolPickerBtn: get("closeProtocolPickerBtn"),
+                applyProtocolsBtn: get("applyProtocolsBtn"),
+                protocolMergeModal: get("protocolMergeModal"),
+                protocolMergeBody: get("protocolMergeBody"),
+                protocolMergeSummary: get("protocolMergeSummary"),
+                protocolMergeBackBtn: get("protocolMergeBackBtn"),
+                commitProtocolMergeBtn: get("commitProtocolMergeBtn"),
+                aiUndoBtn: get("aiUndoBtn"),
+
+                // --- Modals ---
+                // New Patient Modal
+                newPatientModal: get("newPatientModal"),
+                closeNewPatientBtn: get("closeNewPatientBtn"),
+                saveNewPatientBtn: get("saveNewPatientBtn"),
+                regName: get("regName"),
+                regPhone: get("regPhone"),
+                regAge: get("regAge"),
+                regSex: get("regSex"),
+                regAllergies: get("regAllergies"),
+                regChronic: get("regChronic"),
+                regDuplicateWarning: get("regDuplicateWarning"),
+
+                // Rx Review (before print)
+                rxReviewModal: get("rxReviewModal"),
+                rxReviewSummary: get("rxReviewSummary"),
+                rxReviewBackBtn: get("rxReviewBackBtn"),
+                rxReviewProceedBtn: get("rxReviewProceedBtn"),
+
+                // Allergy Registry Modal
+                manageAllergiesBtn: get("manageAllergiesBtn"),
+                allergyModal: get("allergyModal"),
+                closeAllergyBtn: get("closeAllergyBtn"),
+                allergyTableBody: get("allergyTableBody"),
+                addAllergyRowBtn: get("addAllergyRowBtn"),
+                saveAllergyBtn: get("saveAllergyBtn"),
+
+                // Custom Drug List
+                customDrugsModal: get("customDrugsModal"),
+                customDrugsBtn: get("customDrugsBtn"),
+                rxCustomDrugBtn: get("rxCustomDrugBtn"),
+                closeCustomDrugsBtn: get("closeCustomDrugsBtn"),
+                customDrugName: get("customDrugName"),
+                customDrugType: get("customDrugType"),
+                customDrugCategory: get("customDrugCategory"),
+                customDrugTags: get("customDrugTags"),
+                customDrugSaveBtn: get("customDrugSaveBtn"),
+                customDrugCancelBtn: get("customDrugCancelBtn"),
+                customDrugTableBody: get("customDrugTableBody"),
+                protocolsModal: get("protocolsModal"),
+                protocolsBtn: get("protocolsBtn"),
+                closeProtocolsBtn: get("closeProtocolsBtn"),
+                protocolListView: get("protocolListView"),
+                protocolFilter: get("protocolFilter"),
+                newProtocolBtn: get("newProtocolBtn"),
+                protocolTableBody: get("protocolTableBody"),
+                protocolFormView: get("protocolFormView"),
+                protocolFormTitle: get("protocolFormTitle"),
+                protocolCondition: get("protocolCondition"),
+                protocolCategory: get("protocolCategory"),
+                protocolKeywords: get("protocolKeywords"),
+                protocolRxBody: get("protocolRxBody"),
+                addProtocolRxBtn: get("addProtocolRxBtn"),
+                protocolAdvice: get("protocolAdvice"),
+                protocolInvestigations: get("protocolInvestigations"),
+                protocolCancelBtn: get("protocolCancelBtn"),
+                protocolSaveBtn: get("protocolSaveBtn"),
+                importProtocolPackBtn: get("importProtocolPackBtn"),
+                protocolPackFileInput: get("protocolPackFileInput"),
+                exportProtocolPackBtn: get("exportProtocolPackBtn"),
+                protocolPackReview: get("protocolPackReview"),
+                protocolPackList: get("protocolPackList"),
+                protocolExportView: get("protocolExportView"),
+                protocolPackName: get("protocolPackName"),
+                protocolPackVersion: get("protocolPackVersion"),
+                protocolPackAuthor: get("protocolPackAuthor"),
+                protocolPackDescription: get("protocolPackDescription"),
+                protocolExportScope: get("protocolExportScope"),
+                protocolExportCancelBtn: get("protocolExportCancelBtn"),
+                protocolExportBtn: get("protocolExportBtn"),
+
+                // Merge Modal
+                mergePatientBtn: get("mergePatientBtn"),
+                mergeModal: get("mergeModal"),
+                closeMergeBtn: get("closeMergeBtn"),
+                mergeSearch: get("mergeSearch"),
+                mergeCandidates: get("mergeCandidates"),
+                mergePreview: get("mergePreview"),
+                mergeConfirmBtn: get("mergeConfirmBtn"),
+
+                // Settings Modal
+                settingsModal: get("settingsModal"),
+                closeSettingsBtn: get("closeSettingsBtn"),
+                saveSettingsBtn: get("saveSettingsBtn"),
+                settingClinicName: get("settingClinicName"),
+                settingDoctorName: get("settingDoctorName"),
+                settingClinicAddress: get("settingClinicAddress"),
+                settingFooterNote: get("settingFooterNote"),
+                settingRxNames: get("settingRxNames"),
+                settingLockPin: get("settingLockPin"),
+                settingCurrentPin: get("settingCurrentPin"),
+                lockCurrentPinGroup: get("lockCurrentPinGroup"),
+                removeLockBtn: get("removeLockBtn"),
+                settingIdleMinutes: get("settingIdleMinutes"),
+                saveLockBtn: get("saveLockBtn"),
+                lockStatus: get("lockStatus"),
+                encryptionStatus: get("encryptionStatus"),
+                encryptionBtn: get("encryptionBtn"),
+                backupBtn: get("backupBtn"),
+                restoreBtn: get("restoreBtn"),
+                restoreFileInput: get("restoreFileInput"),
+
+                // Encryption Modal & Boot Unlock Screen
+                encryptionModal: get("encryptionModal"),
+                closeEncryptionBtn: get("closeEncryptionBtn"),
+                encCurrentGroup: get("encCurrentGroup"),
+                encCurrentPass: get("encCurrentPass"),
+                encNewPass: get("encNewPass"),
+                encConfirmPass: get("encConfirmPass"),
+                encSaveBtn: get("encSaveBtn"),
+                encDisableBtn: get("encDisableBtn"),
+                vaultUnlockOverlay: get("vaultUnlockOverlay"),
+                vaultPassInput: get("vaultPassInput"),
+                vaultUnlockBtn: get("vaultUnlockBtn"),
+                vaultError: get("vaultError"),
+
+                // Lock Screen
+                lockBtn: get("lockBtn"),
+                lockOverlay: get("lockOverlay"),
+                lockPinInput: get("lockPinInput"),
+                lockUnlockBtn: get("lockUnlockBtn"),
+                lockError: get("lockError"),
+
+                // Draft Recovery Modal
+                draftsModal: get("draftsModal"),
+                closeDraftsBtn: get("closeDraftsBtn"),
+                draftsList: get("draftsList"),
+
+                // Restore Modal
+                restoreModal: get("restoreModal"),
+                closeRestoreBtn: get("closeRestoreBtn"),
+                restoreSummary: get("restoreSummary"),
+                restoreMergeBtn: get("restoreMergeBtn"),
+                restoreReplaceBtn: get("restoreReplaceBtn"),
+
+                // Shortcuts Modal
+                shortcutsModal: get("shortcutsModal"),
+                closeShortcutsBtn: get("closeShortcutsBtn"),
+
+                // History Drawer
+                historyDrawer: get("historyDrawer"),
+                closeHistoryBtn: get("closeHistoryBtn"),
+                historyList: get("historyList"),
+
+                // --- Print Preview Fields (Mapped) ---
+                // These are used to update the right sidebar preview in real-time
+                previewVitals: get("previewVitals"),
+                previewVitalsRow: get("previewVitalsRow"),
+                previewCO: get("previewCO"),
+                previewExam: get("previewExam"),
+                previewDx: get("previewDx"),
+                previewAdvice: get("previewAdvice"),
+                previewInvest: get("previewInvest"),
+                previewRxTable: get("previewRxTable"),
+                
+                // Header fields in Preview
+                previewClinicName: get("previewClinicName"),
+                previewDoctorName: get("previewDoctorName"),
+                previewClinicAddress: get("previewClinicAddress"),
+                previewFooterNote: get("previewFooterNote"),
+                previewDatePrint: get("previewDatePrint"),
+                previewPatientName: get("previewPatientName"),
+                previewPatientAgeSex: get("previewPatientAgeSex"),
+                previewPatientId: get("previewPatientId")
+            };
+        },
+
+
+        /* ==========================================================================
+           7.0 EVENT ORCHESTRATION
+           ========================================================================== */
+
+        /**
+         * Binds all event listeners to DOM elements.
+         * Separating logic from HTML (onclick) makes the code cleaner and easier to debug.
+         */
+        bindEvents() {
+            const d = this.dom;
+
+            // --- 7.1 Global Actions ---
+            if(d.themeToggleBtn) d.themeToggleBtn.onclick = () => this.toggleTheme();
+            if(d.shortcutsBtn) d.shortcutsBtn.onclick = () => this.toggleModal('shortcuts', true);
+            if(d.globalSearch) {
+                d.globalSearch.addEventListener('input', (e) => this.handlePatientSearch(e.target.value));
+                d.globalSearch.addEventListener('focus', (e) => this.handlePatientSearch(e.target.value));
+            }
+            
+            // Close search dropdown on outside click
+            document.addEventListener('click', (e) => {
+                if (d.globalSearch && d.searchResults && 
+                    !d.globalSearch.contains(e.target) && !d.searchResults.contains(e.target)) {
+                    d.searchResults.setAttribute("aria-hidden", "true");
+                }
+            });
+
+            // --- 7.2 Patient & Context ---
+            if(d.newPatientBtn) d.newPatientBtn.onclick = () => this.toggleModal('newPatient', true);
+            if(d.saveNewPatientBtn) d.saveNewPatientBtn.onclick = () => this.registerNewPatient();
+            if(d.closeNewPatientBtn) d.closeNewPatientBtn.onclick = () => this.toggleModal('newPatient', false);
+            // A changed name/phone/age invalidates the duplicate warning
+            [d.regName, d.regPhone, d.regAge].forEach(el => {
+                if(el) el.addEventListener('input', () => this.clearDuplicateWarning());
+            });
+
+            if(d.rxReviewBackBtn) d.rxReviewBackBtn.onclick = () => this.toggleModal('rxReview', false);
+            if(d.rxReviewProceedBtn) d.rxReviewProceedBtn.onclick = () => this.proceedRxReview();
+
+            if(d.manageAllergiesBtn) d.manageAllergiesBtn.onclick = () => this.openAllergyRegistry();
+            [d.snapshotPregnancy, d.snapshotGestation].forEach(el => {
+                if(el) el.addEventListener('input', () => {
+                    this.state.pregnancyStale = false; // Touching the status re-confirms it
+                    this.renderPregnancyFields();
+                    this.renderRxTable();
+                    this.updatePreview();
+                    this.scheduleAutosave();
+                });
+            });
+            if(d.closeAllergyBtn) d.closeAllergyBtn.onclick = () => this.toggleModal('allergy', false);
+            if(d.addAllergyRowBtn) d.addAllergyRowBtn.onclick = () => this.addAllergyRow();
+            if(d.saveAllergyBtn) d.saveAllergyBtn.onclick = () => this.saveAllergyRegistry();
+
+            if(d.mergePatientBtn) d.mergePatientBtn.onclick = () => this.openMergeTool();
+            if(d.closeMergeBtn) d.closeMergeBtn.onclick = () => this.toggleModal('merge', false);
+            if(d.mergeSearch) d.mergeSearch.addEventListener('input', (e) => this.renderMergeCandidates(e.target.value));
+            if(d.mergeConfirmBtn) d.mergeConfirmBtn.onclick = () => this.confirmMerge();
+            
+            if(d.calcBtn) d.calcBtn.onclick = () => this.handleBMICalculation();
+            if(d.openHistoryBtn) d.openHistoryBtn.onclick = () => this.toggleHistory(true);
+            if(d.closeHistoryBtn) d.closeHistoryBtn.onclick = () => this.toggleHistory(false);
+
+            // --- 7.3 Clinical & Rx Interactions ---
+            if(d.addRxBtn) d.addRxBtn.onclick = () => this.addRxItem();
+            if(d.addRxStepBtn) d.addRxStepBtn.onclick = () => this.addRxStep();
+            if(d.rxDrugName) d.rxDrugName.addEventListener('input', (e) => this.handleDrugSearch(e.target.value));
+
+            // Pediatric dosing follows the drug, the weight and the mg/kg inputs
+            if(d.pedsModeBtn) d.pedsModeBtn.onclick = () => this.togglePedsMode();
+            if(d.pedsApplyBtn) d.pedsApplyBtn.onclick = () => this.applyPedsDose();
+            [d.rxDrugName, d.vitalWeight, d.pedsMgPerKg, d.pedsFreq].forEach(el => {
+                if(el) el.addEventListener('input', () => this.updatePedsCalc());
+            });
+            if(d.aiSuggestBtn) d.aiSuggestBtn.onclick = () => this.triggerAI();
+            if(d.closeProtocolPickerBtn) d.closeProtocolPickerBtn.onclick = () => this.toggleModal('protocolPicker', false);
+            if(d.applyProtocolsBtn) d.applyProtocolsBtn.onclick = () => this.applySelectedProtocols();
+            if(d.protocolMergeBackBtn) d.protocolMergeBackBtn.onclick = () => {
+                this.toggleModal('protocolMerge', false);
+                this.toggleModal('protocolPicker', true);
+            };
+            if(d.commitProtocolMergeBtn) d.commitProtocolMergeBtn.onclick = () => this.commitProtocolMerge();
+            if(d.aiUndoBtn) d.aiUndoBtn.onclick = () => this.undoProtocol();
+            if(d.dismissAllergyBtn) d.dismissAllergyBtn.onclick = () => d.rxSafetyBanner.classList.remove('is-visible');
+
+            // Advanced Rx Navigation (Enter Key Strategy)
+            if(d.rxDrugName) {
+                d.rxDrugName.addEventListener('keydown', (e) => {
+                    const open = this.isDrugSuggestionsOpen();
+                    const picked = this.state.drugSuggestionIndex >= 0;
+                    if (open && (e.key === "ArrowDown" || e.key === "ArrowUp")) {
+                        e.preventDefault();
+                        this.moveDrugSuggestion(e.key === "ArrowDown" ? 1 : -1);
+                    } else if (open && picked && (e.key === "Enter" || e.key === "Tab")) {
+                        e.preventDefault();
+                        this.pickDrugSuggestion(this.state.drugSuggestionIndex);
+                    } else if (e.key === "Enter") {
+                        this.closeDrugSuggestions();
+                        d.rxDose.focus();
+                    } else if (e.key === "Escape" || e.key === "Tab") {
+                        this.closeDrugSuggestions();
+                    }
+                });
+                d.rxDose.addEventListener('keydown', (e) => { if(e.key === "Enter") d.rxFrequency.focus(); });
+                d.rxFrequency.addEventListener('keydown', (e) => { if(e.key === "Enter") d.rxDuration.focus(); });
+                d.rxDuration.addEventListener('keydown', (e) => { if(e.key === "Enter") d.rxRemarks.focus(); });
+                d.rxRemarks.addEventListener('keydown', (e) => { if(e.key === "Enter") this.addRxItem(); });
+            }
+
+            // --- 7.4 Document Actions ---
+            if(d.saveVisitBtn) d.saveVisitBtn.onclick = () => this.saveVisit();
+            if(d.printBtn) d.printBtn.onclick = () => this.generatePrintDocument();
+
+            // --- 7.5 Settings ---
+            if(d.settingsBtn) d.settingsBtn.onclick = () => this.openSettings();
+            if(d.saveSettingsBtn) d.saveSettingsBtn.onclick = () => this.saveSettings();
+            if(d.closeSettingsBtn) d.closeSettingsBtn.onclick = () => this.toggleModal('settings', false);
+            if(d.closeShortcutsBtn) d.closeShortcutsBtn.onclick = () => this.toggleModal('shortcuts', false);
+            if(d.customDrugsBtn) d.customDrugsBtn.onclick = () => this.openCustomDrugs();
+            if(d.rxCustomDrugBtn) d.rxCustomDrugBtn.onclick = () => this.openCustomDrugs(d.rxDrugName.value);
+            if(d.closeCustomDrugsBtn) d.closeCustomDrugsBtn.onclick = () => this.toggleModal('customDrugs', false);
+            if(d.customDrugSaveBtn) d.customDrugSaveBtn.onclick = () => this.saveCustomDrug();
+            if(d.customDrugCancelBtn) d.customDrugCancelBtn.onclick = () => this.resetCustomDrugForm();
+            if(d.customDrugName) d.customDrugName.addEventListener('keydown', (e) => { if(e.key === "Enter") this.saveCustomDrug(); });
+            if(d.protocolsBtn) d.protocolsBtn.onclick = () => this.openProtocols();
+            if(d.closeProtocolsBtn) d.closeProtocolsBtn.onclick = () => this.toggleModal('protocols', false);
+            if(d.protocolFilter) d.protocolFilter.addEventListener('input', () => this.renderProtocolList());
+            if(d.newProtocolBtn) d.newProtocolBtn.onclick = () => this.newProtocol();
+            if(d.addProtocolRxBtn) d.addProtocolRxBtn.onclick = () => this.addProtocolRxLine();
+            if(d.protocolCancelBtn) d.protocolCancelBtn.onclick = () => this.closeProtocolForm();
+            if(d.protocolSaveBtn) d.protocolSaveBtn.onclick = () => this.saveProtocol();
+            if(d.importProtocolPackBtn) d.importProtocolPackBtn.onclick = () => d.protocolPackFileInput.click();
+            if(d.protocolPackFileInput) d.protocolPackFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = ""; // Allow picking the same file again
+                if(file) this.handleProtocolPackFile(file);
+            });
+            if(d.exportProtocolPackBtn) d.exportProtocolPackBtn.onclick = () => this.openProtocolExport();
+            if(d.protocolExportCancelBtn) d.protocolExportCancelBtn.onclick = () => this.closeProtocolForm();
+            if(d.protocolExportBtn) d.protocolExportBtn.onclick = () => this.exportProtocolPack();
+
+            // --- 7.5b Lock Screen ---
+            if(d.lockBtn) d.lockBtn.onclick = () => this.lockScreen();
+            if(d.saveLockBtn) d.saveLockBtn.onclick = () => this.saveLockSettings();
+            if(d.removeLockBtn) d.removeLockBtn.onclick = () => this.removeLockSettings();
+            if(d.lockUnlockBtn) d.lockUnlockBtn.onclick = () => this.attemptUnlockScreen();
+            if(d.lockPinInput) d.lockPinInput.addEventListener('keydown', (e) => {
+                if(e.key === "Enter") this.attemptUnlockScreen();
+            });
+
+            // --- 7.5c Encryption at Rest ---
+            if(d.encryptionBtn) d.encryptionBtn.onclick = () => this.openEncryptionSettings();
+            if(d.encSaveBtn) d.encSaveBtn.onclick = () => this.saveEncryptionSettings();
+            if(d.encDisableBtn) d.encDisableBtn.onclick = () => this.disableEncryption();
+            if(d.closeEncryptionBtn) d.closeEncryptionBtn.onclick = () => this.toggleModal('encryption', false);
+
+            // --- 7.5d Backup & Restore ---
+            if(d.backupBtn) d.backupBtn.onclick = () => this.exportBackup();
+            if(d.restoreBtn) d.restoreBtn.onclick = () => d.restoreFileInput.click();
+            if(d.restoreFileInput) d.restoreFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = ""; // Allow picking the same file again
+                if(file) this.handleRestoreFile(file);
+            });
+            if(d.restoreMergeBtn) d.restoreMergeBtn.onclick = () => this.applyRestore("merge");
+            if(d.restoreReplaceBtn) d.restoreReplaceBtn.onclick = () => this.applyRestore("replace");
+            if(d.closeRestoreBtn) d.closeRestoreBtn.onclick = () => this.cancelRestore();
+
+            // --- 7.6 Real-time Preview Binding ---
+            // Bind input events to all clinical fields for immediate preview updates
+            const inputsToWatch = [
+                d.coText, d.examText, d.dxText, d.adviceText, d.investText, d.visitDate,
+                d.vitalBP, d.vitalPulse, d.vitalTemp, d.vitalSpO2, d.vitalWeight, d.vitalCreatinine, d.vitalLiver
+            ];
+            inputsToWatch.forEach(el => {
+                if(el) el.addEventListener('input', () => this.updatePreview());
+            });
+
+            // Renal/hepatic dose checks follow creatinine, weight and liver status
+            [d.vitalCreatinine, d.vitalWeight, d.vitalLiver].forEach(el => {
+                if(el) el.addEventListener('input', () => this.renderRxTable());
+            });
+
+            // --- 7.7 Draft Autosave ---
+            const draftInputs = inputsToWatch.concat([d.vitalHeight, d.snapshotAllergies, d.snapshotChronic]);
+            draftInputs.forEach(el => {
+                if(el) el.addEventListener('input', () => this.scheduleAutosave());
+            });
+            if(d.resumeDraftBtn) d.resumeDraftBtn.onclick = () => this.resumeDraft(this.state.currentPatient);
+            if(d.discardDraftBtn) d.discardDraftBtn.onclick = async () => {
+                await this.discardDraft(this.state.currentPatient.id);
+                this.scheduleAutosave(); // Anything typed while the banner was up
+            };
+            if(d.closeDraftsBtn) d.closeDraftsBtn.onclick = () => this.toggleModal('drafts', false);
+            // Write as soon as the tab is hidden, while the page can still finish the transaction
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flushAutosave();
+            });
+            // On reload/close the write may not finish, so ask the browser to confirm leaving
+            window.addEventListener('beforeunload', (e) => {
+                if (!this.state.autosaveTimer) return;
+                this.flushAutosave();
+                e.preventDefault();
+                e.returnValue = "";
+            });
+        },
+
+        initShortcuts() {
+            document.addEventListener('keydown', (e) => {
+                // While locked only the PIN field is usable; swallow Save/Print
+                if(this.state.isLocked) {
+                    if((e.ctrlKey || e.metaKey) && ['s', 'p'].includes(e.key.toLowerCase())) e.preventDefault();
+                    return;
+                }
+                // Alt + L = Lock Screen
+                if(e.altKey && e.key.toLowerCase() === 'l') {
+                    e.preventDefault();
+                    this.lockScreen();
+                }
+                // Ctrl/Cmd + S = Save
+                if((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+                    e.preventDefault();
+                    this.saveVisit();
+                }
+                // Ctrl/Cmd + P = Print
+                if((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'p') {
+                    e.preventDefault();
+                    this.generatePrintDocument();
+                }
+                // Alt + N = New Patient
+                if(e.altKey && e.key.toLowerCase() === 'n') {
+                    e.preventDefault();
+                    this.toggleModal('newPatient', true);
+                    if(this.dom.regName) setTimeout(() => this.dom.regName.focus(), 100);
+                }
+                // Alt + S = Search
+                if(e.altKey && e.key.toLowerCase() === 's') {
+                    e.preventDefault();
+                    if(this.dom.globalSearch) this.dom.globalSearch.focus();
+                }
+                // Esc = Close Modals
+                if(e.key === 'Escape') {
+                    this.toggleModal('newPatient', false);
+                    this.toggleModal('settings', false);
+                    this.toggleModal('shortcuts', false);
+                    this.toggleModal('encryption', false);
+                    this.toggleModal('drafts', false);
+                    this.toggleModal('merge', false);
+                    this.toggleModal('allergy', false);
+                    this.toggleModal('rxReview', false);
+                    this.toggleModal('customDrugs', false);
+                    this.toggleModal('protocols', false);
+                    this.toggleModal('protocolPicker', false);
+                    this.toggleModal('protocolMerge', false);
+                    this.cancelRestore();
+                    this.toggleHistory(false);
+                    if(this.dom.drugSuggestions) this.dom.drugSuggestions.setAttribute('aria-hidden', 'true');
+                    if(this.dom.searchResults) this.dom.searchResults.setAttribute('aria-hidden', 'true');
+                    this.cancelRxEdit();
+                }
+            });
+        },
+
+        initTabs() {
+            this.dom.tabButtons.forEach(btn => {
+                btn.onclick = () => {
+                    // Remove active from all
+                    this.dom.tabButtons.forEach(b => b.classList.remove('active'));
+                    this.dom.tabContents.forEach(c => c.classList.remove('active'));
+                    
+                    // Activate target
+                    btn.classList.add('active');
+                    const targetId = btn.getAttribute('data-tab');
+                    const targetContent = document.getElementById(targetId);
+                    if(targetContent) targetContent.classList.add('active');
+                };
+            });
+        },
+
+        initClock() {
+            const tick = () => {
+                const now = new Date();
+                if(this.dom.liveTime) this.dom.liveTime.textContent = now.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
+                if(this.dom.liveDate) this.dom.liveDate.textContent = now.toLocaleDateString([], {weekday:'short', month:'short', day:'numeric'});
+            };
+            tick();
+            setInterval(tick, 1000);
+        },
+
+
+        /* ==========================================================================
+           8.0 PATIENT MANAGEMENT MODULE
+           ========================================================================== */
+
+        /**
+         * Opens the database and, when encryption at rest is on, blocks the
+         * boot sequence behind the passphrase screen until the Vault is unlocked.
+         */
+        async unlockStore() {
+            try {
+                await Store.open();
+                await Vault.load();
+            } catch (e) {
+                Logger.error("Vault Header Load Failed", e);
+                return;
+            }
+            if (Vault.locked) await this.promptUnlock();
+        },
+
+        promptUnlock() {
+            const d = this.dom;
+            return new Promise(resolve => {
+                d.vaultUnlockOverlay.setAttribute("aria-hidden", "false");
+                d.vaultPassInput.value = "";
+                setTimeout(() => d.vaultPassInput.focus(), 100);
+
+                const attempt = async () => {
+                    d.vaultUnlockBtn.disabled = true;
+                    d.vaultError.textContent = "";
+                    const ok = await Vault.unlock(d.vaultPassInput.value);
+                    d.vaultUnlockBtn.disabled = false;
+                    if (!ok) {
+                        d.vaultError.textContent = "Incorrect passphrase. Please try again.";
+                        d.vaultPassInput.value = "";
+                        d.vaultPassInput.focus();
+                        return;
+                    }
+                    d.vaultUnlockOverlay.setAttribute("aria-hidden", "true");
+                    d.vaultPassInput.value = "";
+                    Logger.success("Vault unlocked.");
+                    resolve();
+                };
+
+                d.vaultUnlockBtn.onclick = attempt;
+                d.vaultPassInput.onkeydown = (e) => { if(e.key === "Enter") attempt(); };
+            });
+        },
+
+        async loadData() {
+            const S = CONFIG.DB.STORES;
+            try {
+                await Store.open();
+                await Store.importLegacyData();
+
+                const [patients, visits, drafts, customDrugs, protocols, protocolPacks, clinic, lock] = await Promise.all([
+                    Store.getAll(S.PATIENTS),
+                    Store.getAll(S.VISITS),
+                    Store.getAll(S.DRAFTS),
+                    Store.getAll(S.CUSTOM_DRUGS),
+                    Store.getAll(S.PROTOCOLS),
+                    Store.getAll(S.PROTOCOL_PACKS),
+                    Store.getSetting(CONFIG.DB.SETTING_KEYS.CLINIC),
+                    Store.getSetting(CONFIG.DB.SETTING_KEYS.LOCK)
+                ]);
+
+                this.state.patients = patients;
+                this.state.visits = visits;
+                this.state.drafts = {};
+                drafts.forEach(dr => { this.state.drafts[dr.patientId] = dr; });
+                this.state.customDrugs = customDrugs;
+                this.state.userProtocols = protocols;
+                this.state.protocolPacks = protocolPacks;
+                if(clinic) this.state.clinic = clinic;
+                this.state.lock = lock || null;
+
+                Logger.info(`Data Loaded: ${this.state.patients.length} patients, ${this.state.visits.length} visits (schema v${Store.version}).`);
+            } catch (e) {
+                Logger.error("Data Load Failed", e);
+                this.showToast("Database Error: Could not load records", "error");
+            }
+        },
+
+        /**
+         * Writes only the records that changed.
+         * @param {Object} changes - { patients: [], visits: [], revisions: [], settings: true }
+         * @returns {Promise<boolean>} true once every write has committed.
+         */
+        async persistData(changes = {}) {
+            const S = CONFIG.DB.STORES;
+            try {
+                const writes = [];
+                // Revisions go first: if the trail cannot be written, the visit is not overwritten
+                if (changes.revisions && changes.revisions.length) await Store.append(S.REVISIONS, changes.revisions);
+                if (changes.patients && changes.patients.length) writes.push(Store.putMany(S.PATIENTS, changes.patients));
+                if (changes.visits && changes.visits.length) writes.push(Store.putMany(S.VISITS, changes.visits));
+                if (changes.settings) writes.push(Store.putSetting(CONFIG.DB.SETTING_KEYS.CLINIC, this.state.clinic));
+                await Promise.all(writes);
+                return true;
+            } catch (e) {
+                Logger.error("Persist Failed", e);
+                this.showToast("Critical: Failed to save data!", "error");
+                return false;
+            }
+        },
+
+        registerNewPatient(force = false) {
+            const d = this.dom;
+            const name = d.regName.value.trim();
+            const phone = d.regPhone.value.trim();
+
+            if (!name) {
+                this.showToast("Patient Name is required", "warning");
+                return d.regName.focus();
+            }
+
+            // Duplicate Check (phone, normalized name, age)
+            if (!force) {
+                const dupes = this.findDuplicatePatients({ name, phone, age: d.regAge.value });
+                if (dupes.length) return this.renderDuplicateWarning(dupes);
+            }
+
+            const newPatient = {
+                id: Utils.generateId("P"),
+                name: name,
+                phone: phone,
+                age: d.regAge.value || "--",
+                sex: d.regSex.value,
+                allergies: d.regAllergies.value,
+                chronic: d.regChronic.value,
+                registeredAt: new Date().toISOString()
+            };
+
+            this.state.patients.push(newPatient);
+            this.persistData({ patients: [newPatient] });
+
+            // Cleanup form
+            d.regName.value = ""; d.regPhone.value = ""; d.regAge.value = "";
+            d.regAllergies.value = ""; d.regChronic.value = "";
+            this.clearDuplicateWarning();
+            
+            this.toggleModal('newPatient', false);
+            this.loadPatientContext(newPatient);
+            this.showToast("Patient Registered Successfully", "success");
+        },
+
+        handlePatientSearch(query) {
+            const box = this.dom.searchResults;
+            if (!query || query.length < 1) {
+                box.setAttribute("aria-hidden", "true");
+                return;
+            }
+
+            const q = query.toLowerCase();
+            const matches = this.state.patients.filter(p => 
+                p.name.toLowerCase().includes(q) || 
+                p.phone.includes(q) ||
+                p.id.toLowerCase().includes(q) ||
+                (p.mergedFrom || []).some(m => m.id.toLowerCase().includes(q)) // Old UHIDs of merged records
+            ).slice(0, 10); // Limit results
+
+            box.innerHTML = "";
+            if (matches.length === 0) {
+                box.innerHTML = `<div class="search-result-item" style="color:#94a3b8; cursor:default;">No matches found.</div>`;
+            } else {
+                matches.forEach(p => {
+                    const div = document.createElement("div");
+                    div.className = "search-result-item";
+                    div.innerHTML = `
+                        <div style="display:flex; flex-direction:column;">
+                            <span style="font-weight:600; color:var(--text-main);">${Utils.escapeHtml(p.name)}</span>
+                            <span style="font-size:11px; color:var(--text-muted);">ID: ${p.id}</span>
+                        </div>
+                        <div style="font-size:12px; color:var(--text-secondary);">
+                            ${p.phone}
+                        </div>
+                    `;
+                    div.onclick = () => {
+                        this.loadPatientContext(p);
+                        this.dom.globalSearch.value = "";
+                        box.setAttribute("aria-hidden", "true");
+                    };
+                    box.appendChild(div);
+                });
+            }
+            box.setAttribute("aria-hidden", "false");
+        },
+
+        loadPatientContext(patient) {
+            // Write the outgoing patient's draft before the forms are reset
+            this.flushAutosave();
+
+            this.state.currentPatient = patient;
+            const d = this.dom;
+
+            if (!patient) {
+                // Reset to "No Patient" state
+                if(d.contextStrip) d.contextStrip.classList.add('is-hidden');
+                this.resetClinicalForms();
+                this.writePregnancyStatus(null);
+                this.renderDraftBanner();
+                this.updatePreview();
+                return;
+            }
+
+            // Populate Header Context Strip
+            if(d.contextStrip) d.contextStrip.classList.remove('is-hidden');
+            if(d.headerName) d.headerName.textContent = patient.name;
+            if(d.headerUhid) d.headerUhid.textContent = `UHID: ${patient.id}`;
+            if(d.headerAgeSex) d.headerAgeSex.textContent = `${patient.age} Y / ${patient.sex}`;
+            if(d.headerPhone) d.headerPhone.textContent = patient.phone;
+            if(d.headerAvatar) d.headerAvatar.textContent = patient.name.charAt(0).toUpperCase();
+
+            // Populate Snapshots
+            if(d.snapshotAllergies) d.snapshotAllergies.value = patient.allergies || "";
+            if(d.snapshotChronic) d.snapshotChronic.value = patient.chronic || "";
+
+            // Allergy Alert Logic (The Red Banner)
+            this.renderAllergyBanner(patient);
+            this.writePregnancyStatus(patient.pregnancy);
+
+            // Start New Visit Context
+            this.initializeNewVisit();
+            this.renderDraftBanner();
+            this.showToast(`Loaded context for ${patient.name}`, "info");
+        },
+
+
+        /* --------------------------------------------------------------------------
+           8.1 Duplicate Detection & Record Merge
+           -------------------------------------------------------------------------- */
+
+        HONORIFICS: ["mr", "mrs", "ms", "miss", "dr", "shri", "sri", "smt", "kumari", "baby", "master", "late"],
+
+        /**
+         * Lowercases, drops honorifics and punctuation, and sorts the name
+         * tokens so "Kumar, Ramesh" and "Mr. Ramesh Kumar" compare equal.
+         */
+        normalizePatientName(name) {
+            return String(name || "").toLowerCase()
+                .replace(/[^a-z\s]/g, " ")
+                .split(/\s+/)
+                .filter(t => t && !this.HONORIFICS.includes(t))
+                .sort()
+                .join(" ");
+        },
+
+        normalizePhone(phone) {
+            return String(phone || "").replace(/\D/g, "").slice(-10);
+        },
+
+        /**
+         * Scores existing patients against a candidate registration.
+         * Same phone (50) or same normalized name (45) is enough on its own;
+         * a near-identical name needs a matching age (±2 years) as well.
+         * @returns {Array<{patient, score, reasons}>} best match first.
+         */
+        findDuplicatePatients({ name, phone, age }, excludeId = null) {
+            const n = this.normalizePatientName(name);
+            const ph = this.normalizePhone(phone);
+            const ageNum = parseInt(age, 10);
+
+            return this.state.patients
+                .filter(p => p.id !== excludeId)
+                .map(p => {
+                    let score = 0;
+                    const reasons = [];
+
+                    if (ph.length === 10 && this.normalizePhone(p.phone) === ph) {
+                        score += 50;
+                        reasons.push("same phone");
+                    }
+
+                    const pn = this.normalizePatientName(p.name);
+                    const sim = n && pn ? Utils.similarity(n, pn) : 0;
+                    if (sim === 1) {
+                        score += 45;
+                        reasons.push("same name");
+                    } else if (sim >= 0.8) {
+                        score += 30;
+                        reasons.push(`similar name (${Math.round(sim * 100)}%)`);
+                    }
+
+                    const pAge = parseInt(p.age, 10);
+                    if (!isNaN(ageNum) && !isNaN(pAge) && Math.abs(pAge - ageNum) <= 2) {
+                        score += 15;
+                        reasons.push(pAge === ageNum ? "same age" : "similar age");
+                    }
+                    return { patient: p, score, reasons };
+                })
+                .filter(m => m.score >= 45)
+                .sort((a, b) => b.score - a.score);
+        },
+
+        renderDuplicateWarning(matches) {
+            const box = this.dom.regDuplicateWarning;
+            if(!box) return;
+
+            box.innerHTML = `
+                <div class="dup-title">⚠️ Possible duplicate${matches.length > 1 ? 's' : ''} found</div>
+                ${matches.slice(0, 5).map(m => `
+                    <div class="dup-row">
+                        <div>
+                            <div class="dup-name">${Utils.escapeHtml(m.patient.name)} <span class="dup-meta">${Utils.escapeHtml(m.patient.id)}</span></div>
+                            <div class="dup-meta">${Utils.escapeHtml(m.patient.phone || "No phone")} · ${Utils.escapeHtml(m.patient.age)} Y / ${Utils.escapeHtml(m.patient.sex)} · ${m.reasons.join(", ")}</div>
+                        </div>
+                        <button class="btn btn-ghost" data-open="${Utils.escapeHtml(m.patient.id)}">Open</button>
+                    </div>
+                `).join('')}
+                <div class="dup-footer">
+                    <button class="btn btn-dark" data-action="force">Register Anyway</button>
+                </div>
+            `;
+            box.querySelectorAll('[data-open]').forEach(btn => {
+                btn.onclick = () => {
+                    const p = this.state.patients.find(x => x.id === btn.dataset.open);
+                    this.clearDuplicateWarning();
+                    this.toggleModal('newPatient', false);
+                    if(p) this.loadPatientContext(p);
+                };
+            });
+            box.querySelector('[data-action="force"]').onclick = () => this.registerNewPatient(true);
+            box.classList.add('is-visible');
+        },
+
+        clearDuplicateWarning() {
+            const box = this.dom.regDuplicateWarning;
+            if(!box) return;
+            box.classList.remove('is-visible');
+            box.innerHTML = "";
+        },
+
+        /**
+         * Opens the merge tool for the loaded patient, suggesting likely duplicates.
+         */
+        openMergeTool() {
+            const p = this.state.currentPatient;
+            if (!p) {
+                this.showToast("Load a patient first.", "warning");
+                return;
+            }
+            this.state.mergeTargetId = null;
+            if(this.dom.mergeSearch) this.dom.mergeSearch.value = "";
+            if(this.dom.mergePreview) this.dom.mergePreview.innerHTML = "";
+            this.renderMergeCandidates("");
+            this.toggleModal('merge', true);
+        },
+
+        renderMergeCandidates(query) {
+            const box = this.dom.mergeCandidates;
+            const current = this.state.currentPatient;
+            if(!box || !current) return;
+
+            let candidates;
+            if (query && query.trim()) {
+                const q = query.toLowerCase();
+                candidates = this.state.patients
+                    .filter(p => p.id !== current.id &&
+                        (p.name.toLowerCase().includes(q) || (p.phone || "").includes(q) || p.id.toLowerCase().includes(q)))
+                    .slice(0, 10)
+                    .map(p => ({ patient: p, reasons: [] }));
+            } else {
+                candidates = this.findDuplicatePatients(current, current.id);
+            }
+
+            if (!candidates.length) {
+                box.innerHTML = `<div class="dup-meta" style="padding:8px 0;">${query ? "No matching patients." : "No likely duplicates. Search for the other record above."}</div>`;
+                return;
+            }
+
+            box.innerHTML = "";
+            candidates.forEach(({ patient, reasons }) => {
+                const row = document.createElement("div");
+                row.className = "dup-row selectable" + (patient.id === this.state.mergeTargetId ? " selected" : "");
+                row.innerHTML = `
+                    <div>
+                        <div class="dup-name">${Utils.escapeHtml(patient.name)} <span class="dup-meta">${Utils.escapeHtml(patient.id)}</span></div>
+                        <div class="dup-meta">${Utils.escapeHtml(patient.phone || "No phone")} · ${Utils.escapeHtml(patient.age)} Y / ${Utils.escapeHtml(patient.sex)}${reasons.length ? ' · ' + reasons.join(", ") : ''}</div>
+                    </div>
+                `;
+                row.onclick = () => {
+                    this.state.mergeTargetId = patient.id;
+                    this.renderMergeCandidates(query);
+                    this.renderMergePreview(patient);
+                };
+                box.appendChild(row);
+            });
+        },
+
+        renderMergePreview(other) {
+            const box = this.dom.mergePreview;
+            const current = this.state.currentPatient;
+            if(!box) return;
+
+            const visitCount = (id) => this.state.visits.filter(v => v.patientId === id).length;
+            const col = (p) => `
+                <td>
+                    <div class="dup-name">${Utils.escapeHtml(p.name)}</div>
+                    <div class="dup-meta">${Utils.escapeHtml(p.id)}</div>
+                    <div class="dup-meta">${Utils.escapeHtml(p.phone || "No phone")} · ${Utils.escapeHtml(p.age)} Y / ${Utils.escapeHtml(p.sex)}</div>
+                    <div class="dup-meta">Registered ${Utils.formatDate(p.registeredAt)} · ${visitCount(p.id)} visit(s)</div>
+                </td>`;
+
+            box.innerHTML = `
+                <table class="merge-table">
+                    <thead><tr><th>Loaded record</th><th>Other record</th></tr></thead>
+                    <tbody>
+                        <tr>${col(current)}${col(other)}</tr>
+                        <tr>
+                            <td><label><input type="radio" name="mergeSurvivor" value="${Utils.escapeHtml(current.id)}" checked> Keep this ID</label></td>
+                            <td><label><input type="radio" name="mergeSurvivor" value="${Utils.escapeHtml(other.id)}"> Keep this ID</label></td>
+                        </tr>
+                    </tbody>
+                </table>
+                <div class="form-row"><div class="form-group"><label>Allergies (combined)</label>
+                    <textarea id="mergeAllergies">${Utils.escapeHtml(Utils.splitList([current.allergies, other.allergies].join(",")).join(", "))}</textarea></div></div>
+                <div class="form-row"><div class="form-group"><label>Chronic Conditions (combined)</label>
+                    <textarea id="mergeChronic">${Utils.escapeHtml(Utils.splitList([current.chronic, other.chronic].join(",")).join(", "))}</textarea></div></div>
+                <div class="restore-note">All visits of the removed record move to the kept ID. Name, phone, age and sex are taken from the kept record (blank fields are filled from the other).</div>
+            `;
+        },
+
+        /**
+         * Merges the selected record into the survivor in a single transaction:
+         * visits (and a draft, if the survivor has none) are re-pointed, the
+         * reconciled allergy/chronic lists are saved, and the other record is
+         * deleted. The survivor keeps a `mergedFrom` note of what was absorbed.
+         */
+        async confirmMerge() {
+            const current = this.state.currentPatient;
+            const other = this.state.patients.find(p => p.id === this.state.mergeTargetId);
+            if (!current || !other) {
+                this.showToast("Select the record to merge with.", "warning");
+                return;
+            }
+
+            const checked = document.querySelector('input[name="mergeSurvivor"]:checked');
+            const keepId = checked ? checked.value : current.id;
+            const keep = keepId === current.id ? current : other;
+            const drop = keep === current ? other : current;
+            const moved = this.state.visits.filter(v => v.patientId === drop.id);
+
+            if (!confirm(`Merge "${drop.name}" (${drop.id}) into "${keep.name}" (${keep.id})?\n${moved.length} visit(s) will move. This cannot be undone.`)) return;
+
+            // The pending draft must land before the dropped patient's is deleted
+            await this.flushAutosave();
+
+            const blank = (v) => !v || v === "--";
+            const survivor = {
+                ...keep,
+                phone: blank(keep.phone) ? drop.phone : keep.phone,
+                age: blank(keep.age) ? drop.age : keep.age,
+                allergies: document.getElementById("mergeAllergies").value.trim(),
+                allergyList: (keep.allergyList || []).concat((drop.allergyList || []).filter(e =>
+                    !(keep.allergyList || []).some(k => k.allergen.toLowerCase() === e.allergen.toLowerCase()))),
+                chronic: document.getElementById("mergeChronic").value.trim(),
+                mergedFrom: (keep.mergedFrom || []).concat(
+                    { id: drop.id, name: drop.name, phone: drop.phone, mergedAt: new Date().toISOString() },
+                    drop.mergedFrom || []
+                )
+            };
+            this.syncAllergyList(survivor);
+            const movedVisits = moved.map(v => ({ ...v, patientId: keep.id }));
+
+            const S = CONFIG.DB.STORES;
+            const put = { [S.PATIENTS]: [survivor], [S.VISITS]: movedVisits };
+            const remove = { [S.PATIENTS]: [drop.id], [S.DRAFTS]: [drop.id] };
+            const dropDraft = this.state.drafts[drop.id];
+            const movedDraft = dropDraft && !this.state.drafts[keep.id] ? { ...dropDraft, patientId: keep.id } : null;
+            if (movedDraft) put[S.DRAFTS] = [movedDraft];
+
+            try {
+                await Store.commit({ put, remove });
+            } catch (e) {
+                Logger.error("Patient Merge Failed", e);
+                this.showToast("Merge failed. No records were changed.", "error");
+                return;
+            }
+
+            this.state.patients = this.state.patients.filter(p => p.id !== drop.id && p.id !== keep.id).concat(survivor);
+            this.state.visits = this.state.visits.map(v => (v.patientId === drop.id ? { ...v, patientId: keep.id } : v));
+            delete this.state.drafts[drop.id];
+            if (movedDraft) this.state.drafts[keep.id] = movedDraft;
+
+            this.toggleModal('merge', false);
+            this.loadPatientContext(survivor);
+            this.showToast(`Records merged into ${survivor.id}. ${moved.length} visit(s) moved.`, "success");
+        },
+
+
+        /* ==========================================================================
+           9.0 CLINICAL ENCOUNTER MODULE
+           ========================================================================== */
+
+        initializeNewVisit() {
+            this.resetClinicalForms();
+            
+            // Create Draft Visit Object
+            this.state.currentVisit = {
+                id: Utils.generateId("V"),
+                patientId: this.state.currentPatient.id,
+                date: new Date().toISOString(),
+                status: "draft",
+                notes: {},
+                vitals: {},
+                rx: []
+            };
+
+            // Set Date Picker to Today
+            if(this.dom.visitDate) this.dom.visitDate.valueAsDate = new Date();
+            
+            // Update Status Badge
+            if(this.dom.visitStatus) {
+                this.dom.visitStatus.textContent = "Draft";
+                this.dom.visitStatus.className = "status-badge draft";
+            }
+
+            this.state.rxList = [];
+            this.state.historyStack = [];
+            this.renderProtocolUndo();
+            this.renderRxTable();
+            this.updatePreview();
+        },
+
+        resetClinicalForms() {
+            const d = this.dom;
+            // Clear text areas
+            [d.coText, d.examText, d.dxText, d.adviceText, d.investText].forEach(el => { if(el) el.value = ""; });
+            // Clear Vitals
+            [d.vitalBP, d.vitalPulse, d.vitalTemp, d.vitalSpO2, d.vitalWeight, d.vitalHeight, d.vitalCreatinine, d.vitalLiver].forEach(el => { if(el) el.value = ""; });
+            // Clear Rx Input
+            this.clearRxInput();
+        },
+
+        async saveVisit(force = false) {
+            if (!this.state.currentPatient) {
+                this.showToast("No active patient context!", "error");
+                return;
+            }
+
+            // Therapeutic duplication is flagged before anything is written
+            if (!force && this.state.rxDuplicates.length) {
+                this.openRxReview("save");
+                return null;
+            }
+
+            const d = this.dom;
+
+            // 1. Gather Data from Inputs (into a new object, so the stored
+            //    version stays intact for the revision diff below)
+            const visit = {
+                ...this.state.currentVisit,
+                ...this.readVisitForm(),
+                rx: JSON.parse(JSON.stringify(this.state.rxList)), // Copy current Rx list
+                status: "saved"
+            };
+
+            // 2. Update Persistent Patient Info (if changed in snapshot)
+            this.state.currentPatient.allergies = d.snapshotAllergies.value;
+            this.state.currentPatient.chronic = d.snapshotChronic.value;
+            this.syncAllergyList(this.state.currentPatient);
+            if (this.state.currentPatient.sex === "F") {
+                const pregnancy = { ...this.getPregnancyStatus(), recordedAt: new Date().toISOString() };
+                this.state.currentPatient.pregnancy = pregnancy;
+                visit.pregnancy = pregnancy; // As it stood on the day of this visit
+            }
+
+            // 3. Record an amendment if this visit was saved before
+            const previous = this.state.visits.find(v => v.id === visit.id);
+            const revisions = [];
+            if (previous) {
+                const changes = this.diffVisits(previous, visit);
+                if (changes.length) {
+                    visit.revisionCount = (previous.revisionCount || 0) + 1;
+                    visit.lastRevisedAt = new Date().toISOString();
+                    revisions.push({
+                        id: `${visit.id}-R${visit.revisionCount}`,
+                        visitId: visit.id,
+                        patientId: visit.patientId,
+                        rev: visit.revisionCount,
+                        savedAt: visit.lastRevisedAt,
+                        changedFields: changes.map(c => c.field),
+                        previous: {
+                            date: previous.date,
+                            notes: previous.notes,
+                            vitals: previous.vitals,
+                            rx: previous.rx
+                        }
+                    });
+                }
+            }
+
+            // 4. Commit to Store
+            const saved = await this.persistData({ patients: [this.state.currentPatient], visits: [visit], revisions: revisions });
+            if (!saved) return null;
+
+            this.state.visits = this.state.visits.filter(v => v.id !== visit.id);
+            this.state.visits.push(visit);
+            DrugSearch.setUsage(this.state.visits);
+            this.state.currentVisit = visit;
+            // A draft of another visit stays until the doctor resumes or discards it
+            if (!this.hasUnresolvedDraft(this.state.currentPatient)) this.discardDraft(visit.patientId, { silent: true });
+
+            // 5. UI Feedback
+            if(d.visitStatus) {
+                d.visitStatus.textContent = visit.revisionCount ? `Saved (Rev ${visit.revisionCount})` : "Saved";
+                d.visitStatus.className = "status-badge success";
+            }
+            this.showToast(revisions.length ? `Visit amended (revision ${visit.revisionCount}).` : "Visit saved to database.", "success");
+            return visit;
+        },
+
+        handleBMICalculation() {
+            const d = this.dom;
+            const weight = parseFloat(d.vitalWeight.value);
+            const height = parseFloat(d.vitalHeight.value);
+
+            if (isNaN(weight) || isNaN(height)) {
+                this.showToast("Please enter Weight (kg) and Height (cm)", "warning");
+                return;
+            }
+
+            const result = Utils.calculateBMI(weight, height);
+            if (result) {
+                const msg = `BMI: ${result.value} (${result.status})`;
+                this.showToast(msg, "info");
+                
+                // Smart Feature: Auto-append to Advice if not exists
+                if (!d.adviceText.value.includes("BMI:")) {
+                    d.adviceText.value += (d.adviceText.value ? "\n\n" : "") + `[Calculated] ${msg}`;
+                    this.updatePreview();
+                    this.scheduleAutosave();
+                }
+            }
+        },
+
+        toggleHistory(show) {
+            const drawer = this.dom.historyDrawer;
+            if(!drawer) return;
+            
+            drawer.setAttribute("aria-hidden", !show);
+            
+            if (show) {
+                this.renderHistory();
+            }
+        },
+
+        renderHistory() {
+            const list = this.dom.historyList;
+            if(!list) return;
+            
+            list.innerHTML = "";
+            
+            if(!this.state.currentPatient) {
+                list.innerHTML = `<div style="padding:20px; color:var(--text-muted); text-align:center;">No patient selected</div>`;
+                return;
+            }
+
+            const history = this.state.visits
+                .filter(v => v.patientId === this.state.currentPatient.id)
+                .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+            if (history.length === 0) {
+                list.innerHTML = `<div style="padding:20px; color:var(--text-muted); text-align:center;">No previous visits found.</div>`;
+                return;
+            }
+
+            history.forEach(visit => {
+                const card = document.createElement("div");
+                card.className = "history-card";
+                card.innerHTML = `
+                    <div class="card-date">
+                        <span>${Utils.formatDate(visit.date)}</span>
+                        ${visit.revisionCount
+                            ? `<span class="status-badge amended">Amended ×${visit.revisionCount}</span>`
+                            : `<span class="status-badge success">Saved</span>`}
+                    </div>
+                    <div class="card-co">
+                        <strong>Dx:</strong> ${Utils.escapeHtml(visit.notes.dx || "--")}
+                    </div>
+                    <div class="card-co" style="margin-top:4px; font-style:italic; color:var(--text-secondary);">
+                        ${Utils.escapeHtml(visit.notes.co || "No complaints recorded")}
+                    </div>
+                    ${visit.revisionCount ? `<button class="btn btn-ghost btn-revisions">🕘 View revisions</button>` : ''}
+                `;
+                const revBtn = card.querySelector('.btn-revisions');
+                if (revBtn) revBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    this.renderRevisions(visit);
+                };
+                // Load history item on click
+                card.onclick = () => {
+                    if(confirm("Load this historical data into current view? (Unsaved changes will be lost)")) {
+                        this.loadVisitIntoView(visit);
+                        this.toggleHistory(false);
+                    }
+                };
+                list.appendChild(card);
+            });
+        },
+
+        /**
+         * Reads the date, notes and vitals currently in the form.
+         */
+        readVisitForm() {
+            const d = this.dom;
+            return {
+                date: d.visitDate.value || new Date().toISOString(),
+                notes: {
+                    co: d.coText.value,
+                    exam: d.examText.value,
+                    dx: d.dxText.value,
+                    advice: d.adviceText.value,
+                    invest: d.investText.value
+                },
+                vitals: {
+                    bp: d.vitalBP.value,
+                    pulse: d.vitalPulse.value,
+                    temp: d.vitalTemp.value,
+                    spo2: d.vitalSpO2.value,
+                    weight: d.vitalWeight.value,
+                    height: d.vitalHeight.value,
+                    creatinine: d.vitalCreatinine.value,
+                    liver: d.vitalLiver.value
+                }
+            };
+        },
+
+        /**
+         * Maps a visit's date, notes, vitals and Rx back onto the form.
+         */
+        writeVisitForm(visit) {
+            const d = this.dom;
+            
+            // Map data back to inputs
+            d.visitDate.value = visit.date.split('T')[0];
+            d.coText.value = visit.notes.co || "";
+            d.examText.value = visit.notes.exam || "";
+            d.dxText.value = visit.notes.dx || "";
+            d.adviceText.value = visit.notes.advice || "";
+            d.investText.value = visit.notes.invest || "";
+            
+            if(visit.vitals) {
+                d.vitalBP.value = visit.vitals.bp || "";
+                d.vitalPulse.value = visit.vitals.pulse || "";
+                d.vitalTemp.value = visit.vitals.temp || "";
+                d.vitalSpO2.value = visit.vitals.spo2 || "";
+                d.vitalWeight.value = visit.vitals.weight || "";
+                d.vitalHeight.value = visit.vitals.height || "";
+                d.vitalCreatinine.value = visit.vitals.creatinine || "";
+                d.vitalLiver.value = visit.vitals.liver || "";
+            }
+
+            this.state.rxList = JSON.parse(JSON.stringify(visit.rx || []));
+            this.state.historyStack = [];
+            this.renderProtocolUndo();
+            this.renderRxTable();
+            this.updatePreview();
+        },
+
+        loadVisitIntoView(visit) {
+            const d = this.dom;
+            this.writeVisitForm(visit);
+            
+            if(d.visitStatus) {
+                d.visitStatus.textContent = "History Mode";
+                d.visitStatus.className = "status-badge draft";
+            }
+            this.showToast("Historical Visit Loaded", "info");
+        },
+
+
+        /* --------------------------------------------------------------------------
+           9.1 Draft Autosave & Crash Recovery
+           --------------------------------------------------------------------------
+           The working visit is written to the `drafts` store (one per patient)
+           a moment after the doctor stops typing, and removed once the visit is
+           saved. Drafts are captured synchronously from the form, so switching
+           patient mid-debounce still files the text under the right patient.
+           A stored draft of another visit is never overwritten: autosave
+           pauses until the doctor resumes or discards it.
+           -------------------------------------------------------------------------- */
+
+        scheduleAutosave() {
+            if (!this.state.currentPatient) return;
+            if (this.hasUnresolvedDraft(this.state.currentPatient)) return;
+            clearTimeout(this.state.autosaveTimer);
+            this.state.autosaveTimer = setTimeout(() => this.flushAutosave(), CONFIG.UI.AUTOSAVE_DEBOUNCE);
+        },
+
+        /**
+         * Writes the pending draft now (if one is scheduled).
+         * @returns {Promise<void>} Settles once the draft write is finished
+         */
+        async flushAutosave() {
+            if (!this.state.autosaveTimer) return;
+            clearTimeout(this.state.autosaveTimer);
+            this.state.autosaveTimer = null;
+
+            const patient = this.state.currentPatient;
+            const visit = this.state.currentVisit;
+            if (!patient || !visit || this.hasUnresolvedDraft(patient)) return;
+
+            const form = this.readVisitForm();
+            const isEmpty = !Object.values(form.notes).some(v => v.trim()) &&
+                !Object.values(form.vitals).some(v => v.trim()) &&
+                this.state.rxList.length === 0;
+            if (isEmpty) {
+                await this.discardDraft(patient.id, { silent: true });
+                return;
+            }
+
+            const draft = {
+                patientId: patient.id,
+                visitId: visit.id,
+                updatedAt: new Date().toISOString(),
+                visit: { ...form, rx: JSON.parse(JSON.stringify(this.state.rxList)) },
+                snapshot: {
+                    allergies: this.dom.snapshotAllergies.value,
+                    chronic: this.dom.snapshotChronic.value,
+                    pregnancy: this.getPregnancyStatus()
+                }
+            };
+            this.state.drafts[patient.id] = draft;
+
+            await Store.putMany(CONFIG.DB.STORES.DRAFTS, [draft])
+                .catch(e => Logger.error("Draft Autosave Failed", e));
+        },
+
+        /** @returns {Promise<void>} Settles once the stored draft is gone */
+        async discardDraft(patientId, { silent = false } = {}) {
+            if (!patientId) return;
+            clearTimeout(this.state.autosaveTimer);
+            this.state.autosaveTimer = null;
+
+            const existed = !!this.state.drafts[patientId];
+            delete this.state.drafts[patientId];
+            this.renderDraftBanner();
+            if (existed && !silent) this.showToast("Draft discarded.", "info");
+            if (existed) {
+                await Store.delete(CONFIG.DB.STORES.DRAFTS, patientId)
+                    .catch(e => Logger.error("Draft Delete Failed", e));
+            }
+        },
+
+        /**
+         * Restores a patient's draft into the form, keeping its visit ID so a
+         * later save updates the same visit.
+         */
+        resumeDraft(patient) {
+            if (!patient) return;
+            const draft = this.state.drafts[patient.id];
+            if (!draft) return;
+
+            if (!this.state.currentPatient || this.state.currentPatient.id !== patient.id) {
+                this.loadPatientContext(patient);
+            }
+
+            const d = this.dom;
+            this.writeVisitForm(draft.visit);
+            d.snapshotAllergies.value = draft.snapshot.allergies;
+            d.snapshotChronic.value = draft.snapshot.chronic;
+            if (draft.snapshot.pregnancy) this.writePregnancyStatus({ ...draft.snapshot.pregnancy, recordedAt: draft.updatedAt });
+            this.state.currentVisit.id = draft.visitId;
+
+            if(d.visitStatus) {
+                d.visitStatus.textContent = "Draft (Recovered)";
+                d.visitStatus.className = "status-badge draft";
+            }
+            if(d.draftBanner) d.draftBanner.classList.remove('is-visible');
+            this.toggleModal('drafts', false);
+            this.showToast(`Draft recovered (last edited ${Utils.formatDateTime(draft.updatedAt)}).`, "success");
+        },
+
+        /**
+         * True while the patient has a stored draft of a visit other than the
+         * one being edited. Autosave leaves it alone until it is resumed or
+         * discarded.
+         */
+        hasUnresolvedDraft(patient) {
+            const draft = patient ? this.state.drafts[patient.id] : null;
+            return !!draft && !(this.state.currentVisit && draft.visitId === this.state.currentVisit.id);
+        },
+
+        /**
+         * Shows the "unsaved draft" banner for the loaded patient, if any.
+         */
+        renderDraftBanner() {
+            const d = this.dom;
+            if(!d.draftBanner) return;
+            const p = this.state.currentPatient;
+
+            if (!this.hasUnresolvedDraft(p)) {
+                d.draftBanner.classList.remove('is-visible');
+                return;
+            }
+            const draft = this.state.drafts[p.id];
+            if(d.draftBannerText) d.draftBannerText.textContent = `Unsaved draft from ${Utils.formatDateTime(draft.updatedAt)}. Resume or discard it; new typing is not autosaved until you do.`;
+            d.draftBanner.classList.add('is-visible');
+        },
+
+        /**
+         * On boot, lists drafts left behind by a reload, crash or closed tab.
+         */
+        offerDraftRecovery() {
+            const list = this.dom.draftsList;
+            const drafts = Object.values(this.state.drafts)
+                .map(dr => ({ draft: dr, patient: this.state.patients.find(p => p.id === dr.patientId) }))
+                .filter(x => x.patient)
+                .sort((a, b) => new Date(b.draft.updatedAt) - new Date(a.draft.updatedAt));
+            if (!list || drafts.length === 0) return;
+
+            list.innerHTML = "";
+            drafts.forEach(({ draft, patient }) => {
+                const card = document.createElement("div");
+                card.className = "history-card draft-card";
+                card.innerHTML = `
+                    <div class="card-date">
+                        <span>${Utils.escapeHtml(patient.name)} <span style="font-weight:400;">(${Utils.escapeHtml(patient.id)})</span></span>
+                        <span class="status-badge draft">Unsaved</span>
+                    </div>
+                    <div class="card-co"><strong>Dx:</strong> ${Utils.escapeHtml(draft.visit.notes.dx || "--")} · ${draft.visit.rx.length} med(s)</div>
+                    <div class="card-co draft-time">Last edited ${Utils.formatDateTime(draft.updatedAt)}</div>
+                    <div class="draft-actions">
+                        <button class="btn btn-primary" data-action="resume">Resume</button>
+                        <button class="btn btn-ghost" data-action="discard">Discard</button>
+                    </div>
+                `;
+                card.querySelector('[data-action="resume"]').onclick = () => this.resumeDraft(patient);
+                card.querySelector('[data-action="discard"]').onclick = () => {
+                    this.discardDraft(patient.id);
+                    card.remove();
+                    if (!list.children.length) this.toggleModal('drafts', false);
+                };
+                list.appendChild(card);
+            });
+            this.toggleModal('drafts', true);
+        },
+
+
+        /* --------------------------------------------------------------------------
+           9.2 Visit Amendments (Revision Trail)
+           --------------------------------------------------------------------------
+           Re-saving a visit never loses what was there before: saveVisit()
+           appends a revision holding the previous date, notes, vitals and Rx
+           list to the `revisions` store, which is insert-only.
+           -------------------------------------------------------------------------- */
+
+        VISIT_DIFF_FIELDS: [
+            ["date", "Visit Date"],
+            ["notes.co", "Complaints"],
+            ["notes.exam", "Examination"],
+            ["notes.dx", "Diagnosis"],
+            ["notes.invest", "Investigations"],
+            ["notes.advice", "Advice"],
+            ["vitals.bp", "BP"],
+            ["vitals.pulse", "Pulse"],
+            ["vitals.temp", "Temp"],
+            ["vitals.spo2", "SpO₂"],
+            ["vitals.weight", "Weight"],
+            ["vitals.height", "Height"],
+            ["vitals.creatinine", "S. Creatinine"],
+            ["vitals.liver", "Liver (Child-Pugh)"]
+        ],
+
+        /**
+         * Lists the fields that differ between two versions of a visit.
+         * @returns {Array<{field, label, before, after}>}
+         */
+        diffVisits(prev, next) {
+            const pick = (obj, path) => path.split('.').reduce((o, k) => (o ? o[k] : undefined), obj) || "";
+            const changes = [];
+
+            this.VISIT_DIFF_FIELDS.forEach(([field, label]) => {
+                const before = String(pick(prev, field));
+                const after = String(pick(next, field));
+                if (before !== after) changes.push({ field, label, before, after });
+            });
+
+            const rxChanges = this.diffRx(prev.rx || [], next.rx || []);
+            if (rxChanges.length) changes.push({ field: "rx", label: "Prescription", rx: rxChanges });
+            return changes;
+        },
+
+        /**
+         * Compares two Rx lists line by line (by item ID, then by drug name).
+         * @returns {Array<{type: 'added'|'removed'|'changed', before, after}>}
+         */
+        diffRx(prevRx, nextRx) {
+            const body = (r) => { const { id, ...rest } = r; return JSON.stringify(rest); };
+            const unmatched = [...nextRx];
+            const out = [];
+
+            prevRx.forEach(old => {
+                let i = unmatched.findIndex(r => r.id === old.id);
+                if (i === -1) i = unmatched.findIndex(r => r.drug === old.drug);
+                if (i === -1) return out.push({ type: "removed", before: old });
+                const now = unmatched.splice(i, 1)[0];
+                if (body(now) !== body(old)) out.push({ type: "changed", before: old, after: now });
+            });
+            unmatched.forEach(r => out.push({ type: "added", after: r }));
+            return out;
+        },
+
+        /**
+         * True when the visit was changed after its first print.
+         */
+        isAmendedAfterPrint(visit) {
+            return !!(visit && visit.firstPrintedAt && visit.lastRevisedAt && visit.lastRevisedAt > visit.firstPrintedAt);
+        },
+
+        /**
+         * Shows the revision trail of a visit in the history drawer, newest first.
+         * Each entry diffs the stored previous version against what replaced it.
+         */
+        async renderRevisions(visit) {
+            const list = this.dom.historyList;
+            if(!list) return;
+
+            let revisions;
+            try {
+                revisions = await Store.getAllByIndex(CONFIG.DB.STORES.REVISIONS, "visitId", visit.id);
+            } catch (e) {
+                Logger.error("Revision Load Failed", e);
+                this.showToast("Could not load revisions.", "error");
+                return;
+            }
+            revisions.sort((a, b) => a.rev - b.rev);
+
+            const rxLine = (r) => Utils.escapeHtml([r.drug, r.dose, r.freq, r.duration].filter(Boolean).join(" · "));
+            const blocks = revisions.map((rev, i) => {
+                const replacedBy = revisions[i + 1] ? revisions[i + 1].previous : visit;
+                const changes = this.diffVisits(rev.previous, replacedBy);
+                const rows = changes.map(c => {
+                    if (c.field !== "rx") {
+                        return `<div class="rev-field"><span class="rev-label">${c.label}</span>
+                            <del>${Utils.escapeHtml(c.before || "—")}</del> → <ins>${Utils.escapeHtml(c.after || "—")}</ins></div>`;
+                    }
+                    return `<div class="rev-field"><span class="rev-label">Prescription</span>${c.rx.map(x => {
+                        if (x.type === "added") return `<div><ins>+ ${rxLine(x.after)}</ins></div>`;
+                        if (x.type === "removed") return `<div><del>− ${rxLine(x.before)}</del></div>`;
+                        return `<div>~ <del>${rxLine(x.before)}</del> → <ins>${rxLine(x.after)}</ins></div>`;
+                    }).join('')}</div>`;
+                }).join('');
+
+                const afterPrint = visit.firstPrintedAt && rev.savedAt > visit.firstPrintedAt;
+                return `
+                    <div class="history-card revision-card">
+                        <div class="card-date">
+                            <span>Revision ${rev.rev} · ${Utils.formatDateTime(rev.savedAt)}</span>
+                            ${afterPrint ? `<span class="status-badge amended">After print</span>` : ''}
+                        </div>
+                        ${rows || `<div class="card-co">No field changes recorded.</div>`}
+                    </div>`;
+            }).reverse().join('');
+
+            list.innerHTML = `
+                <button class="btn btn-ghost rev-back">← Back to visits</button>
+                <div class="card-co" style="margin:8px 0 12px;"><strong>${Utils.formatDate(visit.date)}</strong> · ${revisions.length} revision(s)
+                    ${visit.firstPrintedAt ? ` · first printed ${Utils.formatDateTime(visit.firstPrintedAt)}` : ''}</div>
+                ${blocks || `<div class="card-co">No revisions found.</div>`}
+            `;
+            list.querySelector('.rev-back').onclick = () => this.renderHistory();
+        },
+
+
+        /* ==========================================================================
+           10.0 PRESCRIPTION (RX) COCKPIT ENGINE
+           ========================================================================== */
+
+        handleDrugSearch(query) {
+            const box = this.dom.drugSuggestions;
+            
+            // Check if global meds list is available
+            if (typeof window.meds_10000_cleaned === 'undefined') {
+                console.warn("Meds DB not loaded.");
+                return;
+            }
+
+            if (!query || query.length < 2) {
+                this.closeDrugSuggestions();
+                return;
+            }
+
+            // Ranked, typo-tolerant lookup (name, category and tags)
+            const matches = DrugSearch.search(query, 15);
+            this.state.drugSuggestions = matches.map(r => r.brand ? { ...r.med, brand: r.brand } : r.med);
+            this.state.drugSuggestionIndex = -1;
+
+            // Typed words mark their prefix; fuzzy hits mark the whole word
+            const typed = DrugSearch.tokenize(query);
+
+            box.innerHTML = "";
+            matches.forEach((r, index) => {
+                const item = r.med;
+                const { base, strength } = this.splitDrugStrength(item.name);
+                const marks = typed.concat(r.matched);
+                const div = document.createElement("div");
+                div.className = "search-result-item drug-suggestion";
+                div.id = `drugSuggestion-${index}`;
+                div.setAttribute("role", "option");
+                div.innerHTML = `
+                    <span class="form-badge ${this.formBadgeClass(item.type)}">${Utils.escapeHtml(item.type || "Rx")}</span>
+                    <span class="sugg-name">${this.highlightMatch(base, marks)}</span>
+                    ${strength ? `<span class="sugg-strength">${this.highlightMatch(strength, marks)}</span>` : ''}
+                    ${r.brand ? `<span class="sugg-brand">${this.highlightMatch(r.brand, marks)}</span>` : ''}
+                    ${item.category ? `<span class="sugg-category">${item.custom ? '★ ' : ''}${Utils.escapeHtml(item.category)}</span>` : ''}
+                `;
+                div.onmousedown = (e) => e.preventDefault(); // Keep focus in the input
+                div.onclick = () => this.pickDrugSuggestion(index);
+                div.onmouseenter = () => this.highlightDrugSuggestion(index);
+                box.appendChild(div);
+            });
+
+            box.setAttribute("aria-hidden", matches.length > 0 ? "false" : "true");
+        },
+
+        /* Suggestion list: keyboard and rendering helpers */
+
+        isDrugSuggestionsOpen() {
+            return this.dom.drugSuggestions.getAttribute("aria-hidden") === "false" && this.state.drugSuggestions.length > 0;
+        },
+
+        closeDrugSuggestions() {
+            this.dom.drugSuggestions.setAttribute("aria-hidden", "true");
+            this.dom.rxDrugName.removeAttribute("aria-activedescendant");
+            this.state.drugSuggestionIndex = -1;
+        },
+
+        /** Moves the highlight by `step` rows, wrapping at both ends. */
+        moveDrugSuggestion(step) {
+            const count = this.state.drugSuggestions.length;
+            const current = this.state.drugSuggestionIndex;
+            const next = current < 0 ? (step > 0 ? 0 : count - 1) : (current + step + count) % count;
+            this.highlightDrugSuggestion(next);
+        },
+
+        highlightDrugSuggestion(index) {
+            this.state.drugSuggestionIndex = index;
+            [...this.dom.drugSuggestions.children].forEach((row, i) => {
+                row.classList.toggle("is-active", i === index);
+                row.setAttribute("aria-selected", i === index ? "true" : "false");
+                if (i === index && row.scrollIntoView) row.scrollIntoView({ block: "nearest" });
+            });
+            this.dom.rxDrugName.setAttribute("aria-activedescendant", `drugSuggestion-${index}`);
+        },
+
+        pickDrugSuggestion(index) {
+            const item = this.state.drugSuggestions[index];
+            if (!item) return;
+            // A brand typed to find the generic is kept in brackets for the print options
+            this.dom.rxDrugName.value = item.brand ? `${item.name} (${item.brand})` : item.name;
+            this.closeDrugSuggestions();
+            this.updatePedsCalc();
+            this.dom.rxDose.focus(); // Auto-focus next field
+        },
+
+        /** "Amlodipine Tablet 5 mg" -> base "Amlodipine Tablet", strength "5 mg". */
+        splitDrugStrength(name) {
+            const at = name.search(/\s\(?\d/);
+            return at < 0 ? { base: name, strength: "" } : { base: name.slice(0, at), strength: name.slice(at + 1) };
+        },
+
+        formBadgeClass(type) {
+            return { Tab: "tab", Cap: "cap", Syr: "syr", Inj: "inj" }[type] || "def";
+        },
+
+        /** Escapes `text` and marks the start of each word beginning with one of `tokens` (first hit wins). */
+        highlightMatch(text, tokens) {
+            const marks = (tokens || []).filter(Boolean);
+            return String(text).split(/(\s+)/).map(word => {
+                const lower = word.toLowerCase().replace(/[^a-z0-9.%]/g, "");
+                if (!lower) return Utils.escapeHtml(word);
+                const hit = marks.find(t => lower === t || lower.startsWith(t));
+                if (!hit) return Utils.escapeHtml(word);
+                const start = word.toLowerCase().indexOf(hit[0]);
+                const end = Math.min(word.length, start + hit.length);
+                return Utils.escapeHtml(word.slice(0, start)) + `<mark>${Utils.escapeHtml(word.slice(start, end))}</mark>` + Utils.escapeHtml(word.slice(end));
+            }).join("");
+        },
+
+        // Helper to set Form (Tab/Cap/etc) from Quick Chips
+        setRxForm(formType) {
+            const input = this.dom.rxDrugName;
+            if(!input) return;
+            
+            // Check if value already starts with a form
+            const current = input.value;
+            const forms = ["Tab.", "Cap.", "Syr.", "Inj.", "Oint.", "Drops"];
+            const hasForm = forms.some(f => current.startsWith(f));
+            
+            if(hasForm) {
+                // Replace existing form
+                const parts = current.split(" ");
+                parts[0] = formType;
+                input.value = parts.join(" ");
+            } else {
+                // Prepend
+                input.value = formType + " " + current;
+            }
+            input.focus();
+        },
+
+        // Helper to set Duration from Quick Chips
+        setRxDuration(dur) {
+            if(this.dom.rxDuration) {
+                this.dom.rxDuration.value = dur;
+                // Optionally auto-focus remarks if duration is set
+                if(this.dom.rxRemarks) this.dom.rxRemarks.focus();
+            }
+        },
+
+        /**
+         * Normalises the duration text ("1 Mon" -> "1 Month") and records the
+         * parsed sig with the item, so saved visits keep the quantity that was
+         * dispensed (see rxQuantity()).
+         */
+        normalizeRxItem(item) {
+            if (item.steps && item.steps.length) {
+                // The line's own dose/freq/duration summarise the schedule
+                item.steps.forEach(step => { step.duration = Dosage.parseDuration(step.duration).label; });
+                const schedule = Dosage.describe(item);
+                item.dose = item.steps[0].dose;
+                item.freq = item.steps[0].freq;
+                item.duration = schedule.duration.label || item.steps.map(s => s.duration).join(" + ");
+            } else {
+                delete item.steps;
+            }
+            item.duration = Dosage.parseDuration(item.duration).label;
+            const sig = Dosage.describe(item);
+            item.sig = {
+                perDay: sig.frequency.perDay,
+                asNeeded: sig.frequency.asNeeded,
+                durationDays: sig.duration.days,
+                quantity: sig.quantity
+            };
+            return item;
+        },
+
+        /** The recorded quantity; worked out afresh for lines saved before the sig was kept. */
+        rxQuantity(item) {
+            return item.sig ? item.sig.quantity : Dosage.describe(item).quantity;
+        },
+
+        addRxItem() {
+            const d = this.dom;
+            const drugName = d.rxDrugName.value.trim();
+
+            if (!drugName) {
+                this.showToast("Please enter a medicine name", "warning");
+                d.rxDrugName.focus();
+                return;
+            }
+
+            // Taper / titration steps (staged, or typed as "20mg x5d then 10mg x5d")
+            const regimen = this.collectRxSteps();
+            if (!regimen) return;
+            const single = regimen.single || {};
+
+            // Create Object
+            const rxItem = this.normalizeRxItem({
+                id: this.state.editingRxId || Utils.generateId("RX"),
+                drug: drugName,
+                dose: single.dose || d.rxDose.value || "",
+                freq: single.freq || d.rxFrequency.value || "",
+                duration: single.duration || d.rxDuration.value || "",
+                remarks: regimen.fromRemarks ? "" : (d.rxRemarks.value || ""),
+                steps: regimen.steps
+            });
+
+            // Allergy Check (ingredient, class and cross-reactivity against the registry)
+            const existing = this.state.rxList.find(item => item.id === this.state.editingRxId);
+            if (existing && existing.drug === drugName) {
+                if (existing.allergyOverride) rxItem.allergyOverride = existing.allergyOverride;
+                if (existing.pregnancyOverride) rxItem.pregnancyOverride = existing.pregnancyOverride;
+            } else {
+                const alerts = DrugKnowledge.screenAllergies(drugName, this.getCurrentAllergies());
+                if (alerts.length) {
+                    const override = this.confirmAllergyOverride(drugName, alerts);
+                    if (!override) return; // Abort
+                    rxItem.allergyOverride = override;
+                }
+
+                // Pregnancy / lactation (category D-X or unsafe while breastfeeding)
+                const pregnancyAlerts = DrugKnowledge.screenPregnancy(drugName, this.getPregnancyStatus());
+                if (pregnancyAlerts.length) {
+                    const override = this.confirmPregnancyOverride(drugName, pregnancyAlerts);
+                    if (!override) return; // Abort
+                    rxItem.pregnancyOverride = override;
+                }
+            }
+
+            // Edit or Add logic
+            if (this.state.editingRxId) {
+                const index = this.state.rxList.findIndex(item => item.id === this.state.editingRxId);
+                if (index !== -1) {
+                    this.state.rxList[index] = rxItem;
+                    this.showToast("Medicine Updated", "success");
+                }
+                this.cancelRxEdit();
+            } else {
+                this.state.rxList.push(rxItem);
+            }
+
+            this.clearRxInput();
+            this.renderRxTable();
+            this.updatePreview();
+            this.scheduleAutosave();
+            d.rxDrugName.focus(); // Ready for next entry
+        },
+
+        editRxItem(id) {
+            const item = this.state.rxList.find(r => r.id === id);
+            if (!item) return;
+
+            const d = this.dom;
+            d.rxDrugName.value = item.drug;
+            d.rxDose.value = item.dose;
+            d.rxFrequency.value = item.freq;
+            d.rxDuration.value = item.duration;
+            d.rxRemarks.value = item.remarks;
 
-                // --- Center Workspace (Tabs & Inputs) ---
-                visitDate: get("visitDate"),
-                tabButtons: document.querySelectorAll(".tab-btn"),
-                tabContents: document.querySelectorAll(".tab-content"),
-                
-                // Text Areas (Smart Inputs)
-                coText: get("coText"),
-                examText: get("examText"),
-                dxText: get("dxText"),
-                adviceText: get("adviceText"),
-                investText: get("investText"),
+            // A schedule comes back as staged steps, with the last one in the fields
+            this.state.rxSteps = (item.steps || []).map(s => ({ ...s }));
+            const last = this.state.rxSteps.pop();
+            if (last) {
+                d.rxDose.value = last.dose;
+                d.rxFrequency.value = last.freq;
+                d.rxDuration.value = last.duration;
+            }
+            this.renderRxSteps();
 
-                // --- Rx Engine (Cockpit) Elements ---
-                rxDrugName: get("rxDrugName"),
-                drugSuggestions: get("drugSuggestions"),
-                rxDose: get("rxDose"),
-                rxFrequency: get("rxFrequency"),
-                rxDuration: get("rxDuration"),
-                rxRemarks: get("rxRemarks"),
-                addRxBtn: get("addRxBtn"),
-                addRxBtnText: get("addRxBtnText"),
-                editingIndicator: get("editingIndicator"),
-                rxTableBody: get("rxTableBody"),
-                rxEmptyState: get("rxEmptyState"),
-                rxSafetyBanner: get("rxSafetyBanner"),
-                rxAllergyText: get("rxAllergyText"),
-                dismissAllergyBtn: get("dismissAllergyBtn"),
-                
-                // --- AI & Decision Support ---
-                aiSuggestBtn: get("aiSuggestBtn"),
-                aiLoading: get("aiLoading"),
+            this.state.editingRxId = id;
+            
+            // Visual cues for editing mode
+            d.addRxBtnText.textContent = "Update";
+            d.addRxBtn.classList.remove("btn-primary");
+            d.addRxBtn.classList.add("btn-warning"); // Assuming warning style
+            if(d.editingIndicator) d.editingIndicator.classList.remove("is-hidden");
+            
+            d.rxDrugName.focus();
+        },
 
-                // --- Modals ---
-                // New Patient Modal
-                newPatientModal: get("newPatientModal"),
-                closeNewPatientBtn: get("closeNewPatientBtn"),
-                saveNewPatientBtn: get("saveNewPatientBtn"),
-                regName: get("regName"),
-                regPhone: get("regPhone"),
-                regAge: get("regAge"),
-                regSex: get("regSex"),
-                regAllergies: get("regAllergies"),
-                regChronic: get("regChronic"),
+        deleteRxItem(id) {
+            this.state.rxList = this.state.rxList.filter(r => r.id !== id);
+            if (this.state.editingRxId === id) this.cancelRxEdit();
+            this.renderRxTable();
+            this.updatePreview();
+            this.scheduleAutosave();
+        },
 
-                // Settings Modal
-                settingsModal: get("settingsModal"),
-                closeSettingsBtn: get("closeSettingsBtn"),
-                saveSettingsBtn: get("saveSettingsBtn"),
-                settingClinicName: get("settingClinicName"),
-                settingDoctorName: get("settingDoctorName"),
-                settingClinicAddress: get("settingClinicAddress"),
-                settingFooterNote: get("settingFooterNote"),
+        cancelRxEdit() {
+            this.state.editingRxId = null;
+            this.clearRxInput();
+            const d = this.dom;
+            d.addRxBtnText.textContent = "Add Med";
+            d.addRxBtn.classList.remove("btn-warning");
+            d.addRxBtn.classList.add("btn-primary");
+            if(d.editingIndicator) d.editingIndicator.classList.add("is-hidden");
+        },
 
-                // Shortcuts Modal
-                shortcutsModal: get("shortcutsModal"),
-                closeShortcutsBtn: get("closeShortcutsBtn"),
+        clearRxInput() {
+            const d = this.dom;
+            d.rxDrugName.value = "";
+            d.rxDose.value = "";
+            d.rxFrequency.value = "";
+            d.rxDuration.value = "";
+            d.rxRemarks.value = "";
+            this.state.rxSteps = [];
+            this.renderRxSteps();
+        },
 
-                // History Drawer
-                historyDrawer: get("historyDrawer"),
-                closeHistoryBtn: get("closeHistoryBtn"),
-                historyList: get("historyList"),
+        renderRxTable() {
+            this.evaluateRxSafety();
 
-                // --- Print Preview Fields (Mapped) ---
-                // These are used to update the right sidebar preview in real-time
-                previewVitals: get("previewVitals"),
-                previewVitalsRow: get("previewVitalsRow"),
-                previewCO: get("previewCO"),
-                previewExam: get("previewExam"),
-                previewDx: get("previewDx"),
-                previewAdvice: get("previewAdvice"),
-                previewInvest: get("previewInvest"),
-                previewRxTable: get("previewRxTable"),
+            const tbody = this.dom.rxTableBody;
+            if(!tbody) return;
+            tbody.innerHTML = "";
+
+            const list = this.state.rxList;
+            
+            // Handle Empty State
+            if (this.dom.rxEmptyState) {
+                this.dom.rxEmptyState.style.display = list.length === 0 ? "flex" : "none";
+            }
+
+            list.forEach((item, index) => {
+                const tr = document.createElement("tr");
                 
-                // Header fields in Preview
-                previewClinicName: get("previewClinicName"),
-                previewDoctorName: get("previewDoctorName"),
-                previewClinicAddress: get("previewClinicAddress"),
-                previewFooterNote: get("previewFooterNote"),
-                previewDatePrint: get("previewDatePrint"),
-                previewPatientName: get("previewPatientName"),
-                previewPatientAgeSex: get("previewPatientAgeSex"),
-                previewPatientId: get("previewPatientId")
+                // Determine Form Badge Class
+                let formClass = "def";
+                let drugDisplay = item.drug;
+                if(item.drug.startsWith("Tab.")) { formClass = "tab"; drugDisplay = item.drug.replace("Tab. ", ""); }
+                else if(item.drug.startsWith("Cap.")) { formClass = "cap"; drugDisplay = item.drug.replace("Cap. ", ""); }
+                else if(item.drug.startsWith("Syr.")) { formClass = "syr"; drugDisplay = item.drug.replace("Syr. ", ""); }
+                else if(item.drug.startsWith("Inj.")) { formClass = "inj"; drugDisplay = item.drug.replace("Inj. ", ""); }
+                else if(item.drug.startsWith("Oint.")) { formClass = "def"; drugDisplay = item.drug.replace("Oint. ", ""); }
+                else if(item.drug.startsWith("Drops")) { formClass = "def"; drugDisplay = item.drug.replace("Drops ", ""); }
+                
+                // Frequency Icons (Sun/Moon) for "Cute" mode, from the parsed sig
+                const freqIcons = item.steps ? "⇅ Schedule" : Utils.escapeHtml(Dosage.timingIcons(item));
+                const quantity = Dosage.formatQuantity(this.rxQuantity(item));
+
+                tr.innerHTML = `
+                    <td style="color:#94a3b8; font-size:11px; text-align:center;">${index + 1}</td>
+                    <td>
+                        <div>
+                            ${formClass !== 'def' ? `<span class="form-badge ${formClass}">${item.drug.split('.')[0]}</span>` : ''}
+                            <span class="med-name">${Utils.escapeHtml(drugDisplay)}</span>
+                        </div>
+                        ${this.renderRxSchedule(item)}
+                        ${item.remarks ? `<div class="med-remarks">📝 ${Utils.escapeHtml(item.remarks)}</div>` : ''}
+                        ${item.allergyOverride ? `<div class="med-override" title="${Utils.escapeHtml(item.allergyOverride.alerts.join('; '))}">⚠️ Allergy override: ${Utils.escapeHtml(item.allergyOverride.reason)}</div>` : ''}
+                        ${this.renderRxInteractions(item)}
+                        ${this.renderRxDuplicates(item)}
+                        ${this.renderRxOrganAlerts(item)}
+                        ${this.renderRxPregnancy(item)}
+                    </td>
+                    <td style="font-weight:600; color:#334155;">${item.steps ? `${item.steps.length} steps` : Utils.escapeHtml(item.dose)}</td>
+                    <td><span class="time-badge">${freqIcons}</span></td>
+                    <td>
+                        ${Utils.escapeHtml(item.duration)}
+                        ${quantity ? `<div class="med-qty">Qty: ${Utils.escapeHtml(quantity)}</div>` : ''}
+                    </td>
+                    <td>
+                        <div style="display:flex; gap:4px; justify-content:flex-end;">
+                            <button class="btn-row-action" onclick="App.editRxItem('${item.id}')" title="Edit">✏️</button>
+                            <button class="btn-row-action delete" onclick="App.deleteRxItem('${item.id}')" title="Delete">🗑️</button>
+                        </div>
+                    </td>
+                `;
+                tbody.appendChild(tr);
+            });
+        },
+
+
+        /* --------------------------------------------------------------------------
+           10.1 Allergy Registry & Screening
+           -------------------------------------------------------------------------- */
+
+        ALLERGY_SEVERITIES: ["unknown", "mild", "moderate", "severe", "anaphylaxis"],
+
+        /**
+         * Structured entries plus any free-text allergies (from the snapshot box)
+         * that have not been entered in the registry yet.
+         * @returns {Array<{allergen, classId, reaction, severity}>}
+         */
+        getAllergyEntries(patient, freeText = patient && patient.allergies) {
+            const list = (patient && patient.allergyList) || [];
+            const known = new Set(list.map(e => e.allergen.toLowerCase()));
+            const loose = Utils.splitList(freeText || "")
+                .filter(t => !CONFIG.REGEX.NO_ALLERGY.test(t) && !known.has(t.toLowerCase()))
+                .map(t => ({ allergen: t, classId: "", reaction: "", severity: "unknown" }));
+            return list.concat(loose);
+        },
+
+        /** Allergies of the loaded patient, including unsaved edits to the snapshot box. */
+        getCurrentAllergies() {
+            const p = this.state.currentPatient;
+            if (!p) return [];
+            return this.getAllergyEntries(p, this.dom.snapshotAllergies ? this.dom.snapshotAllergies.value : p.allergies);
+        },
+
+        /**
+         * Drops registry entries whose allergen was deleted from the free-text box,
+         * which stays the quick way to record and remove allergies.
+         */
+        syncAllergyList(patient) {
+            if (!patient.allergyList) return;
+            const listed = new Set(Utils.splitList(patient.allergies || "").map(t => t.toLowerCase()));
+            patient.allergyList = patient.allergyList.filter(e => listed.has(e.allergen.toLowerCase()));
+        },
+
+        renderAllergyBanner(patient) {
+            const d = this.dom;
+            if(!d.rxSafetyBanner) return;
+            const entries = patient ? this.getAllergyEntries(patient) : [];
+            if (!entries.length) {
+                d.rxSafetyBanner.classList.remove('is-visible');
+                return;
+            }
+            d.rxSafetyBanner.classList.add('is-visible');
+            if(d.rxAllergyText) d.rxAllergyText.textContent = entries.map(e => {
+                const detail = [e.reaction, e.severity !== "unknown" ? e.severity : ""].filter(Boolean).join(", ");
+                return detail ? `${e.allergen} (${detail})` : e.allergen;
+            }).join(" · ");
+        },
+
+        openAllergyRegistry() {
+            if (!this.state.currentPatient) {
+                this.showToast("Load a patient first.", "warning");
+                return;
+            }
+            this.state.allergyDraft = this.getCurrentAllergies().map(e => ({ ...e }));
+            if (!this.state.allergyDraft.length) this.addAllergyRow();
+            this.renderAllergyRegistry();
+            this.toggleModal('allergy', true);
+        },
+
+        addAllergyRow() {
+            this.state.allergyDraft.push({ allergen: "", classId: "", reaction: "", severity: "unknown" });
+            this.renderAllergyRegistry();
+        },
+
+        removeAllergyRow(index) {
+            this.state.allergyDraft.splice(index, 1);
+            this.renderAllergyRegistry();
+        },
+
+        renderAllergyRegistry() {
+            const tbody = this.dom.allergyTableBody;
+            if(!tbody) return;
+            tbody.innerHTML = "";
+
+            const classOptions = Object.keys(DRUG_CLASSES)
+                .map(id => `<option value="${id}">${DRUG_CLASSES[id].label}</option>`).join('');
+            const severityOptions = this.ALLERGY_SEVERITIES
+                .map(s => `<option value="${s}">${s.charAt(0).toUpperCase() + s.slice(1)}</option>`).join('');
+
+            this.state.allergyDraft.forEach((entry, index) => {
+                const detected = DrugKnowledge.resolve(entry.allergen).classes;
+                const tr = document.createElement("tr");
+                tr.innerHTML = `
+                    <td><input data-field="allergen" placeholder="e.g. Penicillin, Augmentin" value="${Utils.escapeHtml(entry.allergen)}" /></td>
+                    <td>
+                        <select data-field="classId"><option value="">Auto-detect</option>${classOptions}</select>
+                        <div class="allergy-detected">${!entry.classId && detected.length ? 'Detected: ' + detected.map(c => DRUG_CLASSES[c].label).join(", ") : ''}</div>
+                    </td>
+                    <td><input data-field="reaction" placeholder="Rash, angioedema..." value="${Utils.escapeHtml(entry.reaction)}" /></td>
+                    <td><select data-field="severity">${severityOptions}</select></td>
+                    <td><button class="btn-row-action delete" title="Remove">🗑️</button></td>
+                `;
+                tr.querySelector('[data-field="classId"]').value = entry.classId || "";
+                tr.querySelector('[data-field="severity"]').value = entry.severity || "unknown";
+                tr.querySelectorAll('[data-field]').forEach(el => {
+                    el.addEventListener('change', () => {
+                        entry[el.dataset.field] = el.value;
+                        if (el.dataset.field === "allergen" || el.dataset.field === "classId") this.renderAllergyRegistry();
+                    });
+                });
+                tr.querySelector('button').onclick = () => this.removeAllergyRow(index);
+                tbody.appendChild(tr);
+            });
+        },
+
+        async saveAllergyRegistry() {
+            const patient = this.state.currentPatient;
+            if (!patient) return;
+
+            const now = new Date().toISOString();
+            const previous = new Map((patient.allergyList || []).map(e => [e.allergen.toLowerCase(), e]));
+            const seen = new Set();
+            const entries = this.state.allergyDraft
+                .map(e => ({ ...e, allergen: e.allergen.trim(), reaction: e.reaction.trim() }))
+                .filter(e => {
+                    const key = e.allergen.toLowerCase();
+                    if (!e.allergen || CONFIG.REGEX.NO_ALLERGY.test(e.allergen) || seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                })
+                .map(e => ({
+                    allergen: e.allergen,
+                    classId: e.classId || DrugKnowledge.resolve(e.allergen).classes[0] || "",
+                    reaction: e.reaction,
+                    severity: e.severity || "unknown",
+                    recordedAt: (previous.get(e.allergen.toLowerCase()) || {}).recordedAt || now
+                }));
+
+            patient.allergyList = entries;
+            patient.allergies = entries.map(e => e.allergen).join(", ");
+            if(this.dom.snapshotAllergies) this.dom.snapshotAllergies.value = patient.allergies;
+
+            if (!(await this.persistData({ patients: [patient] }))) return;
+            this.renderAllergyBanner(patient);
+            this.scheduleAutosave();
+            this.toggleModal('allergy', false);
+            this.showToast("Allergy registry updated.", "success");
+        },
+
+        /**
+         * Shows the alerts for a drug and asks for an override reason.
+         * @returns {{reason, alerts, at}|null} null if the doctor backs out.
+         */
+        confirmAllergyOverride(drug, alerts) {
+            const LABELS = { allergy: "ALLERGY", class: "CLASS", cross: "CROSS-REACTIVITY" };
+            const lines = alerts.map(a => {
+                const sev = a.entry.severity && a.entry.severity !== "unknown" ? ` [${a.entry.severity.toUpperCase()}]` : "";
+                return `- ${LABELS[a.level]}${sev}: ${a.message}`;
+            });
+            const reason = prompt(`ALLERGY WARNING: ${drug}\n\n${lines.join("\n")}\n\nTo prescribe anyway, enter the reason for overriding:`);
+            if (reason === null) return null;
+            if (!reason.trim()) {
+                this.showToast("An override reason is required to prescribe this drug.", "warning");
+                return null;
+            }
+            return { reason: reason.trim(), alerts: alerts.map(a => a.message), at: new Date().toISOString() };
+        },
+
+
+        /* --------------------------------------------------------------------------
+           10.2 Drug Interaction & Duplication Checks
+           -------------------------------------------------------------------------- */
+
+        /**
+         * Re-checks the whole Rx list for interactions and therapeutic
+         * duplication. Runs from renderRxTable(), which follows every change to
+         * state.rxList (add, edit, delete, protocol, draft or history restore).
+         * Newly introduced problems are announced once with a toast.
+         */
+        evaluateRxSafety() {
+            const keyOf = (x) => [x.a.id, x.b.id].sort().join("|");
+            const known = new Set(this.state.rxInteractions.map(keyOf));
+            const interactions = DrugKnowledge.checkInteractions(this.state.rxList);
+            const fresh = interactions.filter(x => !known.has(keyOf(x)));
+            this.state.rxInteractions = interactions;
+
+            const organKey = (a) => a.item.id + a.organ + a.action;
+            const knownOrgan = new Set(this.state.rxOrganAlerts.map(organKey));
+            const organAlerts = DrugKnowledge.checkOrganDosing(this.state.rxList, this.getOrganFunction());
+            const freshOrgan = organAlerts.filter(a => !knownOrgan.has(organKey(a)));
+            this.state.rxOrganAlerts = organAlerts;
+            this.renderRenalFunction();
+
+            const dupKey = (g) => g.kind + g.items.map(i => i.id).join(",");
+            const knownDupes = new Set(this.state.rxDuplicates.map(dupKey));
+            const duplicates = DrugKnowledge.checkDuplicates(this.state.rxList);
+            const freshDupes = duplicates.filter(g => !knownDupes.has(dupKey(g)));
+            this.state.rxDuplicates = duplicates;
+
+            if (fresh.length) {
+                const x = fresh[0];
+                const more = fresh.length > 1 ? ` (+${fresh.length - 1} more)` : "";
+                this.showToast(`⚡ ${this.severityLabel(x.rule.severity)} interaction: ${Utils.escapeHtml(x.a.drug)} + ${Utils.escapeHtml(x.b.drug)}${more}`,
+                    x.rule.severity === "moderate" ? "warning" : "error");
+            } else if (freshOrgan.length) {
+                const a = freshOrgan[0];
+                this.showToast(`🩺 ${Utils.escapeHtml(a.item.drug)}: ${a.action === "contraindicated" ? "contraindicated" : "dose reduction"} (${a.basis})`,
+                    a.action === "contraindicated" ? "error" : "warning");
+            } else if (freshDupes.length) {
+                const g = freshDupes[0];
+                this.showToast(`⧉ Duplicate ${g.kind === "ingredient" ? "ingredient" : "class"}: ${Utils.escapeHtml(g.labels.join(", "))}`, "warning");
+            }
+        },
+
+        /**
+         * Renal function from the patient's age/sex and this visit's creatinine
+         * and weight, plus the recorded Child-Pugh class.
+         * @returns {{egfr: number|null, stage: string|null, crcl: number|null, liver: string}}
+         */
+        getOrganFunction() {
+            const d = this.dom;
+            const p = this.state.currentPatient;
+            const scr = parseFloat(d.vitalCreatinine ? d.vitalCreatinine.value : "");
+            const age = p ? parseInt(p.age, 10) : NaN;
+            const weight = parseFloat(d.vitalWeight ? d.vitalWeight.value : "");
+            const ok = !isNaN(scr) && scr > 0 && !isNaN(age);
+
+            const egfr = ok ? Utils.calculateEGFR(scr, age, p.sex) : null;
+            return {
+                egfr: egfr ? egfr.value : null,
+                stage: egfr ? egfr.stage : null,
+                crcl: ok && !isNaN(weight) ? Utils.calculateCrCl(scr, age, p.sex, weight) : null,
+                liver: d.vitalLiver ? d.vitalLiver.value : ""
             };
         },
 
+        /** "1.8 mg/dL (eGFR 38, G3b)" for the preview and print. */
+        formatRenalFunction() {
+            const fn = this.getOrganFunction();
+            const scr = this.dom.vitalCreatinine.value;
+            return fn.egfr != null ? `${scr} mg/dL (eGFR ${fn.egfr}, ${fn.stage})` : `${scr} mg/dL`;
+        },
+
+        renderRenalFunction() {
+            const box = this.dom.renalReadout;
+            if(!box) return;
+            const fn = this.getOrganFunction();
+            const parts = [];
+            if (fn.egfr != null) parts.push(`eGFR <strong>${fn.egfr}</strong> (${fn.stage})`);
+            if (fn.crcl != null) parts.push(`CrCl <strong>${fn.crcl}</strong> mL/min`);
+            box.innerHTML = parts.join(" · ");
+            box.classList.toggle('is-low', fn.egfr != null && fn.egfr < 60);
+        },
+
+        severityLabel(severity) {
+            return severity.charAt(0).toUpperCase() + severity.slice(1);
+        },
+
+        /** Inline interaction notes for one Rx line. */
+        renderRxInteractions(item) {
+            return this.state.rxInteractions
+                .filter(x => x.a.id === item.id || x.b.id === item.id)
+                .map(x => {
+                    const other = x.a.id === item.id ? x.b : x.a;
+                    return `<div class="med-interaction sev-${x.rule.severity}" title="${Utils.escapeHtml(x.rule.mechanism)}">⚡ ${this.severityLabel(x.rule.severity)} with ${Utils.escapeHtml(other.drug)}: ${Utils.escapeHtml(x.rule.advice)}</div>`;
+                }).join('');
+        },
+
+        /** Inline renal/hepatic dosing notes for one Rx line. */
+        renderRxOrganAlerts(item) {
+            return this.state.rxOrganAlerts
+                .filter(a => a.item === item)
+                .map(a => `<div class="med-interaction sev-${a.action === "contraindicated" ? "contraindicated" : "moderate"}">🩺 ${a.organ === "renal" ? "Renal" : "Hepatic"} (${Utils.escapeHtml(a.basis)}): ${a.action === "contraindicated" ? "Contraindicated. " : ""}${Utils.escapeHtml(a.advice)}</div>`)
+                .join('');
+        },
+
+        /**
+         * Pregnancy override note, or a warning for a line added before the
+         * status was recorded.
+         */
+        renderRxPregnancy(item) {
+            if (item.pregnancyOverride) {
+                return `<div class="med-override" title="${Utils.escapeHtml(item.pregnancyOverride.alerts.join('; '))}">🤰 ${Utils.escapeHtml(item.pregnancyOverride.status)} override: ${Utils.escapeHtml(item.pregnancyOverride.reason)}</div>`;
+            }
+            return DrugKnowledge.screenPregnancy(item.drug, this.getPregnancyStatus())
+                .map(a => `<div class="med-interaction sev-contraindicated">🤰 ${a.context === "pregnancy" ? `Pregnancy category ${a.category}` : "Lactation"}: ${Utils.escapeHtml(a.advice)}</div>`)
+                .join('');
+        },
+
+        /** Inline duplication notes for one Rx line. */
+        renderRxDuplicates(item) {
+            return this.state.rxDuplicates
+                .filter(g => g.items.includes(item))
+                .map(g => {
+                    const others = g.items.filter(i => i !== item).map(i => Utils.escapeHtml(i.drug)).join(", ");
+                    return `<div class="med-interaction sev-duplicate">⧉ Same ${g.kind === "ingredient" ? "ingredient" : "class"} (${Utils.escapeHtml(g.labels.join(", "))}) as ${others}</div>`;
+                }).join('');
+        },
+
+        /**
+         * Opens the safety review: duplication blocks a save, any finding blocks
+         * a print, until the doctor goes back or chooses to continue.
+         * @param {"save"|"print"} action
+         */
+        openRxReview(action) {
+            this.state.rxReviewAction = action;
+            if(this.dom.rxReviewProceedBtn) this.dom.rxReviewProceedBtn.textContent = action === "save" ? "Save Anyway" : "Print Anyway";
+            this.renderRxReview();
+            this.toggleModal('rxReview', true);
+        },
+
+        proceedRxReview() {
+            this.toggleModal('rxReview', false);
+            if (this.state.rxReviewAction === "save") this.saveVisit(true);
+            else this.generatePrintDocument(true);
+        },
+
+        renderRxReview() {
+            const box = this.dom.rxReviewSummary;
+            if(!box) return;
+            box.innerHTML = `
+                <div class="restore-note">Review these findings before you ${this.state.rxReviewAction === "save" ? "save" : "print"}. Go back to change the prescription, or continue as it is.</div>
+                ${this.state.pregnancyStale && this.getPregnancyStatus().status ? `
+                    <div class="rx-review-item sev-moderate">
+                        <div class="rx-review-title"><span class="rx-review-badge">Re-confirm</span> Pregnancy status</div>
+                        <div class="rx-review-text">The recorded pregnancy is now past ${this.MAX_GESTATION_WEEKS} weeks. Update the status before printing.</div>
+                    </div>
+                ` : ''}
+                ${this.rxPregnancyAlerts().map(x => x.alerts.map(a => `
+                    <div class="rx-review-item sev-contraindicated">
+                        <div class="rx-review-title">
+                            <span class="rx-review-badge">${a.context === "pregnancy" ? `Pregnancy Cat. ${a.category}` : "Lactation"}</span>
+                            ${Utils.escapeHtml(x.item.drug)}
+                        </div>
+                        <div class="rx-review-text">${Utils.escapeHtml(a.advice)}</div>
+                    </div>
+                `).join('')).join('')}
+                ${this.state.rxOrganAlerts.map(a => `
+                    <div class="rx-review-item sev-${a.action === "contraindicated" ? "contraindicated" : "moderate"}">
+                        <div class="rx-review-title">
+                            <span class="rx-review-badge">${a.action === "contraindicated" ? "Contraindicated" : "Reduce dose"}</span>
+                            ${Utils.escapeHtml(a.item.drug)}
+                        </div>
+                        <div class="rx-review-text"><strong>${a.organ === "renal" ? "Renal" : "Hepatic"} (${Utils.escapeHtml(a.basis)}):</strong> ${Utils.escapeHtml(a.advice)}</div>
+                    </div>
+                `).join('')}
+                ${this.state.rxDuplicates.map(g => `
+                    <div class="rx-review-item sev-duplicate">
+                        <div class="rx-review-title">
+                            <span class="rx-review-badge">Duplicate ${g.kind}</span>
+                            ${Utils.escapeHtml(g.labels.join(", "))}
+                        </div>
+                        <div class="rx-review-text">${g.items.map(i => Utils.escapeHtml(i.drug)).join(" · ")}</div>
+                    </div>
+                `).join('')}
+                ${this.state.rxInteractions.map(x => `
+                    <div class="rx-review-item sev-${x.rule.severity}">
+                        <div class="rx-review-title">
+                            <span class="rx-review-badge">${this.severityLabel(x.rule.severity)}</span>
+                            ${Utils.escapeHtml(x.a.drug)} + ${Utils.escapeHtml(x.b.drug)}
+                        </div>
+                        <div class="rx-review-text"><strong>Mechanism:</strong> ${Utils.escapeHtml(x.rule.mechanism)}</div>
+                        <div class="rx-review-text"><strong>Advice:</strong> ${Utils.escapeHtml(x.rule.advice)}</div>
+                    </div>
+                `).join('')}
+            `;
+        },
 
-        /* ==========================================================================
-           7.0 EVENT ORCHESTRATION
-           ========================================================================== */
+
+        /* --------------------------------------------------------------------------
+           10.3 Pediatric Dose Calculator
+           -------------------------------------------------------------------------- */
 
         /**
-         * Binds all event listeners to DOM elements.
-         * Separating logic from HTML (onclick) makes the code cleaner and easier to debug.
+         * mg per ml from a liquid's name: "250 mg/5ml" -> 50, "100 mg/ml" -> 100,
+         * "1 g/10ml" -> 100. Null for % strengths (eye/ear drops) and IU.
          */
-        bindEvents() {
-            const d = this.dom;
+        parseConcentration(name) {
+            const m = /(\d+(?:\.\d+)?)\s*(mcg|mg|g)\s*\/\s*(\d+(?:\.\d+)?)?\s*ml\b/i.exec(String(name || ""));
+            if (!m) return null;
+            const factor = { mcg: 0.001, mg: 1, g: 1000 }[m[2].toLowerCase()];
+            return (parseFloat(m[1]) * factor) / (m[3] ? parseFloat(m[3]) : 1);
+        },
 
-            // --- 7.1 Global Actions ---
-            if(d.themeToggleBtn) d.themeToggleBtn.onclick = () => this.toggleTheme();
-            if(d.shortcutsBtn) d.shortcutsBtn.onclick = () => this.toggleModal('shortcuts', true);
-            if(d.globalSearch) {
-                d.globalSearch.addEventListener('input', (e) => this.handlePatientSearch(e.target.value));
-                d.globalSearch.addEventListener('focus', (e) => this.handlePatientSearch(e.target.value));
-            }
-            
-            // Close search dropdown on outside click
-            document.addEventListener('click', (e) => {
-                if (d.globalSearch && d.searchResults && 
-                    !d.globalSearch.contains(e.target) && !d.searchResults.contains(e.target)) {
-                    d.searchResults.setAttribute("aria-hidden", "true");
-                }
-            });
+        /**
+         * mg per ml of one ingredient of a database liquid, from its
+         * meds_structured fields. Null when the label gives no separate
+         * strength for it ("Amoxicillin + Clavulanic Acid Syrup 228.5 mg/5ml").
+         */
+        ingredientConcentration(entry, ingredient) {
+            const index = (window.meds_10000_cleaned || []).indexOf(entry);
+            const fields = index >= 0 && window.meds_structured ? window.meds_structured[index] : null;
+            const ing = fields && fields.ingredients.find(i => i.name.toLowerCase() === ingredient);
+            if (!ing || !ing.strength || !ing.per || ing.per.unit !== "ml") return null;
+            const factor = { mcg: 0.001, mg: 1, g: 1000 }[ing.unit];
+            return factor ? (ing.strength * factor) / ing.per.amount : null;
+        },
 
-            // --- 7.2 Patient & Context ---
-            if(d.newPatientBtn) d.newPatientBtn.onclick = () => this.toggleModal('newPatient', true);
-            if(d.saveNewPatientBtn) d.saveNewPatientBtn.onclick = () => this.registerNewPatient();
-            if(d.closeNewPatientBtn) d.closeNewPatientBtn.onclick = () => this.toggleModal('newPatient', false);
-            
-            if(d.calcBtn) d.calcBtn.onclick = () => this.handleBMICalculation();
-            if(d.openHistoryBtn) d.openHistoryBtn.onclick = () => this.toggleHistory(true);
-            if(d.closeHistoryBtn) d.closeHistoryBtn.onclick = () => this.toggleHistory(false);
+        /** The database or custom entry for the Rx name box, if it is one. */
+        findMedEntry(name) {
+            const q = String(name || "").trim().toLowerCase();
+            const unbranded = q.replace(/\s*\([^)]*\)$/, ""); // "... 120 mg/5ml (Calpol)"
+            const entry = DrugSearch.entries.find(e => e.name === q) || DrugSearch.entries.find(e => e.name === unbranded);
+            return entry ? entry.med : null;
+        },
 
-            // --- 7.3 Clinical & Rx Interactions ---
-            if(d.addRxBtn) d.addRxBtn.onclick = () => this.addRxItem();
-            if(d.rxDrugName) d.rxDrugName.addEventListener('input', (e) => this.handleDrugSearch(e.target.value));
-            if(d.aiSuggestBtn) d.aiSuggestBtn.onclick = () => this.triggerAI();
-            if(d.dismissAllergyBtn) d.dismissAllergyBtn.onclick = () => d.rxSafetyBanner.classList.remove('is-visible');
+        togglePedsMode(force) {
+            const d = this.dom;
+            this.state.pedsMode = typeof force === "boolean" ? force : !this.state.pedsMode;
+            if(d.pedsCalc) d.pedsCalc.classList.toggle('is-hidden', !this.state.pedsMode);
+            if(d.pedsModeBtn) d.pedsModeBtn.classList.toggle('is-active', this.state.pedsMode);
+            this.state.pedsDrug = null;
+            if (this.state.pedsMode) this.updatePedsCalc();
+        },
 
-            // Advanced Rx Navigation (Enter Key Strategy)
-            if(d.rxDrugName) {
-                d.rxDrugName.addEventListener('keydown', (e) => {
-                    if(e.key === "Enter") d.rxDose.focus();
-                    if(e.key === "Escape") d.drugSuggestions.setAttribute("aria-hidden", "true");
-                });
-                d.rxDose.addEventListener('keydown', (e) => { if(e.key === "Enter") d.rxFrequency.focus(); });
-                d.rxFrequency.addEventListener('keydown', (e) => { if(e.key === "Enter") d.rxDuration.focus(); });
-                d.rxDuration.addEventListener('keydown', (e) => { if(e.key === "Enter") d.rxRemarks.focus(); });
-                d.rxRemarks.addEventListener('keydown', (e) => { if(e.key === "Enter") this.addRxItem(); });
+        /**
+         * Works out the dose for the drug in the Rx name box.
+         * @returns {{error: string}|{mgPerKg, freq, weight, mgPerMl, ml, mgPerDose, dailyMg, maxDailyMg, capped, notes}}
+         */
+        computePedsDose() {
+            const d = this.dom;
+            const name = d.rxDrugName.value.trim();
+            if (!name) return { error: "Pick a syrup or drops first." };
+
+            const entry = this.findMedEntry(name);
+            const ingredients = DrugKnowledge.resolve(name).ingredients;
+            const dosed = ingredients.find(i => PEDIATRIC_DOSING[i]);
+            const ref = dosed ? PEDIATRIC_DOSING[dosed] : null;
+
+            // A combination's label strength is the total of its ingredients,
+            // so only the dosed ingredient's own strength will do
+            const mgPerMl = ingredients.length > 1
+                ? (dosed && entry ? this.ingredientConcentration(entry, dosed) : null)
+                : this.parseConcentration(entry ? entry.name : name);
+            if (!mgPerMl) {
+                return { error: ingredients.length > 1
+                    ? "Combination product with no separate strength for the dosed ingredient. Calculate by hand."
+                    : "No mg/ml strength in this name (e.g. \"125 mg/5ml\")." };
             }
 
-            // --- 7.4 Document Actions ---
-            if(d.saveVisitBtn) d.saveVisitBtn.onclick = () => this.saveVisit();
-            if(d.printBtn) d.printBtn.onclick = () => this.generatePrintDocument();
-
-            // --- 7.5 Settings ---
-            if(d.settingsBtn) d.settingsBtn.onclick = () => this.openSettings();
-            if(d.saveSettingsBtn) d.saveSettingsBtn.onclick = () => this.saveSettings();
-            if(d.closeSettingsBtn) d.closeSettingsBtn.onclick = () => this.toggleModal('settings', false);
-            if(d.closeShortcutsBtn) d.closeShortcutsBtn.onclick = () => this.toggleModal('shortcuts', false);
-
-            // --- 7.6 Real-time Preview Binding ---
-            // Bind input events to all clinical fields for immediate preview updates
-            const inputsToWatch = [
-                d.coText, d.examText, d.dxText, d.adviceText, d.investText, d.visitDate,
-                d.vitalBP, d.vitalPulse, d.vitalTemp, d.vitalSpO2, d.vitalWeight
-            ];
-            inputsToWatch.forEach(el => {
-                if(el) el.addEventListener('input', () => this.updatePreview());
-            });
+            const weight = parseFloat(d.vitalWeight.value);
+            if (isNaN(weight) || weight <= 0) return { error: "Enter the child's weight (Wt) in vitals." };
+
+            const mgPerKg = parseFloat(d.pedsMgPerKg.value);
+            if (isNaN(mgPerKg) || mgPerKg <= 0) return { error: "Enter the mg/kg/dose." };
+
+            const freq = d.pedsFreq.value;
+            const perDay = PEDIATRIC_FREQUENCIES[freq];
+            const notes = [];
+
+            let mgPerDose = mgPerKg * weight;
+            let maxDailyMg = null;
+            let capped = false;
+            if (ref) {
+                maxDailyMg = Math.min(ref.maxMgPerKgDay * weight, ref.maxMgDay);
+                if (mgPerDose * perDay > maxDailyMg + 1e-6) {
+                    mgPerDose = maxDailyMg / perDay;
+                    capped = true;
+                }
+            } else {
+                notes.push("No maximum daily dose on file for this drug; check a reference.");
+            }
+            if (ingredients.length > 1) notes.push(`Combination product: dosed by its ${dosed} content.`);
+            if (weight > 40) notes.push("Over 40 kg: adult dosing usually applies.");
+
+            // Measurable volumes: 0.1 ml for drops, 0.5 ml for syrups; never round above the ceiling
+            const isDrops = /drops?\b/i.test(name) || (entry && entry.type === "Drops");
+            const step = isDrops ? 0.1 : 0.5;
+            let ml = Math.round((mgPerDose / mgPerMl) / step) * step;
+            if (maxDailyMg && ml * mgPerMl * perDay > maxDailyMg + 1e-6) ml = Math.floor((mgPerDose / mgPerMl) / step) * step;
+            if (ml < step) ml = step;
+            ml = parseFloat(ml.toFixed(1));
+
+            return {
+                mgPerKg, freq, weight, mgPerMl, ml,
+                mgPerDose: parseFloat((ml * mgPerMl).toFixed(2)),
+                dailyMg: parseFloat((ml * mgPerMl * perDay).toFixed(2)),
+                maxDailyMg: maxDailyMg && parseFloat(maxDailyMg.toFixed(2)),
+                capped, notes
+            };
         },
 
-        initShortcuts() {
-            document.addEventListener('keydown', (e) => {
-                // Ctrl/Cmd + S = Save
-                if((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
-                    e.preventDefault();
-                    this.saveVisit();
-                }
-                // Ctrl/Cmd + P = Print
-                if((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'p') {
-                    e.preventDefault();
-                    this.generatePrintDocument();
-                }
-                // Alt + N = New Patient
-                if(e.altKey && e.key.toLowerCase() === 'n') {
-                    e.preventDefault();
-                    this.toggleModal('newPatient', true);
-                    if(this.dom.regName) setTimeout(() => this.dom.regName.focus(), 100);
-                }
-                // Alt + S = Search
-                if(e.altKey && e.key.toLowerCase() === 's') {
-                    e.preventDefault();
-                    if(this.dom.globalSearch) this.dom.globalSearch.focus();
-                }
-                // Esc = Close Modals
-                if(e.key === 'Escape') {
-                    this.toggleModal('newPatient', false);
-                    this.toggleModal('settings', false);
-                    this.toggleModal('shortcuts', false);
-                    this.toggleHistory(false);
-                    if(this.dom.drugSuggestions) this.dom.drugSuggestions.setAttribute('aria-hidden', 'true');
-                    if(this.dom.searchResults) this.dom.searchResults.setAttribute('aria-hidden', 'true');
-                    this.cancelRxEdit();
+        /** Prefills the usual dose when the drug changes, then re-renders the result. */
+        updatePedsCalc() {
+            const d = this.dom;
+            if (!this.state.pedsMode || !d.pedsResult) return;
+
+            const name = d.rxDrugName.value.trim();
+            if (name !== this.state.pedsDrug) {
+                this.state.pedsDrug = name;
+                const ref = DrugKnowledge.resolve(name).ingredients.map(i => PEDIATRIC_DOSING[i]).find(Boolean);
+                if (ref) {
+                    d.pedsMgPerKg.value = ref.mgPerKg;
+                    d.pedsFreq.value = ref.freq;
                 }
-            });
-        },
+            }
 
-        initTabs() {
-            this.dom.tabButtons.forEach(btn => {
-                btn.onclick = () => {
-                    // Remove active from all
-                    this.dom.tabButtons.forEach(b => b.classList.remove('active'));
-                    this.dom.tabContents.forEach(c => c.classList.remove('active'));
-                    
-                    // Activate target
-                    btn.classList.add('active');
-                    const targetId = btn.getAttribute('data-tab');
-                    const targetContent = document.getElementById(targetId);
-                    if(targetContent) targetContent.classList.add('active');
-                };
-            });
+            const r = this.computePedsDose();
+            d.pedsApplyBtn.disabled = !!r.error;
+            if (r.error) {
+                d.pedsResult.innerHTML = `<span class="peds-muted">${Utils.escapeHtml(r.error)}</span>`;
+                return;
+            }
+            d.pedsResult.innerHTML = `
+                <div><strong>${r.ml} ml</strong> ${r.freq} = ${r.mgPerDose} mg/dose (${r.dailyMg} mg/day)</div>
+                <div class="peds-muted">${r.weight} kg · ${parseFloat(r.mgPerMl.toFixed(3))} mg/ml${r.maxDailyMg ? ` · max ${r.maxDailyMg} mg/day` : ''}</div>
+                ${r.capped ? `<div class="peds-capped">Capped at the maximum daily dose.</div>` : ''}
+                ${r.notes.map(n => `<div class="peds-muted">${Utils.escapeHtml(n)}</div>`).join('')}
+            `;
         },
 
-        initClock() {
-            const tick = () => {
-                const now = new Date();
-                if(this.dom.liveTime) this.dom.liveTime.textContent = now.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'});
-                if(this.dom.liveDate) this.dom.liveDate.textContent = now.toLocaleDateString([], {weekday:'short', month:'short', day:'numeric'});
-            };
-            tick();
-            setInterval(tick, 1000);
+        applyPedsDose() {
+            const d = this.dom;
+            const r = this.computePedsDose();
+            if (r.error) {
+                this.showToast(r.error, "warning");
+                return;
+            }
+            d.rxDose.value = `${r.ml} ml`;
+            d.rxFrequency.value = r.freq;
+            const calc = `${r.mgPerKg} mg/kg/dose for ${r.weight} kg = ${r.mgPerDose} mg${r.capped ? " (capped at max daily dose)" : ""}`;
+            d.rxRemarks.value = d.rxRemarks.value ? `${d.rxRemarks.value}; ${calc}` : calc;
+            d.rxDuration.focus();
         },
 
 
-        /* ==========================================================================
-           8.0 PATIENT MANAGEMENT MODULE
-           ========================================================================== */
+        /* --------------------------------------------------------------------------
+           10.4 Pregnancy & Lactation
+           -------------------------------------------------------------------------- */
 
-        loadData() {
-            try {
-                // Load from LocalStorage
-                const rawPatients = localStorage.getItem(CONFIG.STORAGE_KEYS.PATIENTS);
-                const rawVisits = localStorage.getItem(CONFIG.STORAGE_KEYS.VISITS);
-                const rawSettings = localStorage.getItem(CONFIG.STORAGE_KEYS.SETTINGS);
+        PREGNANCY_STATUSES: { "": "Not pregnant", pregnant: "Pregnant", lactating: "Lactating" },
 
-                this.state.patients = rawPatients ? JSON.parse(rawPatients) : [];
-                this.state.visits = rawVisits ? JSON.parse(rawVisits) : [];
-                if(rawSettings) this.state.clinic = JSON.parse(rawSettings);
+        // A recorded pregnancy is not carried past this; the doctor re-confirms it
+        MAX_GESTATION_WEEKS: 42,
 
-                Logger.info(`Data Loaded: ${this.state.patients.length} patients, ${this.state.visits.length} visits.`);
-            } catch (e) {
-                Logger.error("Data Load Failed", e);
-                this.showToast("Database Error: Could not load records", "error");
-            }
+        /**
+         * Status from the snapshot form. `weeks` is the gestational age today,
+         * or null when not recorded.
+         * @returns {{status: ""|"pregnant"|"lactating", weeks: number|null}}
+         */
+        getPregnancyStatus() {
+            const d = this.dom;
+            const p = this.state.currentPatient;
+            if (!p || p.sex !== "F" || !d.snapshotPregnancy) return { status: "", weeks: null };
+            const status = d.snapshotPregnancy.value;
+            const weeks = parseInt(d.snapshotGestation.value, 10);
+            return { status, weeks: status === "pregnant" && !isNaN(weeks) ? weeks : null };
         },
 
-        persistData() {
-            try {
-                localStorage.setItem(CONFIG.STORAGE_KEYS.PATIENTS, JSON.stringify(this.state.patients));
-                localStorage.setItem(CONFIG.STORAGE_KEYS.VISITS, JSON.stringify(this.state.visits));
-                localStorage.setItem(CONFIG.STORAGE_KEYS.SETTINGS, JSON.stringify(this.state.clinic));
-            } catch (e) {
-                Logger.error("Persist Failed", e);
-                this.showToast("Critical: Failed to save data!", "error");
+        /** "Pregnant, 24 wks" / "Lactating" / "" for records and print. */
+        formatPregnancyStatus(status) {
+            if (!status || !status.status) return "";
+            const label = this.PREGNANCY_STATUSES[status.status];
+            return status.weeks != null ? `${label}, ${status.weeks} wks` : label;
+        },
+
+        /**
+         * Fills the snapshot from a stored status, advancing the gestational
+         * age by the weeks elapsed since it was recorded. A pregnancy that
+         * would now be past MAX_GESTATION_WEEKS stays recorded (so screening
+         * continues) with the age capped, and is flagged until re-confirmed.
+         */
+        writePregnancyStatus(stored) {
+            const d = this.dom;
+            if (!d.snapshotPregnancy) return;
+            const status = stored && stored.status ? stored.status : "";
+            let weeks = stored && stored.weeks != null ? stored.weeks : "";
+            const elapsed = stored && stored.recordedAt
+                ? Math.floor((Date.now() - new Date(stored.recordedAt).getTime()) / (7 * 86400000))
+                : 0;
+            if (weeks !== "") weeks += elapsed;
+            const max = this.MAX_GESTATION_WEEKS;
+            this.state.pregnancyStale = status === "pregnant" && (weeks !== "" ? weeks > max : elapsed > max);
+            if (this.state.pregnancyStale) {
+                if (weeks !== "") weeks = max;
+                this.showToast(`Recorded pregnancy is past ${max} weeks. Please re-confirm or update the status.`, "warning");
             }
+            d.snapshotPregnancy.value = status;
+            d.snapshotGestation.value = status === "pregnant" ? weeks : "";
+            this.renderPregnancyFields();
         },
 
-        registerNewPatient() {
+        /** Pregnancy fields are only offered for female patients; GA only when pregnant. */
+        renderPregnancyFields() {
             const d = this.dom;
-            const name = d.regName.value.trim();
-            const phone = d.regPhone.value.trim();
+            if (!d.pregnancySection) return;
+            const p = this.state.currentPatient;
+            d.pregnancySection.classList.toggle('is-hidden', !p || p.sex !== "F");
+            d.snapshotGestation.disabled = d.snapshotPregnancy.value !== "pregnant";
+            if (d.snapshotGestation.disabled) d.snapshotGestation.value = "";
+            if (d.pregnancyStaleNote) d.pregnancyStaleNote.classList.toggle('is-hidden', !this.state.pregnancyStale);
+        },
 
-            if (!name) {
-                this.showToast("Patient Name is required", "warning");
-                return d.regName.focus();
-            }
+        /** Lines flagged unsafe for the current status with no override recorded. */
+        rxPregnancyAlerts() {
+            const status = this.getPregnancyStatus();
+            return this.state.rxList
+                .filter(item => !item.pregnancyOverride)
+                .map(item => ({ item, alerts: DrugKnowledge.screenPregnancy(item.drug, status) }))
+                .filter(x => x.alerts.length);
+        },
 
-            const newPatient = {
-                id: Utils.generateId("P"),
-                name: name,
-                phone: phone,
-                age: d.regAge.value || "--",
-                sex: d.regSex.value,
-                allergies: d.regAllergies.value,
-                chronic: d.regChronic.value,
-                registeredAt: new Date().toISOString()
+        /**
+         * Same prompt-for-a-reason flow as the allergy override.
+         * @returns {{reason, alerts, status, at}|null}
+         */
+        confirmPregnancyOverride(drug, alerts) {
+            const status = this.formatPregnancyStatus(this.getPregnancyStatus());
+            const lines = alerts.map(a => `- ${a.context === "pregnancy" ? `CATEGORY ${a.category}` : "LACTATION"}: ${a.advice}`);
+            const reason = prompt(`${status.toUpperCase()} - UNSAFE DRUG: ${drug}\n\n${lines.join("\n")}\n\nTo prescribe anyway, enter the reason for overriding:`);
+            if (reason === null) return null;
+            if (!reason.trim()) {
+                this.showToast("An override reason is required to prescribe this drug.", "warning");
+                return null;
+            }
+            return {
+                reason: reason.trim(),
+                alerts: alerts.map(a => a.advice),
+                status,
+                at: new Date().toISOString()
             };
+        },
 
-            this.state.patients.push(newPatient);
-            this.persistData();
 
-            // Cleanup form
-            d.regName.value = ""; d.regPhone.value = ""; d.regAge.value = "";
-            d.regAllergies.value = ""; d.regChronic.value = "";
-            
-            this.toggleModal('newPatient', false);
-            this.loadPatientContext(newPatient);
-            this.showToast("Patient Registered Successfully", "success");
+        /* --------------------------------------------------------------------------
+           10.5 Tapering & Multi-Step Regimens
+           -------------------------------------------------------------------------- */
+
+        /** Step-by-step schedule under the drug name in the Rx table. */
+        renderRxSchedule(item) {
+            if (!item.steps) return "";
+            const sig = Dosage.describe(item);
+            return `<ol class="rx-steps">${item.steps.map((s, i) => {
+                const qty = Dosage.formatQuantity(sig.steps[i].quantity);
+                return `<li>${Utils.escapeHtml([s.dose, s.freq].filter(Boolean).join(" "))} × ${Utils.escapeHtml(s.duration)}${qty ? ` <span class="rx-step-qty">(${Utils.escapeHtml(qty)})</span>` : ''}</li>`;
+            }).join('')}</ol>`;
         },
 
-        handlePatientSearch(query) {
-            const box = this.dom.searchResults;
-            if (!query || query.length < 1) {
-                box.setAttribute("aria-hidden", "true");
+        /** Stages the dose/frequency/duration fields as the next step of a taper. */
+        addRxStep() {
+            const d = this.dom;
+            const step = {
+                dose: d.rxDose.value.trim(),
+                freq: d.rxFrequency.value.trim(),
+                duration: Dosage.parseDuration(d.rxDuration.value).label
+            };
+            if (!step.dose || !Dosage.parseDuration(step.duration).days) {
+                this.showToast("Each step needs a dose and a duration (e.g. 5 Days).", "warning");
+                (step.dose ? d.rxDuration : d.rxDose).focus();
                 return;
             }
+            this.state.rxSteps.push(step);
+            d.rxDose.value = "";
+            d.rxDuration.value = "";
+            this.renderRxSteps();
+            d.rxDose.focus();
+        },
 
-            const q = query.toLowerCase();
-            const matches = this.state.patients.filter(p => 
-                p.name.toLowerCase().includes(q) || 
-                p.phone.includes(q) ||
-                p.id.toLowerCase().includes(q)
-            ).slice(0, 10); // Limit results
+        removeRxStep(index) {
+            this.state.rxSteps.splice(index, 1);
+            this.renderRxSteps();
+        },
 
-            box.innerHTML = "";
-            if (matches.length === 0) {
-                box.innerHTML = `<div class="search-result-item" style="color:#94a3b8; cursor:default;">No matches found.</div>`;
-            } else {
-                matches.forEach(p => {
-                    const div = document.createElement("div");
-                    div.className = "search-result-item";
-                    div.innerHTML = `
-                        <div style="display:flex; flex-direction:column;">
-                            <span style="font-weight:600; color:var(--text-main);">${Utils.escapeHtml(p.name)}</span>
-                            <span style="font-size:11px; color:var(--text-muted);">ID: ${p.id}</span>
-                        </div>
-                        <div style="font-size:12px; color:var(--text-secondary);">
-                            ${p.phone}
-                        </div>
-                    `;
-                    div.onclick = () => {
-                        this.loadPatientContext(p);
-                        this.dom.globalSearch.value = "";
-                        box.setAttribute("aria-hidden", "true");
+        renderRxSteps() {
+            const el = this.dom.rxStepList;
+            if (!el) return;
+            const steps = this.state.rxSteps;
+            el.classList.toggle('is-hidden', steps.length === 0);
+            el.innerHTML = steps.length ? `
+                <span class="rx-step-title">Steps</span>
+                ${steps.map((s, i) => `
+                    <span class="rx-step-chip">
+                        ${i + 1}. ${Utils.escapeHtml([s.dose, s.freq].filter(Boolean).join(" "))} × ${Utils.escapeHtml(s.duration)}
+                        <button class="rx-step-remove" onclick="App.removeRxStep(${i})" title="Remove step">✕</button>
+                    </span>
+                `).join('')}
+                <span class="rx-step-hint">Fill the next step, or Add Med to finish.</span>
+            ` : "";
+        },
+
+        /**
+         * Steps for the line being added: staged steps plus the fields as the
+         * final step, or a taper typed into the dose or remarks box
+         * ("20mg x5d then 10mg x5d").
+         * @returns {{steps: object[]|null, single: object|null, fromRemarks: boolean}|null}
+         *   `single` is a lone staged step used as a plain line; null when invalid.
+         */
+        collectRxSteps() {
+            const d = this.dom;
+            const steps = this.state.rxSteps.slice();
+            if (steps.length) {
+                if (d.rxDose.value.trim() || d.rxDuration.value.trim()) {
+                    const last = {
+                        dose: d.rxDose.value.trim(),
+                        freq: d.rxFrequency.value.trim(),
+                        duration: Dosage.parseDuration(d.rxDuration.value).label
                     };
-                    box.appendChild(div);
-                });
+                    if (!last.dose || !Dosage.parseDuration(last.duration).days) {
+                        this.showToast("The last step needs a dose and a duration.", "warning");
+                        return null;
+                    }
+                    steps.push(last);
+                }
+                return { steps: steps.length > 1 ? steps : null, single: steps.length === 1 ? steps[0] : null, fromRemarks: false };
             }
-            box.setAttribute("aria-hidden", "false");
+
+            const typed = Dosage.parseTaper(d.rxDose.value, d.rxFrequency.value.trim());
+            if (typed) return { steps: typed, single: null, fromRemarks: false };
+            const inRemarks = Dosage.parseTaper(d.rxRemarks.value, d.rxFrequency.value.trim());
+            if (inRemarks) return { steps: inRemarks, single: null, fromRemarks: true };
+            return { steps: null, single: null, fromRemarks: false };
+        },
+
+
+        /* --------------------------------------------------------------------------
+           10.6 Custom Drug List
+           -------------------------------------------------------------------------- */
+
+        CUSTOM_DRUG_TYPES: ["Tab", "Cap", "Syr", "Drops", "Inj", "Cream", "Oint", "Gel", "Lotion",
+            "Inhaler", "Respule", "Spray", "Sachet", "Powder", "Patch", "Suppository", "Other"],
+
+        /** Opens the list; from the Rx cockpit, an unknown typed name is offered as a new entry. */
+        openCustomDrugs(prefillName = "") {
+            const known = prefillName && DrugSearch.entries.some(e => e.name === prefillName.trim().toLowerCase());
+            this.resetCustomDrugForm(known ? "" : prefillName.trim());
+            this.renderCustomDrugs();
+            this.toggleModal('customDrugs', true);
+            if(this.dom.customDrugName) this.dom.customDrugName.focus();
         },
 
-        loadPatientContext(patient) {
-            this.state.currentPatient = patient;
+        resetCustomDrugForm(name = "") {
             const d = this.dom;
+            this.state.editingCustomDrugId = null;
+            d.customDrugName.value = name;
+            d.customDrugType.value = "Tab";
+            d.customDrugCategory.value = "";
+            d.customDrugTags.value = "";
+            d.customDrugSaveBtn.textContent = "Add Drug";
+            d.customDrugCancelBtn.classList.add('is-hidden');
+        },
 
-            if (!patient) {
-                // Reset to "No Patient" state
-                if(d.contextStrip) d.contextStrip.classList.add('is-hidden');
-                this.resetClinicalForms();
-                this.updatePreview();
+        editCustomDrug(id) {
+            const drug = this.state.customDrugs.find(c => c.id === id);
+            if (!drug) return;
+            const d = this.dom;
+            this.state.editingCustomDrugId = id;
+            d.customDrugName.value = drug.name;
+            d.customDrugType.value = drug.type;
+            d.customDrugCategory.value = drug.category;
+            d.customDrugTags.value = drug.tags;
+            d.customDrugSaveBtn.textContent = "Update Drug";
+            d.customDrugCancelBtn.classList.remove('is-hidden');
+            d.customDrugName.focus();
+        },
+
+        async saveCustomDrug() {
+            const d = this.dom;
+            const name = d.customDrugName.value.trim().replace(/\s+/g, " ");
+            if (!name) {
+                this.showToast("Enter the drug name as it should print.", "warning");
+                d.customDrugName.focus();
+                return;
+            }
+            const editingId = this.state.editingCustomDrugId;
+            const clash = this.state.customDrugs.find(c => c.id !== editingId && c.name.toLowerCase() === name.toLowerCase());
+            if (clash) {
+                this.showToast(`"${Utils.escapeHtml(name)}" is already in your list.`, "warning");
                 return;
             }
 
-            // Populate Header Context Strip
-            if(d.contextStrip) d.contextStrip.classList.remove('is-hidden');
-            if(d.headerName) d.headerName.textContent = patient.name;
-            if(d.headerUhid) d.headerUhid.textContent = `UHID: ${patient.id}`;
-            if(d.headerAgeSex) d.headerAgeSex.textContent = `${patient.age} Y / ${patient.sex}`;
-            if(d.headerPhone) d.headerPhone.textContent = patient.phone;
-            if(d.headerAvatar) d.headerAvatar.textContent = patient.name.charAt(0).toUpperCase();
+            const existing = this.state.customDrugs.find(c => c.id === editingId);
+            const now = new Date().toISOString();
+            const drug = {
+                id: editingId || Utils.generateId("DRUG"),
+                name,
+                type: d.customDrugType.value,
+                category: d.customDrugCategory.value.trim() || "Custom",
+                tags: d.customDrugTags.value.trim(),
+                hidden: existing ? existing.hidden : false,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            };
+            if (!await this.persistCustomDrug(drug)) return;
+            this.showToast(existing ? "Custom drug updated." : `Added "${Utils.escapeHtml(name)}" to your drug list.`, "success");
+            this.resetCustomDrugForm();
+        },
 
-            // Populate Snapshots
-            if(d.snapshotAllergies) d.snapshotAllergies.value = patient.allergies || "";
-            if(d.snapshotChronic) d.snapshotChronic.value = patient.chronic || "";
+        async toggleCustomDrugHidden(id) {
+            const drug = this.state.customDrugs.find(c => c.id === id);
+            if (!drug) return;
+            await this.persistCustomDrug({ ...drug, hidden: !drug.hidden, updatedAt: new Date().toISOString() });
+        },
 
-            // Allergy Alert Logic (The Red Banner)
-            if(patient.allergies && patient.allergies.trim() !== "") {
-                if(d.rxSafetyBanner) {
-                    d.rxSafetyBanner.classList.add('is-visible');
-                    if(d.rxAllergyText) d.rxAllergyText.textContent = patient.allergies;
-                }
-            } else {
-                if(d.rxSafetyBanner) d.rxSafetyBanner.classList.remove('is-visible');
+        /** Writes one entry, then refreshes state, the search index and the list. */
+        async persistCustomDrug(drug) {
+            try {
+                await Store.putMany(CONFIG.DB.STORES.CUSTOM_DRUGS, [drug]);
+            } catch (e) {
+                Logger.error("Custom Drug Save Failed", e);
+                this.showToast("Could not save the custom drug.", "error");
+                return false;
             }
+            this.state.customDrugs = this.state.customDrugs.filter(c => c.id !== drug.id).concat([drug]);
+            DrugSearch.setCustom(this.state.customDrugs);
+            this.renderCustomDrugs();
+            return true;
+        },
 
-            // Start New Visit Context
-            this.initializeNewVisit();
-            this.showToast(`Loaded context for ${patient.name}`, "info");
+        renderCustomDrugs() {
+            const body = this.dom.customDrugTableBody;
+            if (!body) return;
+            const list = this.state.customDrugs.slice().sort((a, b) => a.name.localeCompare(b.name));
+            body.innerHTML = list.length ? list.map(c => `
+                <tr class="${c.hidden ? 'is-hidden-drug' : ''}">
+                    <td><span class="form-badge ${this.formBadgeClass(c.type)}">${Utils.escapeHtml(c.type)}</span> ${Utils.escapeHtml(c.name)}</td>
+                    <td>${Utils.escapeHtml(c.category)}</td>
+                    <td>${Utils.escapeHtml(c.tags)}</td>
+                    <td class="custom-drug-actions" data-id="${Utils.escapeHtml(c.id)}">
+                        <button class="btn-link" data-action="edit">Edit</button>
+                        <button class="btn-link" data-action="toggle">${c.hidden ? "Show" : "Hide"}</button>
+                    </td>
+                </tr>
+            `).join('') : `<tr><td colspan="4" class="settings-status">No custom drugs yet.</td></tr>`;
+
+            // Ids can arrive from a restored backup, so they stay out of inline handlers
+            body.querySelectorAll('[data-action]').forEach(btn => {
+                const id = btn.parentElement.dataset.id;
+                btn.onclick = () => btn.dataset.action === "edit" ? this.editCustomDrug(id) : this.toggleCustomDrugHidden(id);
+            });
+        },
+
+
+        /* --------------------------------------------------------------------------
+           10.7 Brand & Generic Names on Print
+           -------------------------------------------------------------------------- */
+
+        /**
+         * Drug name for the preview and the printed Rx under the clinic's
+         * naming rule. Lines without a known brand print as written.
+         */
+        printedDrugName(drug) {
+            const style = this.state.clinic.rxNames || "as-written";
+            const split = style === "as-written" ? null : DrugKnowledge.splitBrand(drug);
+            if (!split) return drug;
+            return style === "generic" ? split.generic : `${split.generic} (${split.brand})`;
         },
 
 
         /* ==========================================================================
-           9.0 CLINICAL ENCOUNTER MODULE
+           11.0 ARTIFICIAL INTELLIGENCE (CDSS)
            ========================================================================== */
 
-        initializeNewVisit() {
-            this.resetClinicalForms();
-            
-            // Create Draft Visit Object
-            this.state.currentVisit = {
-                id: Utils.generateId("V"),
-                patientId: this.state.currentPatient.id,
-                date: new Date().toISOString(),
-                status: "draft",
-                notes: {},
-                vitals: {},
-                rx: []
-            };
+        triggerAI() {
+            const dx = this.dom.dxText.value.toLowerCase();
+            const btn = this.dom.aiSuggestBtn;
+            const loader = this.dom.aiLoading;
 
-            // Set Date Picker to Today
-            if(this.dom.visitDate) this.dom.visitDate.valueAsDate = new Date();
-            
-            // Update Status Badge
-            if(this.dom.visitStatus) {
-                this.dom.visitStatus.textContent = "Draft";
-                this.dom.visitStatus.className = "status-badge draft";
+            if (!dx) {
+                this.showToast("Please enter a Diagnosis first for AI analysis.", "warning");
+                this.dom.dxText.focus();
+                return;
             }
 
-            this.state.rxList = [];
-            this.renderRxTable();
-            this.updatePreview();
+            // UI Loading State
+            btn.disabled = true;
+            if(loader) loader.classList.remove("is-hidden");
+            this.showToast("AI analyzing diagnosis...", "info");
+
+            // Simulate Network/Processing Latency
+            setTimeout(() => {
+                // 1. Rank every protocol the diagnosis affirms
+                const protocols = this.getProtocols();
+                const { candidates, excluded } = ProtocolMatcher.match(dx, protocols);
+                const top = candidates.length ? candidates[0].score : 0;
+
+                // Comorbidities scoring near the best match start ticked as well
+                this.state.aiCandidates = candidates.map(c => ({ ...c, selected: c.score * 2 >= top }));
+
+                // 2. Fallback
+                if (!candidates.length) {
+                    this.state.aiCandidates = [{ id: "DEFAULT", proto: protocols["DEFAULT"], score: 0, keywords: [], selected: true }];
+                }
+                this.renderProtocolCandidates(candidates.length > 0, excluded);
+                this.toggleModal('protocolPicker', true);
+
+                // Reset UI
+                btn.disabled = false;
+                if(loader) loader.classList.add("is-hidden");
+
+            }, CONFIG.UI.AI_THINK_TIME);
         },
 
-        resetClinicalForms() {
-            const d = this.dom;
-            // Clear text areas
-            [d.coText, d.examText, d.dxText, d.adviceText, d.investText].forEach(el => { if(el) el.value = ""; });
-            // Clear Vitals
-            [d.vitalBP, d.vitalPulse, d.vitalTemp, d.vitalSpO2, d.vitalWeight, d.vitalHeight].forEach(el => { if(el) el.value = ""; });
-            // Clear Rx Input
-            this.clearRxInput();
+        renderProtocolCandidates(matched, excluded = []) {
+            const box = this.dom.protocolCandidates;
+            if (!box) return;
+            const list = this.state.aiCandidates;
+            const top = list[0].score || 1;
+            // Negated, uncertain and history mentions, once each
+            const notUsed = excluded.filter((e, i) => excluded.findIndex(x => x.keyword === e.keyword && x.context === e.context) === i);
+            box.innerHTML = `
+                <div class="restore-note">${matched
+                    ? "Protocols ranked by how much of the diagnosis they cover. Tick the ones to apply."
+                    : "No specific protocol matched the diagnosis. The generic symptomatic set is offered instead."}</div>
+                ${list.map((c, i) => `
+                    <label class="protocol-candidate">
+                        <input type="checkbox" ${c.selected ? 'checked' : ''} onchange="App.toggleProtocolCandidate(${i}, this.checked)" />
+                        <span class="protocol-candidate-main">
+                            <span class="protocol-candidate-title">${Utils.escapeHtml(c.proto.condition)}</span>
+                            <span class="protocol-candidate-meta">${Utils.escapeHtml(c.proto.category || "")}${c.keywords.length ? ` · matched ${c.keywords.map(k => `<mark>${Utils.escapeHtml(k)}</mark>`).join(", ")}` : ''}</span>
+                            <span class="protocol-candidate-rx">${c.proto.rx.map(m => Utils.escapeHtml(m.drug)).join(" · ")}</span>
+                        </span>
+                        ${matched ? `<span class="protocol-score" title="Relevance score ${c.score}"><span style="width:${Math.round(100 * c.score / top)}%"></span></span>` : ''}
+                    </label>
+                `).join('')}
+                ${notUsed.length ? `
+                    <div class="protocol-excluded">Not used: ${notUsed.map(e => `${Utils.escapeHtml(e.keyword)} <span class="protocol-context">${e.context}</span>`).join(", ")}</div>
+                ` : ''}
+            `;
         },
 
-        saveVisit() {
-            if (!this.state.currentPatient) {
-                this.showToast("No active patient context!", "error");
+        toggleProtocolCandidate(index, selected) {
+            const candidate = this.state.aiCandidates[index];
+            if (candidate) candidate.selected = selected;
+        },
+
+        /** Opens the review dialog for the ticked protocols, best match first. */
+        applySelectedProtocols() {
+            const chosen = this.state.aiCandidates.filter(c => c.selected);
+            if (!chosen.length) {
+                this.showToast("Tick at least one protocol to apply.", "warning");
                 return;
             }
+            this.toggleModal('protocolPicker', false);
+            this.openProtocolMerge(chosen.map(c => c.proto));
+        },
 
-            const d = this.dom;
-            const visit = this.state.currentVisit;
-
-            // 1. Gather Data from Inputs
-            visit.date = d.visitDate.value || new Date().toISOString();
-            visit.notes = {
-                co: d.coText.value,
-                exam: d.examText.value,
-                dx: d.dxText.value,
-                advice: d.adviceText.value,
-                invest: d.investText.value
-            };
-            visit.vitals = {
-                bp: d.vitalBP.value,
-                pulse: d.vitalPulse.value,
-                temp: d.vitalTemp.value,
-                spo2: d.vitalSpO2.value,
-                weight: d.vitalWeight.value,
-                height: d.vitalHeight.value
-            };
-            visit.rx = [...this.state.rxList]; // Copy current Rx list
-            visit.status = "saved";
+        /* --------------------------------------------------------------------------
+           11.1 Protocol Preview & Merge
+           -------------------------------------------------------------------------- */
 
-            // 2. Update Persistent Patient Info (if changed in snapshot)
-            this.state.currentPatient.allergies = d.snapshotAllergies.value;
-            this.state.currentPatient.chronic = d.snapshotChronic.value;
+        /**
+         * Lists what the protocols would add. Drugs already on the Rx, or
+         * sharing an ingredient with one, start unticked, as does a drug an
+         * earlier protocol in the list already adds; so do advice and
+         * investigation text already present.
+         */
+        openProtocolMerge(protos) {
+            const same = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+            const onRx = this.state.rxList.map(item => ({ drug: item.drug, ingredients: DrugKnowledge.resolve(item.drug).ingredients }));
+            const added = [];
+            const lines = [];
+
+            protos.forEach(proto => {
+                proto.rx.forEach(med => {
+                    const ingredients = DrugKnowledge.resolve(med.drug).ingredients;
+                    const clash = (other) => same(other.drug, med.drug) || ingredients.some(i => other.ingredients.includes(i));
+                    const current = onRx.find(clash);
+                    const earlier = added.find(clash);
+                    const reason = current
+                        ? (same(current.drug, med.drug) ? "Already on the Rx" : `Same ingredient as ${current.drug}`)
+                        : earlier ? `Also in ${earlier.condition}` : "";
+                    lines.push({
+                        kind: "rx",
+                        condition: proto.condition,
+                        med: { ...med, steps: med.steps ? med.steps.map(s => ({ ...s })) : undefined },
+                        include: !reason,
+                        reason
+                    });
+                    added.push({ drug: med.drug, ingredients, condition: proto.condition });
+                });
 
-            // 3. Commit to Store
-            // Remove existing version of this visit if it exists (update scenario)
-            this.state.visits = this.state.visits.filter(v => v.id !== visit.id);
-            this.state.visits.push(visit);
-            
-            this.persistData();
+                [["advice", this.dom.adviceText], ["investigations", this.dom.investText]].forEach(([kind, field]) => {
+                    const text = proto[kind];
+                    if (!text || lines.some(l => l.kind === kind && l.text === text)) return;
+                    const present = field.value.includes(text);
+                    lines.push({ kind, condition: proto.condition, text, include: !present, reason: present ? "Already written" : "" });
+                });
+            });
 
-            // 4. UI Feedback
-            if(d.visitStatus) {
-                d.visitStatus.textContent = "Saved";
-                d.visitStatus.className = "status-badge success";
-            }
-            this.showToast("Visit saved to database.", "success");
+            this.state.protocolMerge = lines;
+            this.renderProtocolMerge();
+            this.toggleModal('protocolMerge', true);
         },
 
-        handleBMICalculation() {
-            const d = this.dom;
-            const weight = parseFloat(d.vitalWeight.value);
-            const height = parseFloat(d.vitalHeight.value);
+        renderProtocolMerge() {
+            const box = this.dom.protocolMergeBody;
+            if (!box) return;
+            const lines = this.state.protocolMerge;
+            const input = (i, field, value, cls) =>
+                `<input class="${cls}" value="${Utils.escapeHtml(value || "")}" oninput="App.editProtocolMergeLine(${i}, '${field}', this.value)" />`;
+            const row = (line, i, body) => `
+                <div class="merge-line ${line.include ? '' : 'is-excluded'}" id="mergeLine-${i}">
+                    <input type="checkbox" ${line.include ? 'checked' : ''} onchange="App.toggleProtocolMergeLine(${i}, this.checked)" />
+                    <div class="merge-line-body">
+                        ${body}
+                        <div class="merge-line-meta">${Utils.escapeHtml(line.condition)}${line.reason ? ` · <span class="merge-line-reason">${Utils.escapeHtml(line.reason)}</span>` : ''}</div>
+                    </div>
+                </div>`;
+            const section = (title, kind, render) => {
+                const items = lines.map((line, i) => ({ line, i })).filter(x => x.line.kind === kind);
+                return items.length ? `<h4 class="merge-section">${title}</h4>${items.map(({ line, i }) => row(line, i, render(line, i))).join('')}` : '';
+            };
 
-            if (isNaN(weight) || isNaN(height)) {
-                this.showToast("Please enter Weight (kg) and Height (cm)", "warning");
-                return;
-            }
+            box.innerHTML = `
+                <div class="restore-note">Ticked lines are added to the visit. Edit any line first; unticked lines are left out.</div>
+                ${section("Medicines", "rx", (line, i) => `
+                    <div class="merge-rx-fields">
+                        ${input(i, "drug", line.med.drug, "merge-drug")}
+                        ${line.med.steps
+                            ? `<span class="merge-schedule">${line.med.steps.length}-step schedule</span>`
+                            : `${input(i, "dose", line.med.dose, "merge-dose")}${input(i, "freq", line.med.freq, "merge-freq")}${input(i, "dur", line.med.dur, "merge-dur")}`}
+                        ${input(i, "remarks", line.med.remarks, "merge-remarks")}
+                    </div>`)}
+                ${section("Advice", "advice", (line, i) => input(i, "text", line.text, "merge-text"))}
+                ${section("Investigations", "investigations", (line, i) => input(i, "text", line.text, "merge-text"))}
+            `;
+            this.renderProtocolMergeSummary();
+        },
 
-            const result = Utils.calculateBMI(weight, height);
-            if (result) {
-                const msg = `BMI: ${result.value} (${result.status})`;
-                this.showToast(msg, "info");
-                
-                // Smart Feature: Auto-append to Advice if not exists
-                if (!d.adviceText.value.includes("BMI:")) {
-                    d.adviceText.value += (d.adviceText.value ? "\n\n" : "") + `[Calculated] ${msg}`;
-                    this.updatePreview();
-                }
+        renderProtocolMergeSummary() {
+            const lines = this.state.protocolMerge.filter(l => l.include);
+            const count = (kind) => lines.filter(l => l.kind === kind).length;
+            if (this.dom.protocolMergeSummary) {
+                this.dom.protocolMergeSummary.textContent = `+${count("rx")} medicine(s), +${count("advice")} advice, +${count("investigations")} investigation(s)`;
             }
         },
 
-        toggleHistory(show) {
-            const drawer = this.dom.historyDrawer;
-            if(!drawer) return;
-            
-            drawer.setAttribute("aria-hidden", !show);
-            
-            if (show) {
-                this.renderHistory();
-            }
+        toggleProtocolMergeLine(index, include) {
+            const line = this.state.protocolMerge[index];
+            if (!line) return;
+            line.include = include;
+            const el = document.getElementById(`mergeLine-${index}`);
+            if (el) el.classList.toggle('is-excluded', !include);
+            this.renderProtocolMergeSummary();
         },
 
-        renderHistory() {
-            const list = this.dom.historyList;
-            if(!list) return;
-            
-            list.innerHTML = "";
-            
-            if(!this.state.currentPatient) {
-                list.innerHTML = `<div style="padding:20px; color:var(--text-muted); text-align:center;">No patient selected</div>`;
+        editProtocolMergeLine(index, field, value) {
+            const line = this.state.protocolMerge[index];
+            if (!line) return;
+            if (line.kind === "rx") line.med[field] = value;
+            else line.text = value;
+        },
+
+        /**
+         * Adds the ticked lines as one step that undoProtocol() can take back.
+         * The step records only what was added, so later edits survive an undo.
+         */
+        commitProtocolMerge() {
+            const lines = (this.state.protocolMerge || []).filter(l => l.include);
+            this.toggleModal('protocolMerge', false);
+            this.state.protocolMerge = null;
+            if (!lines.length) {
+                this.showToast("Nothing was added.", "info");
                 return;
             }
 
-            const history = this.state.visits
-                .filter(v => v.patientId === this.state.currentPatient.id)
-                .sort((a, b) => new Date(b.date) - new Date(a.date));
+            const d = this.dom;
+            const before = { rxIds: new Set(this.state.rxList.map(r => r.id)), advice: d.adviceText.value, investigations: d.investText.value };
 
-            if (history.length === 0) {
-                list.innerHTML = `<div style="padding:20px; color:var(--text-muted); text-align:center;">No previous visits found.</div>`;
+            const text = (kind) => lines.filter(l => l.kind === kind && l.text.trim()).map(l => l.text.trim()).join("\n");
+            this.applyProtocol({
+                rx: lines.filter(l => l.kind === "rx" && l.med.drug.trim()).map(l => l.med),
+                advice: text("advice"),
+                investigations: text("investigations")
+            });
+
+            // applyProtocol() only ever appends to the two text fields
+            const appended = (now, was) => now.startsWith(was) ? now.slice(was.length) : "";
+            this.state.historyStack.push({
+                visitId: this.state.currentVisit ? this.state.currentVisit.id : null,
+                rx: this.state.rxList.filter(r => !before.rxIds.has(r.id)).map(r => JSON.stringify(r)),
+                advice: appended(d.adviceText.value, before.advice),
+                investigations: appended(d.investText.value, before.investigations)
+            });
+            this.renderProtocolUndo();
+            this.showToast("Protocol added. Use Undo AI to take it back.", "success");
+        },
+
+        /**
+         * Takes back what the last protocol added. Lines and text the doctor
+         * has changed since are kept; so is everything else on the visit.
+         */
+        undoProtocol() {
+            const last = this.state.historyStack.pop();
+            if (!last) return;
+            const current = this.state.currentVisit ? this.state.currentVisit.id : null;
+            if (last.visitId !== current) {
+                this.state.historyStack = [];
+                this.renderProtocolUndo();
                 return;
             }
 
-            history.forEach(visit => {
-                const card = document.createElement("div");
-                card.className = "history-card";
-                card.innerHTML = `
-                    <div class="card-date">
-                        <span>${Utils.formatDate(visit.date)}</span>
-                        <span class="status-badge success">Saved</span>
-                    </div>
-                    <div class="card-co">
-                        <strong>Dx:</strong> ${Utils.escapeHtml(visit.notes.dx || "--")}
-                    </div>
-                    <div class="card-co" style="margin-top:4px; font-style:italic; color:var(--text-secondary);">
-                        ${Utils.escapeHtml(visit.notes.co || "No complaints recorded")}
-                    </div>
-                `;
-                // Load history item on click
-                card.onclick = () => {
-                    if(confirm("Load this historical data into current view? (Unsaved changes will be lost)")) {
-                        this.loadVisitIntoView(visit);
-                        this.toggleHistory(false);
-                    }
-                };
-                list.appendChild(card);
+            const d = this.dom;
+            const added = new Set(last.rx);
+            const count = this.state.rxList.length;
+            this.state.rxList = this.state.rxList.filter(r => !added.has(JSON.stringify(r)));
+            let kept = last.rx.length - (count - this.state.rxList.length);
+            [[d.adviceText, last.advice], [d.investText, last.investigations]].forEach(([field, text]) => {
+                if (!text) return;
+                if (field.value.includes(text)) field.value = field.value.replace(text, "");
+                else kept++;
             });
+
+            this.renderRxTable();
+            this.updatePreview();
+            this.scheduleAutosave();
+            this.renderProtocolUndo();
+            this.showToast(kept ? `Protocol undone. ${kept} line(s) you changed since were kept.` : "Protocol application undone.", "info");
         },
 
-        loadVisitIntoView(visit) {
-            const d = this.dom;
-            
-            // Map data back to inputs
-            d.visitDate.value = visit.date.split('T')[0];
-            d.coText.value = visit.notes.co || "";
-            d.examText.value = visit.notes.exam || "";
-            d.dxText.value = visit.notes.dx || "";
-            d.adviceText.value = visit.notes.advice || "";
-            d.investText.value = visit.notes.invest || "";
-            
-            if(visit.vitals) {
-                d.vitalBP.value = visit.vitals.bp || "";
-                d.vitalPulse.value = visit.vitals.pulse || "";
-                d.vitalTemp.value = visit.vitals.temp || "";
-                d.vitalSpO2.value = visit.vitals.spo2 || "";
-                d.vitalWeight.value = visit.vitals.weight || "";
-                d.vitalHeight.value = visit.vitals.height || "";
+        renderProtocolUndo() {
+            if (this.dom.aiUndoBtn) this.dom.aiUndoBtn.classList.toggle('is-hidden', !this.state.historyStack.length);
+        },
+
+        applyProtocol(proto) {
+            // Append Advice (if any)
+            if(proto.advice) {
+                const adviceField = this.dom.adviceText;
+                if (adviceField.value.trim() === "") {
+                    adviceField.value = proto.advice;
+                } else if (!adviceField.value.includes(proto.advice)) {
+                    adviceField.value += "\n" + proto.advice;
+                }
             }
 
-            this.state.rxList = JSON.parse(JSON.stringify(visit.rx || []));
+            // Append Investigations (if available)
+            if(proto.investigations) {
+                const invField = this.dom.investText;
+                if(invField.value.trim() === "") {
+                    invField.value = proto.investigations;
+                } else if(!invField.value.includes(proto.investigations)) {
+                    invField.value += "\n" + proto.investigations;
+                }
+            }
+
+            // Add Medicines (each screened against the allergy registry and pregnancy status)
+            const allergies = this.getCurrentAllergies();
+            const pregnancy = this.getPregnancyStatus();
+            let skipped = 0;
+            let unsafe = 0;
+            proto.rx.forEach(med => {
+                const item = this.normalizeRxItem({
+                    id: Utils.generateId("AI-RX"),
+                    drug: med.drug,
+                    dose: med.dose,
+                    freq: med.freq,
+                    duration: med.dur,
+                    remarks: med.remarks,
+                    steps: med.steps ? med.steps.map(s => ({ dose: s.dose, freq: s.freq, duration: s.dur })) : null
+                });
+                const alerts = DrugKnowledge.screenAllergies(med.drug, allergies);
+                if (alerts.length) {
+                    const override = this.confirmAllergyOverride(med.drug, alerts);
+                    if (!override) { skipped++; return; }
+                    item.allergyOverride = override;
+                }
+                const pregnancyAlerts = DrugKnowledge.screenPregnancy(med.drug, pregnancy);
+                if (pregnancyAlerts.length) {
+                    const override = this.confirmPregnancyOverride(med.drug, pregnancyAlerts);
+                    if (!override) { unsafe++; return; }
+                    item.pregnancyOverride = override;
+                }
+                this.state.rxList.push(item);
+            });
+            if (skipped) this.showToast(`${skipped} protocol drug(s) left out due to allergy.`, "warning");
+            if (unsafe) this.showToast(`${unsafe} protocol drug(s) left out as unsafe in ${pregnancy.status === "lactating" ? "lactation" : "pregnancy"}.`, "warning");
+
             this.renderRxTable();
             this.updatePreview();
-            
-            if(d.visitStatus) {
-                d.visitStatus.textContent = "History Mode";
-                d.visitStatus.className = "status-badge draft";
-            }
-            this.showToast("Historical Visit Loaded", "info");
+            this.scheduleAutosave();
         },
 
+        // Dictation Wrapper
+        initDictation() {
+            if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
+                const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+                this.state.recognitionObject = new SpeechRecognition();
+                this.state.recognitionObject.continuous = false;
+                this.state.recognitionObject.interimResults = false;
+                
+                this.state.recognitionObject.onresult = (event) => {
+                    const text = event.results[0][0].transcript;
+                    if(this.state.activeDictationInput) {
+                        const el = document.getElementById(this.state.activeDictationInput);
+                        if(el) {
+                            el.value = (el.value ? el.value + " " : "") + text;
+                            this.updatePreview();
+                            this.scheduleAutosave();
+                        }
+                    }
+                };
 
-        /* ==========================================================================
-           10.0 PRESCRIPTION (RX) COCKPIT ENGINE
-           ========================================================================== */
-
-        handleDrugSearch(query) {
-            const box = this.dom.drugSuggestions;
-            
-            // Check if global meds list is available
-            if (typeof window.meds_10000_cleaned === 'undefined') {
-                console.warn("Meds DB not loaded.");
-                return;
+                this.state.recognitionObject.onend = () => {
+                    this.state.isRecording = false;
+                    document.querySelectorAll('.mic-btn').forEach(b => b.classList.remove('recording'));
+                };
             }
+        },
 
-            if (!query || query.length < 2) {
-                box.setAttribute("aria-hidden", "true");
+        toggleDictation(inputId, btn) {
+            if(!this.state.recognitionObject) {
+                this.showToast("Voice dictation not supported in this browser.", "error");
                 return;
             }
 
-            // High-performance filter
-            const q = query.toLowerCase();
-            const matches = window.meds_10000_cleaned.filter(item => 
-                item.name.toLowerCase().includes(q)
-            ).slice(0, 15); // Show top 15 results
-
-            box.innerHTML = "";
-            matches.forEach(item => {
-                const div = document.createElement("div");
-                div.className = "search-result-item";
-                div.textContent = item.name; 
-                div.onclick = () => {
-                    this.dom.rxDrugName.value = item.name;
-                    this.dom.rxDose.focus(); // Auto-focus next field
-                    box.setAttribute("aria-hidden", "true");
-                };
-                box.appendChild(div);
-            });
-
-            if(matches.length > 0) box.setAttribute("aria-hidden", "false");
-            else box.setAttribute("aria-hidden", "true");
-        },
-
-        // Helper to set Form (Tab/Cap/etc) from Quick Chips
-        setRxForm(formType) {
-            const input = this.dom.rxDrugName;
-            if(!input) return;
-            
-            // Check if value already starts with a form
-            const current = input.value;
-            const forms = ["Tab.", "Cap.", "Syr.", "Inj.", "Oint.", "Drops"];
-            const hasForm = forms.some(f => current.startsWith(f));
-            
-            if(hasForm) {
-                // Replace existing form
-                const parts = current.split(" ");
-                parts[0] = formType;
-                input.value = parts.join(" ");
+            if(this.state.isRecording) {
+                this.state.recognitionObject.stop();
             } else {
-                // Prepend
-                input.value = formType + " " + current;
+                this.state.activeDictationInput = inputId;
+                this.state.recognitionObject.start();
+                this.state.isRecording = true;
+                btn.classList.add('recording');
+                this.showToast("Listening...", "info");
             }
-            input.focus();
         },
 
-        // Helper to set Duration from Quick Chips
-        setRxDuration(dur) {
-            if(this.dom.rxDuration) {
-                this.dom.rxDuration.value = dur;
-                // Optionally auto-focus remarks if duration is set
-                if(this.dom.rxRemarks) this.dom.rxRemarks.focus();
+        insertMacro(inputId, text) {
+            const el = document.getElementById(inputId);
+            if(el) {
+                el.value = (el.value ? el.value + "\n" : "") + text;
+                this.updatePreview();
+                this.scheduleAutosave();
             }
         },
 
-        addRxItem() {
-            const d = this.dom;
-            const drugName = d.rxDrugName.value.trim();
-
-            if (!drugName) {
-                this.showToast("Please enter a medicine name", "warning");
-                d.rxDrugName.focus();
-                return;
-            }
 
-            // Create Object
-            const rxItem = {
-                id: this.state.editingRxId || Utils.generateId("RX"),
-                drug: drugName,
-                dose: d.rxDose.value || "",
-                freq: d.rxFrequency.value || "",
-                duration: d.rxDuration.value || "",
-                remarks: d.rxRemarks.value || ""
-            };
+        /* --------------------------------------------------------------------------
+           11.2 Protocol Editor
+           -------------------------------------------------------------------------- */
 
-            // Edit or Add logic
-            if (this.state.editingRxId) {
-                const index = this.state.rxList.findIndex(item => item.id === this.state.editingRxId);
-                if (index !== -1) {
-                    this.state.rxList[index] = rxItem;
-                    this.showToast("Medicine Updated", "success");
-                }
-                this.cancelRxEdit();
-            } else {
-                // Allergy Check (Simple keyword matching against patient history)
-                const allergyStr = this.state.currentPatient?.allergies?.toLowerCase() || "";
-                if (allergyStr && allergyStr.includes(drugName.split(" ")[0].toLowerCase())) {
-                    if(!confirm(`WARNING: Patient has allergy '${allergyStr}'. \nAre you sure you want to prescribe ${drugName}?`)) {
-                        return; // Abort
-                    }
-                }
-                
-                this.state.rxList.push(rxItem);
+        /**
+         * Built-in protocols, then the enabled packs, then the doctor's own:
+         * a protocol replaces any lower one with the same id.
+         * Disabled protocols are left out unless asked for.
+         */
+        getProtocols({ includeDisabled = false } = {}) {
+            const merged = this.baseProtocols();
+            this.state.userProtocols.forEach(p => { merged[p.id] = p; });
+            if (!includeDisabled) {
+                Object.keys(merged).forEach(id => { if (merged[id].disabled) delete merged[id]; });
             }
+            return merged;
+        },
 
-            this.clearRxInput();
-            this.renderRxTable();
-            this.updatePreview();
-            d.rxDrugName.focus(); // Ready for next entry
+        /** Built-in protocols with the enabled packs laid over them, latest import on top. */
+        baseProtocols() {
+            const merged = { ...MEDICAL_KNOWLEDGE_BASE };
+            this.enabledProtocolPacks().forEach(pack => Object.assign(merged, pack.protocols));
+            return merged;
         },
 
-        editRxItem(id) {
-            const item = this.state.rxList.find(r => r.id === id);
-            if (!item) return;
+        /**
+         * "builtin", "pack", "edited" (the doctor's copy overrides one of
+         * those) or "custom".
+         */
+        protocolSource(id, base = this.baseProtocols()) {
+            if (!base[id]) return "custom";
+            if (this.state.userProtocols.some(p => p.id === id)) return "edited";
+            return base[id] === MEDICAL_KNOWLEDGE_BASE[id] ? "builtin" : "pack";
+        },
 
-            const d = this.dom;
-            d.rxDrugName.value = item.drug;
-            d.rxDose.value = item.dose;
-            d.rxFrequency.value = item.freq;
-            d.rxDuration.value = item.duration;
-            d.rxRemarks.value = item.remarks;
+        openProtocols() {
+            if (this.dom.protocolFilter) this.dom.protocolFilter.value = "";
+            this.state.pendingPack = null;
+            this.renderProtocolPackReview();
+            this.renderProtocolPacks();
+            this.closeProtocolForm();
+            this.toggleModal('protocols', true);
+        },
 
-            this.state.editingRxId = id;
-            
-            // Visual cues for editing mode
-            d.addRxBtnText.textContent = "Update";
-            d.addRxBtn.classList.remove("btn-primary");
-            d.addRxBtn.classList.add("btn-warning"); // Assuming warning style
-            if(d.editingIndicator) d.editingIndicator.classList.remove("is-hidden");
-            
-            d.rxDrugName.focus();
+        /** Shows one of the dialog's views: "list", "form" or "export". */
+        showProtocolView(view) {
+            const d = this.dom;
+            [["list", d.protocolListView], ["form", d.protocolFormView], ["export", d.protocolExportView]].forEach(([name, el]) => {
+                if (el) el.classList.toggle('is-hidden', name !== view);
+            });
         },
 
-        deleteRxItem(id) {
-            this.state.rxList = this.state.rxList.filter(r => r.id !== id);
-            if (this.state.editingRxId === id) this.cancelRxEdit();
-            this.renderRxTable();
-            this.updatePreview();
+        renderProtocolList() {
+            const body = this.dom.protocolTableBody;
+            if (!body) return;
+            const query = (this.dom.protocolFilter ? this.dom.protocolFilter.value : "").trim().toLowerCase();
+            const base = this.baseProtocols();
+            const packNames = {};
+            this.enabledProtocolPacks().forEach(pack => Object.keys(pack.protocols).forEach(id => { packNames[id] = pack.name; }));
+            const labels = { builtin: "Built-in", edited: "Edited", custom: "Custom" };
+            const list = Object.entries(this.getProtocols({ includeDisabled: true }))
+                .map(([id, proto]) => ({ id, proto, source: this.protocolSource(id, base) }))
+                .filter(({ proto }) => !query || [proto.condition, proto.category, ...(proto.keywords || [])]
+                    .some(text => (text || "").toLowerCase().includes(query)))
+                .sort((a, b) => (a.proto.category || "").localeCompare(b.proto.category || "") || a.proto.condition.localeCompare(b.proto.condition));
+
+            body.innerHTML = list.length ? list.map(({ id, proto, source }) => `
+                <tr class="${proto.disabled ? 'is-disabled-protocol' : ''}">
+                    <td>${Utils.escapeHtml(proto.condition)}<div class="protocol-row-rx">${proto.rx.map(m => Utils.escapeHtml(m.drug)).join(" · ")}</div></td>
+                    <td>${Utils.escapeHtml(proto.category || "")}</td>
+                    <td>${Utils.escapeHtml((proto.keywords || []).join(", "))}</td>
+                    <td><span class="protocol-source ${source}">${Utils.escapeHtml(labels[source] || packNames[id])}</span>${proto.disabled ? ' <span class="protocol-source">Disabled</span>' : ''}</td>
+                    <td class="custom-drug-actions" data-id="${Utils.escapeHtml(id)}">
+                        <button class="btn-link" data-action="edit">Edit</button>
+                        <button class="btn-link" data-action="clone">Clone</button>
+                        ${id === "DEFAULT" ? '' : `<button class="btn-link" data-action="toggle">${proto.disabled ? "Enable" : "Disable"}</button>`}
+                        ${source === "edited" ? `<button class="btn-link" data-action="reset">Reset</button>` : ''}
+                        ${source === "custom" ? `<button class="btn-link" data-action="delete">Delete</button>` : ''}
+                    </td>
+                </tr>
+            `).join('') : `<tr><td colspan="5" class="settings-status">No protocol matches the filter.</td></tr>`;
+
+            // Ids come from imported files, so they stay out of inline handlers
+            const actions = {
+                edit: (id) => this.editProtocol(id),
+                clone: (id) => this.cloneProtocol(id),
+                toggle: (id) => this.toggleProtocolDisabled(id),
+                reset: (id) => this.resetProtocol(id),
+                delete: (id) => this.deleteProtocol(id)
+            };
+            body.querySelectorAll('[data-action]').forEach(btn => {
+                btn.onclick = () => actions[btn.dataset.action](btn.parentElement.dataset.id);
+            });
         },
 
-        cancelRxEdit() {
-            this.state.editingRxId = null;
-            this.clearRxInput();
+        /** Fills the form from `proto`; `id` is null for a new protocol. */
+        openProtocolForm(id, proto, title) {
             const d = this.dom;
-            d.addRxBtnText.textContent = "Add Med";
-            d.addRxBtn.classList.remove("btn-warning");
-            d.addRxBtn.classList.add("btn-primary");
-            if(d.editingIndicator) d.editingIndicator.classList.add("is-hidden");
+            this.state.protocolDraft = {
+                id,
+                rx: proto.rx.map(m => ({ ...m, steps: m.steps ? m.steps.map(s => ({ ...s })) : undefined }))
+            };
+            d.protocolFormTitle.textContent = title;
+            d.protocolCondition.value = proto.condition;
+            d.protocolCategory.value = proto.category || "";
+            d.protocolKeywords.value = (proto.keywords || []).join(", ");
+            d.protocolAdvice.value = proto.advice || "";
+            d.protocolInvestigations.value = proto.investigations || "";
+            this.renderProtocolRx();
+            this.showProtocolView("form");
+            d.protocolCondition.focus();
         },
 
-        clearRxInput() {
-            const d = this.dom;
-            d.rxDrugName.value = "";
-            d.rxDose.value = "";
-            d.rxFrequency.value = "";
-            d.rxDuration.value = "";
-            d.rxRemarks.value = "";
+        closeProtocolForm() {
+            this.state.protocolDraft = null;
+            this.showProtocolView("list");
+            this.renderProtocolList();
         },
 
-        renderRxTable() {
-            const tbody = this.dom.rxTableBody;
-            if(!tbody) return;
-            tbody.innerHTML = "";
+        editProtocol(id) {
+            const proto = this.getProtocols({ includeDisabled: true })[id];
+            if (proto) this.openProtocolForm(id, proto, `Edit: ${proto.condition}`);
+        },
 
-            const list = this.state.rxList;
-            
-            // Handle Empty State
-            if (this.dom.rxEmptyState) {
-                this.dom.rxEmptyState.style.display = list.length === 0 ? "flex" : "none";
-            }
+        cloneProtocol(id) {
+            const proto = this.getProtocols({ includeDisabled: true })[id];
+            if (proto) this.openProtocolForm(null, { ...proto, condition: `${proto.condition} (copy)` }, "New Protocol (copy)");
+        },
 
-            list.forEach((item, index) => {
-                const tr = document.createElement("tr");
-                
-                // Determine Form Badge Class
-                let formClass = "def";
-                let drugDisplay = item.drug;
-                if(item.drug.startsWith("Tab.")) { formClass = "tab"; drugDisplay = item.drug.replace("Tab. ", ""); }
-                else if(item.drug.startsWith("Cap.")) { formClass = "cap"; drugDisplay = item.drug.replace("Cap. ", ""); }
-                else if(item.drug.startsWith("Syr.")) { formClass = "syr"; drugDisplay = item.drug.replace("Syr. ", ""); }
-                else if(item.drug.startsWith("Inj.")) { formClass = "inj"; drugDisplay = item.drug.replace("Inj. ", ""); }
-                else if(item.drug.startsWith("Oint.")) { formClass = "def"; drugDisplay = item.drug.replace("Oint. ", ""); }
-                else if(item.drug.startsWith("Drops")) { formClass = "def"; drugDisplay = item.drug.replace("Drops ", ""); }
-                
-                // Determine Frequency Icons (Sun/Moon) for "Cute" mode
-                let freqIcons = item.freq;
-                const f = item.freq.toUpperCase();
-                // We append simple visual cues for common frequencies
-                if(f.includes("BD")) freqIcons = "☀️ 🌙 (BD)";
-                else if(f.includes("TDS")) freqIcons = "☀️ 🌤️ 🌙 (TDS)";
-                else if(f.includes("OD")) freqIcons = "☀️ (OD)";
-                else if(f.includes("QD")) freqIcons = "☀️ ☀️ 🌤️ 🌙 (QD)";
-                else if(f.includes("HS")) freqIcons = "🌙 (HS)";
-                else if(f.includes("SOS")) freqIcons = "⚠️ (SOS)";
+        newProtocol() {
+            this.openProtocolForm(null, { condition: "", category: "", keywords: [], rx: [{ drug: "", dose: "", freq: "", dur: "", remarks: "" }] }, "New Protocol");
+        },
 
-                tr.innerHTML = `
-                    <td style="color:#94a3b8; font-size:11px; text-align:center;">${index + 1}</td>
-                    <td>
-                        <div>
-                            ${formClass !== 'def' ? `<span class="form-badge ${formClass}">${item.drug.split('.')[0]}</span>` : ''}
-                            <span class="med-name">${Utils.escapeHtml(drugDisplay)}</span>
-                        </div>
-                        ${item.remarks ? `<div class="med-remarks">📝 ${Utils.escapeHtml(item.remarks)}</div>` : ''}
-                    </td>
-                    <td style="font-weight:600; color:#334155;">${Utils.escapeHtml(item.dose)}</td>
-                    <td><span class="time-badge">${freqIcons}</span></td>
-                    <td>${Utils.escapeHtml(item.duration)}</td>
-                    <td>
-                        <div style="display:flex; gap:4px; justify-content:flex-end;">
-                            <button class="btn-row-action" onclick="App.editRxItem('${item.id}')" title="Edit">✏️</button>
-                            <button class="btn-row-action delete" onclick="App.deleteRxItem('${item.id}')" title="Delete">🗑️</button>
-                        </div>
-                    </td>
-                `;
-                tbody.appendChild(tr);
-            });
+        renderProtocolRx() {
+            const body = this.dom.protocolRxBody;
+            if (!body) return;
+            const input = (i, field, value) =>
+                `<input value="${Utils.escapeHtml(value || "")}" oninput="App.editProtocolRxLine(${i}, '${field}', this.value)" />`;
+            const rx = this.state.protocolDraft.rx;
+            body.innerHTML = rx.length ? rx.map((m, i) => `
+                <tr>
+                    <td>${input(i, "drug", m.drug)}</td>
+                    ${m.steps
+                        ? `<td colspan="3" class="settings-status">${m.steps.length}-step schedule</td>`
+                        : `<td>${input(i, "dose", m.dose)}</td><td>${input(i, "freq", m.freq)}</td><td>${input(i, "dur", m.dur)}</td>`}
+                    <td>${input(i, "remarks", m.remarks)}</td>
+                    <td><button class="btn-link" onclick="App.removeProtocolRxLine(${i})">Remove</button></td>
+                </tr>
+            `).join('') : `<tr><td colspan="6" class="settings-status">No medicines; the protocol adds advice and investigations only.</td></tr>`;
         },
 
+        editProtocolRxLine(index, field, value) {
+            const line = this.state.protocolDraft && this.state.protocolDraft.rx[index];
+            if (line) line[field] = value;
+        },
 
-        /* ==========================================================================
-           11.0 ARTIFICIAL INTELLIGENCE (CDSS)
-           ========================================================================== */
+        addProtocolRxLine() {
+            if (!this.state.protocolDraft) return;
+            this.state.protocolDraft.rx.push({ drug: "", dose: "", freq: "", dur: "", remarks: "" });
+            this.renderProtocolRx();
+        },
 
-        triggerAI() {
-            const dx = this.dom.dxText.value.toLowerCase();
-            const btn = this.dom.aiSuggestBtn;
-            const loader = this.dom.aiLoading;
+        removeProtocolRxLine(index) {
+            if (!this.state.protocolDraft) return;
+            this.state.protocolDraft.rx.splice(index, 1);
+            this.renderProtocolRx();
+        },
 
-            if (!dx) {
-                this.showToast("Please enter a Diagnosis first for AI analysis.", "warning");
-                this.dom.dxText.focus();
+        async saveProtocol() {
+            const d = this.dom;
+            const draft = this.state.protocolDraft;
+            if (!draft) return;
+            const condition = d.protocolCondition.value.trim().replace(/\s+/g, " ");
+            const keywords = d.protocolKeywords.value.split(",").map(k => k.trim().toLowerCase().replace(/\s+/g, " ")).filter(Boolean);
+            if (!condition) {
+                this.showToast("Enter the condition the protocol treats.", "warning");
+                d.protocolCondition.focus();
+                return;
+            }
+            // DEFAULT is the no-match fallback and is never matched by keyword
+            if (!keywords.length && draft.id !== "DEFAULT") {
+                this.showToast("Add at least one keyword so the diagnosis can match this protocol.", "warning");
+                d.protocolKeywords.focus();
                 return;
             }
 
-            // UI Loading State
-            btn.disabled = true;
-            if(loader) loader.classList.remove("is-hidden");
-            this.showToast("AI analyzing diagnosis...", "info");
+            const existing = this.state.userProtocols.find(p => p.id === draft.id);
+            const current = draft.id ? this.getProtocols({ includeDisabled: true })[draft.id] : null;
+            const now = new Date().toISOString();
+            const proto = {
+                id: draft.id || Utils.generateId("PROTO-USR"),
+                condition,
+                category: d.protocolCategory.value.trim() || "Custom",
+                keywords: keywords.filter((k, i) => keywords.indexOf(k) === i),
+                rx: draft.rx.filter(m => m.drug.trim()).map(m => {
+                    const line = { drug: m.drug.trim().replace(/\s+/g, " "), dose: m.dose || "", freq: m.freq || "", dur: m.dur || "", remarks: m.remarks || "" };
+                    if (m.steps) line.steps = m.steps;
+                    return line;
+                }),
+                advice: d.protocolAdvice.value.trim(),
+                investigations: d.protocolInvestigations.value.trim(),
+                disabled: current ? !!current.disabled : false,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            };
+            if (!await this.persistProtocol(proto)) return;
+            this.showToast(draft.id ? "Protocol updated." : `Added "${Utils.escapeHtml(condition)}" to your protocols.`, "success");
+            this.closeProtocolForm();
+        },
 
-            // Simulate Network/Processing Latency
-            setTimeout(() => {
-                let matchFound = false;
-                
-                // 1. Search Protocols in Knowledge Base
-                for (const [key, proto] of Object.entries(MEDICAL_KNOWLEDGE_BASE)) {
-                    if (proto.keywords.some(k => dx.includes(k))) {
-                        this.applyProtocol(proto);
-                        matchFound = true;
-                        break;
-                    }
-                }
+        /** Disabling a built-in saves an overriding copy, so Reset brings it back. */
+        async toggleProtocolDisabled(id) {
+            if (id === "DEFAULT") return;
+            const proto = this.getProtocols({ includeDisabled: true })[id];
+            if (!proto) return;
+            const existing = this.state.userProtocols.find(p => p.id === id);
+            const now = new Date().toISOString();
+            await this.persistProtocol({
+                ...proto,
+                id,
+                disabled: !proto.disabled,
+                createdAt: existing ? existing.createdAt : now,
+                updatedAt: now
+            });
+        },
 
-                // 2. Fallback
-                if (!matchFound) {
-                    this.applyProtocol(MEDICAL_KNOWLEDGE_BASE["DEFAULT"]);
-                    this.showToast("No specific protocol matched. Loaded generic set.", "info");
-                } else {
-                    this.showToast("Protocol matched and applied.", "success");
-                }
+        /** Drops the doctor's copy of a built-in or pack protocol. */
+        async resetProtocol(id) {
+            const base = this.baseProtocols()[id];
+            if (!base) return;
+            const origin = base === MEDICAL_KNOWLEDGE_BASE[id] ? "factory" : "pack";
+            if (!confirm(`Reset "${base.condition}" to the ${origin} version? Your changes to it will be lost.`)) return;
+            if (await this.removeProtocol(id)) this.showToast(`Protocol reset to the ${origin} version.`, "success");
+        },
 
-                // Reset UI
-                btn.disabled = false;
-                if(loader) loader.classList.add("is-hidden");
+        async deleteProtocol(id) {
+            const proto = this.state.userProtocols.find(p => p.id === id);
+            if (!proto || this.baseProtocols()[id] || !confirm(`Delete the protocol "${proto.condition}"? This cannot be undone.`)) return;
+            if (await this.removeProtocol(id)) this.showToast("Protocol deleted.", "info");
+        },
 
-            }, CONFIG.UI.AI_THINK_TIME);
+        /** Writes one protocol, then refreshes state and the list. */
+        async persistProtocol(proto) {
+            try {
+                await Store.putMany(CONFIG.DB.STORES.PROTOCOLS, [proto]);
+            } catch (e) {
+                Logger.error("Protocol Save Failed", e);
+                this.showToast("Could not save the protocol.", "error");
+                return false;
+            }
+            this.state.userProtocols = this.state.userProtocols.filter(p => p.id !== proto.id).concat([proto]);
+            this.renderProtocolList();
+            return true;
         },
 
-        applyProtocol(proto) {
-            // Append Advice
-            const adviceField = this.dom.adviceText;
-            if (adviceField.value.trim() === "") {
-                adviceField.value = proto.advice;
-            } else if (!adviceField.value.includes(proto.advice)) {
-                adviceField.value += "\n" + proto.advice;
+        async removeProtocol(id) {
+            try {
+                await Store.delete(CONFIG.DB.STORES.PROTOCOLS, id);
+            } catch (e) {
+                Logger.error("Protocol Delete Failed", e);
+                this.showToast("Could not remove the protocol.", "error");
+                return false;
             }
+            this.state.userProtocols = this.state.userProtocols.filter(p => p.id !== id);
+            this.renderProtocolList();
+            return true;
+        },
 
-            // Append Investigations (if available)
-            if(proto.investigations) {
-                const invField = this.dom.investText;
-                if(invField.value.trim() === "") {
-                    invField.value = proto.investigations;
-                } else if(!invField.value.includes(proto.investigations)) {
-                    invField.value += "\n" + proto.investigations;
+
+        /* --------------------------------------------------------------------------
+           11.3 Protocol Packs (Import & Export)
+           -------------------------------------------------------------------------- */
+
+        enabledProtocolPacks() {
+            return this.state.protocolPacks.filter(p => p.enabled)
+                .sort((a, b) => a.importedAt.localeCompare(b.importedAt));
+        },
+
+        /**
+         * Reads and validates a pack file, then shows what importing it would
+         * do. Nothing is written until the doctor confirms.
+         */
+        async handleProtocolPackFile(file) {
+            try {
+                let envelope;
+                try {
+                    envelope = JSON.parse(await file.text());
+                } catch (e) {
+                    throw new Error("File is not valid JSON.");
                 }
+                const { pack, protocols } = ProtocolPack.validate(envelope);
+                this.state.pendingPack = {
+                    pack,
+                    protocols,
+                    installed: this.state.protocolPacks.find(p => p.id === pack.id) || null,
+                    unknown: ProtocolPack.unknownDrugs(protocols),
+                    collisions: this.protocolCollisions(protocols, pack.id)
+                };
+                this.renderProtocolPackReview();
+            } catch (e) {
+                Logger.error("Protocol Pack Rejected", e);
+                this.showToast(`Pack rejected: ${Utils.escapeHtml(e.message)}`, "error");
             }
+        },
 
-            // Add Medicines
-            proto.rx.forEach(med => {
-                this.state.rxList.push({
-                    id: Utils.generateId("AI-RX"),
-                    drug: med.drug,
-                    dose: med.dose,
-                    freq: med.freq,
-                    duration: med.dur,
-                    remarks: med.remarks
-                });
-            });
+        /**
+         * Ids in `protocols` already used by a built-in, another pack or the
+         * doctor's own protocols. Re-importing a pack does not collide with itself.
+         * @returns {Array<{id, condition, owners: string[]}>}
+         */
+        protocolCollisions(protocols, packId) {
+            return Object.keys(protocols).map(id => {
+                const owners = [];
+                if (MEDICAL_KNOWLEDGE_BASE[id]) owners.push("built-in");
+                this.state.protocolPacks
+                    .filter(p => p.id !== packId && p.protocols[id])
+                    .forEach(p => owners.push(`pack "${p.name}"`));
+                if (this.state.userProtocols.some(p => p.id === id)) owners.push("your own version");
+                return owners.length ? { id, condition: protocols[id].condition, owners } : null;
+            }).filter(Boolean);
+        },
 
-            this.renderRxTable();
-            this.updatePreview();
+        renderProtocolPackReview() {
+            const box = this.dom.protocolPackReview;
+            if (!box) return;
+            const pending = this.state.pendingPack;
+            box.classList.toggle('is-hidden', !pending);
+            if (!pending) {
+                box.innerHTML = "";
+                return;
+            }
+            const { pack, protocols, installed, unknown, collisions } = pending;
+            const conditionOf = (id) => Utils.escapeHtml(protocols[id].condition);
+            box.innerHTML = `
+                <div class="protocol-pack-title">
+                    <strong>${Utils.escapeHtml(pack.name)}</strong> v${Utils.escapeHtml(pack.version)}
+                    ${pack.author ? ` · by ${Utils.escapeHtml(pack.author)}` : ''} · ${Object.keys(protocols).length} protocol(s)
+                </div>
+                ${pack.description ? `<div class="settings-status">${Utils.escapeHtml(pack.description)}</div>` : ''}
+                ${installed ? `<div class="restore-note">Replaces the installed v${Utils.escapeHtml(installed.version)} of this pack.</div>` : ''}
+                ${unknown.length ? `
+                    <div class="protocol-pack-warning">⚠️ ${unknown.length} drug(s) not found in the drug database:
+                        <ul>${unknown.map(u => `<li>${Utils.escapeHtml(u.drug)} <span class="protocol-context">${conditionOf(u.id)}</span></li>`).join('')}</ul>
+                    </div>
+                ` : `<div class="restore-ok">✅ Every drug was found in the drug database</div>`}
+                ${collisions.length ? `
+                    <div class="protocol-pack-warning">⚠️ ${collisions.length} protocol id(s) already in use:
+                        <ul>${collisions.map(c => `<li>${Utils.escapeHtml(c.id)} (${conditionOf(c.id)}) <span class="protocol-context">${Utils.escapeHtml(c.owners.join(", "))}</span></li>`).join('')}</ul>
+                        <select id="protocolPackCollisions">
+                            <option value="skip">Skip these protocols</option>
+                            <option value="replace">Use the pack's version</option>
+                        </select>
+                        <div class="restore-note">Your own versions always take precedence over a pack; reset or delete them to use the pack's.</div>
+                    </div>
+                ` : ''}
+                <div class="settings-actions">
+                    <button class="btn btn-ghost" onclick="App.cancelProtocolPackImport()">Cancel</button>
+                    <button class="btn btn-primary" onclick="App.importProtocolPack()">Import Pack</button>
+                </div>
+            `;
         },
 
-        // Dictation Wrapper
-        initDictation() {
-            if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-                const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-                this.state.recognitionObject = new SpeechRecognition();
-                this.state.recognitionObject.continuous = false;
-                this.state.recognitionObject.interimResults = false;
-                
-                this.state.recognitionObject.onresult = (event) => {
-                    const text = event.results[0][0].transcript;
-                    if(this.state.activeDictationInput) {
-                        const el = document.getElementById(this.state.activeDictationInput);
-                        if(el) {
-                            el.value = (el.value ? el.value + " " : "") + text;
-                            this.updatePreview();
-                        }
-                    }
-                };
+        cancelProtocolPackImport() {
+            this.state.pendingPack = null;
+            this.renderProtocolPackReview();
+        },
 
-                this.state.recognitionObject.onend = () => {
-                    this.state.isRecording = false;
-                    document.querySelectorAll('.mic-btn').forEach(b => b.classList.remove('recording'));
-                };
+        async importProtocolPack() {
+            const pending = this.state.pendingPack;
+            if (!pending) return;
+            const choice = document.getElementById("protocolPackCollisions");
+            const skipped = choice && choice.value === "replace" ? [] : pending.collisions.map(c => c.id);
+            const protocols = { ...pending.protocols };
+            skipped.forEach(id => delete protocols[id]);
+            const count = Object.keys(protocols).length;
+            if (!count) {
+                this.showToast("Every protocol in the pack is already in use. Nothing to import.", "warning");
+                return;
             }
+
+            const pack = {
+                ...pending.pack,
+                protocols,
+                skipped,
+                unknownDrugs: pending.unknown.filter(u => protocols[u.id]),
+                enabled: pending.installed ? pending.installed.enabled : true,
+                importedAt: new Date().toISOString()
+            };
+            if (!await this.persistProtocolPack(pack)) return;
+            this.state.pendingPack = null;
+            this.renderProtocolPackReview();
+            this.showToast(`Imported "${Utils.escapeHtml(pack.name)}": ${count} protocol(s)${skipped.length ? `, ${skipped.length} skipped` : ''}.`, "success");
         },
 
-        toggleDictation(inputId, btn) {
-            if(!this.state.recognitionObject) {
-                this.showToast("Voice dictation not supported in this browser.", "error");
+        renderProtocolPacks() {
+            const box = this.dom.protocolPackList;
+            if (!box) return;
+            const packs = this.state.protocolPacks.slice().sort((a, b) => a.name.localeCompare(b.name));
+            box.innerHTML = packs.length ? `
+                <table class="allergy-table protocol-pack-table">
+                    <thead><tr><th>Pack</th><th>Author</th><th>Protocols</th><th>Drug Check</th><th></th></tr></thead>
+                    <tbody>${packs.map(p => `
+                        <tr class="${p.enabled ? '' : 'is-disabled-protocol'}">
+                            <td>${Utils.escapeHtml(p.name)} <span class="protocol-row-rx">v${Utils.escapeHtml(p.version)}</span></td>
+                            <td>${Utils.escapeHtml(p.author || "--")}</td>
+                            <td>${Object.keys(p.protocols).length}${p.skipped.length ? ` (${p.skipped.length} skipped)` : ''}</td>
+                            <td>${p.unknownDrugs.length
+                                ? `<span title="${Utils.escapeHtml(p.unknownDrugs.map(u => u.drug).join(", "))}">⚠️ ${p.unknownDrugs.length} unknown</span>`
+                                : '✅'}</td>
+                            <td class="custom-drug-actions" data-id="${Utils.escapeHtml(p.id)}">
+                                <button class="btn-link" data-action="toggle">${p.enabled ? "Disable" : "Enable"}</button>
+                                <button class="btn-link" data-action="remove">Remove</button>
+                            </td>
+                        </tr>
+                    `).join('')}</tbody>
+                </table>
+            ` : "";
+            box.querySelectorAll('[data-action]').forEach(btn => {
+                const id = btn.parentElement.dataset.id;
+                btn.onclick = () => btn.dataset.action === "toggle" ? this.toggleProtocolPack(id) : this.removeProtocolPack(id);
+            });
+        },
+
+        async toggleProtocolPack(id) {
+            const pack = this.state.protocolPacks.find(p => p.id === id);
+            if (pack) await this.persistProtocolPack({ ...pack, enabled: !pack.enabled });
+        },
+
+        async removeProtocolPack(id) {
+            const pack = this.state.protocolPacks.find(p => p.id === id);
+            if (!pack || !confirm(`Remove the pack "${pack.name}"? Its protocols will no longer be suggested.`)) return;
+            try {
+                await Store.delete(CONFIG.DB.STORES.PROTOCOL_PACKS, id);
+            } catch (e) {
+                Logger.error("Protocol Pack Remove Failed", e);
+                this.showToast("Could not remove the pack.", "error");
                 return;
             }
+            this.state.protocolPacks = this.state.protocolPacks.filter(p => p.id !== id);
+            this.renderProtocolPacks();
+            this.renderProtocolList();
+            this.showToast("Pack removed.", "info");
+        },
 
-            if(this.state.isRecording) {
-                this.state.recognitionObject.stop();
-            } else {
-                this.state.activeDictationInput = inputId;
-                this.state.recognitionObject.start();
-                this.state.isRecording = true;
-                btn.classList.add('recording');
-                this.showToast("Listening...", "info");
+        /** Writes one pack, then refreshes state and both lists. */
+        async persistProtocolPack(pack) {
+            try {
+                await Store.putMany(CONFIG.DB.STORES.PROTOCOL_PACKS, [pack]);
+            } catch (e) {
+                Logger.error("Protocol Pack Save Failed", e);
+                this.showToast("Could not save the pack.", "error");
+                return false;
             }
+            this.state.protocolPacks = this.state.protocolPacks.filter(p => p.id !== pack.id).concat([pack]);
+            this.renderProtocolPacks();
+            this.renderProtocolList();
+            return true;
         },
 
-        insertMacro(inputId, text) {
-            const el = document.getElementById(inputId);
-            if(el) {
-                el.value = (el.value ? el.value + "\n" : "") + text;
-                this.updatePreview();
+        openProtocolExport() {
+            const d = this.dom;
+            d.protocolPackName.value = "";
+            d.protocolPackVersion.value = "1.0.0";
+            d.protocolPackAuthor.value = this.state.clinic.doctor || "";
+            d.protocolPackDescription.value = "";
+            d.protocolExportScope.value = "mine";
+            this.showProtocolView("export");
+            d.protocolPackName.focus();
+        },
+
+        /** Downloads the doctor's protocols, or every enabled one, as a pack. */
+        exportProtocolPack() {
+            const d = this.dom;
+            const name = d.protocolPackName.value.trim().replace(/\s+/g, " ");
+            const version = d.protocolPackVersion.value.trim();
+            if (!name || !version) {
+                this.showToast("Enter a pack name and version.", "warning");
+                (name ? d.protocolPackVersion : d.protocolPackName).focus();
+                return;
+            }
+
+            const all = this.getProtocols();
+            const ids = d.protocolExportScope.value === "all"
+                ? Object.keys(all)
+                : this.state.userProtocols.filter(p => !p.disabled).map(p => p.id);
+            if (!ids.length) {
+                this.showToast("You have no protocols of your own to export yet.", "warning");
+                return;
             }
+            const protocols = {};
+            ids.forEach(id => { protocols[id] = all[id]; });
+
+            // The id follows the name, so a re-export replaces the pack wherever it was imported
+            const id = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "protocols";
+            const envelope = ProtocolPack.build({
+                id,
+                name,
+                version,
+                author: d.protocolPackAuthor.value.trim(),
+                description: d.protocolPackDescription.value.trim()
+            }, protocols);
+            Utils.downloadFile(`${id}-${version}.protocols.json`, JSON.stringify(envelope, null, 2));
+            this.showToast(`Exported ${ids.length} protocol(s).`, "success");
+            this.closeProtocolForm();
         },
 
 
@@ -1516,7 +6653,8 @@
             // Patient Info
             if (p) {
                 if(d.previewPatientName) d.previewPatientName.textContent = p.name;
-                if(d.previewPatientAgeSex) d.previewPatientAgeSex.textContent = `${p.age}/${p.sex}`;
+                const pregnancy = this.formatPregnancyStatus(this.getPregnancyStatus());
+                if(d.previewPatientAgeSex) d.previewPatientAgeSex.textContent = `${p.age}/${p.sex}${pregnancy ? ` · ${pregnancy}` : ''}`;
                 if(d.previewPatientId) d.previewPatientId.textContent = p.id;
             }
 
@@ -1529,6 +6667,7 @@
             if(d.vitalPulse.value) vitalsArray.push(`Pulse: <strong>${d.vitalPulse.value}</strong>`);
             if(d.vitalTemp.value) vitalsArray.push(`Temp: <strong>${d.vitalTemp.value}</strong>`);
             if(d.vitalWeight.value) vitalsArray.push(`Wt: <strong>${d.vitalWeight.value} kg</strong>`);
+            if(d.vitalCreatinine.value) vitalsArray.push(`S.Cr: <strong>${Utils.escapeHtml(this.formatRenalFunction())}</strong>`);
             
             if(d.previewVitals) d.previewVitals.innerHTML = vitalsArray.join(" | ");
             if(d.previewVitalsRow) d.previewVitalsRow.style.display = vitalsArray.length ? 'block' : 'none';
@@ -1545,12 +6684,16 @@
                 d.previewRxTable.innerHTML = "";
                 this.state.rxList.forEach((item, i) => {
                     const row = document.createElement('tr');
+                    const quantity = Utils.escapeHtml(Dosage.formatQuantity(this.rxQuantity(item)));
+                    const schedule = item.steps
+                        ? `<td class="col-dose" colspan="3">${item.steps.map((s, n) => `Step ${n + 1}: ${Utils.escapeHtml([s.dose, s.freq, s.duration].filter(Boolean).join(" · "))}`).join("<br>")}${quantity ? ` <span class="col-qty">(${quantity})</span>` : ''}</td>`
+                        : `<td class="col-dose">${item.dose}</td>
+                        <td class="col-freq">${item.freq}</td>
+                        <td class="col-dur">${item.duration}${quantity ? ` <span class="col-qty">(${quantity})</span>` : ''}</td>`;
                     row.innerHTML = `
                         <td class="col-type">${i+1}</td>
-                        <td class="col-med">${item.drug}</td>
-                        <td class="col-dose">${item.dose}</td>
-                        <td class="col-freq">${item.freq}</td>
-                        <td class="col-dur">${item.duration}</td>
+                        <td class="col-med">${Utils.escapeHtml(this.printedDrugName(item.drug))}</td>
+                        ${schedule}
                         <td class="col-remark">${item.remarks}</td>
                     `;
                     d.previewRxTable.appendChild(row);
@@ -1558,9 +6701,28 @@
             }
         },
 
-        generatePrintDocument() {
-            // Ensure data is saved first
-            this.saveVisit();
+        async generatePrintDocument(force = false) {
+            // Safety review comes first; "Print Anyway" re-enters with force
+            const pregnancyFindings = this.rxPregnancyAlerts().length || (this.state.pregnancyStale && this.getPregnancyStatus().status);
+            if (!force && (pregnancyFindings || this.state.rxInteractions.length || this.state.rxDuplicates.length || this.state.rxOrganAlerts.length)) {
+                this.openRxReview("print");
+                return;
+            }
+
+            // Ensure data is saved first (already reviewed above); nothing is
+            // printed that has no stored visit behind it
+            const visit = await this.saveVisit(true);
+            if (!visit) {
+                this.showToast("Not printed: the visit could not be saved.", "error");
+                return;
+            }
+
+            // Stamp the first print; any later revision marks the document "Amended"
+            if (!visit.firstPrintedAt) {
+                visit.firstPrintedAt = new Date().toISOString();
+                this.persistData({ visits: [visit] });
+            }
+            const amended = this.isAmendedAfterPrint(visit);
 
             // Clone print logic from preview but formatted specifically for A4
             // We use the 'printable-clone' div hidden in CSS but shown in @media print
@@ -1576,15 +6738,23 @@
             const d = this.dom;
             const rxList = this.state.rxList;
             const visitDate = new Date(d.visitDate.value).toLocaleDateString();
+            const pregnancy = this.formatPregnancyStatus(this.getPregnancyStatus());
 
             // Generate HTML for Medicine Rows
             const rxRows = rxList.map((r, i) => `
                 <tr>
                     <td style="padding:5px; border:1px solid #000; width:30px; text-align:center;">${i+1}</td>
-                    <td style="padding:5px; border:1px solid #000; font-weight:bold;">${Utils.escapeHtml(r.drug)}</td>
+                    <td style="padding:5px; border:1px solid #000; font-weight:bold;">${Utils.escapeHtml(this.printedDrugName(r.drug))}</td>
+                    ${r.steps ? `
+                    <td style="padding:5px; border:1px solid #000;" colspan="3">
+                        ${r.steps.map((s, n) => `<div>Step ${n + 1}: ${Utils.escapeHtml(s.dose)} — ${Utils.escapeHtml(s.freq)} — ${Utils.escapeHtml(s.duration)}</div>`).join('')}
+                    </td>
+                    ` : `
                     <td style="padding:5px; border:1px solid #000;">${Utils.escapeHtml(r.dose)}</td>
                     <td style="padding:5px; border:1px solid #000;">${Utils.escapeHtml(r.freq)}</td>
                     <td style="padding:5px; border:1px solid #000;">${Utils.escapeHtml(r.duration)}</td>
+                    `}
+                    <td style="padding:5px; border:1px solid #000; text-align:center;">${Utils.escapeHtml(Dosage.formatQuantity(this.rxQuantity(r))) || '-'}</td>
                     <td style="padding:5px; border:1px solid #000; font-style:italic;">${Utils.escapeHtml(r.remarks)}</td>
                 </tr>
             `).join('');
@@ -1609,19 +6779,26 @@
                         </div>
                     </div>
 
+                    ${amended ? `
+                    <div style="border:2px solid #b91c1c; color:#b91c1c; padding:6px 10px; margin-bottom:15px; font-size:12px; font-weight:bold; text-transform:uppercase; letter-spacing:1px;">
+                        Amended — Revision ${visit.revisionCount} on ${Utils.escapeHtml(Utils.formatDateTime(visit.lastRevisedAt))}. Supersedes the copy printed ${Utils.escapeHtml(Utils.formatDateTime(visit.firstPrintedAt))}.
+                    </div>
+                    ` : ''}
+
                     <div style="display:grid; grid-template-columns: 1fr 1fr 1fr; gap:10px; font-size:13px; margin-bottom:20px; padding:10px; background:#f8fafc; border:1px solid #ddd;">
                         <div><strong>Name:</strong> ${Utils.escapeHtml(p.name)}</div>
                         <div><strong>Age/Sex:</strong> ${Utils.escapeHtml(p.age + ' / ' + p.sex)}</div>
                         <div><strong>Visit ID:</strong> ${Utils.escapeHtml(p.id)}</div>
                         <div><strong>Date:</strong> ${visitDate}</div>
                         <div><strong>Phone:</strong> ${Utils.escapeHtml(p.phone)}</div>
+                        ${pregnancy ? `<div style="color:#b91c1c;"><strong>Status:</strong> ${Utils.escapeHtml(pregnancy)}</div>` : ''}
                     </div>
 
                     <div style="font-size:14px; line-height:1.6;">
                         
                         ${d.vitalBP.value ? `
                         <div style="margin-bottom:15px; font-family:monospace; border:1px solid #000; padding:8px; display:inline-block; width:100%;">
-                            <strong>VITALS:</strong> BP: ${d.vitalBP.value} | Pulse: ${d.vitalPulse.value} | Temp: ${d.vitalTemp.value} | SpO2: ${d.vitalSpO2.value}% | Wt: ${d.vitalWeight.value}
+                            <strong>VITALS:</strong> BP: ${d.vitalBP.value} | Pulse: ${d.vitalPulse.value} | Temp: ${d.vitalTemp.value} | SpO2: ${d.vitalSpO2.value}% | Wt: ${d.vitalWeight.value}${d.vitalCreatinine.value ? ` | S.Cr: ${Utils.escapeHtml(this.formatRenalFunction())}` : ''}
                         </div>
                         ` : ''}
                         
@@ -1643,6 +6820,7 @@
                                     <th style="border:1px solid #000; padding:6px;">Dose</th>
                                     <th style="border:1px solid #000; padding:6px;">Frequency</th>
                                     <th style="border:1px solid #000; padding:6px;">Duration</th>
+                                    <th style="border:1px solid #000; padding:6px;">Qty</th>
                                     <th style="border:1px solid #000; padding:6px;">Instruction</th>
                                 </tr>
                             </thead>
@@ -1686,23 +6864,262 @@
             if(d.settingDoctorName) d.settingDoctorName.value = c.doctor;
             if(d.settingClinicAddress) d.settingClinicAddress.value = c.address;
             if(d.settingFooterNote) d.settingFooterNote.value = c.footerNote;
+            if(d.settingRxNames) d.settingRxNames.value = c.rxNames || "as-written";
+            if(d.settingLockPin) d.settingLockPin.value = "";
+            if(d.settingCurrentPin) d.settingCurrentPin.value = "";
+            if(d.settingIdleMinutes) d.settingIdleMinutes.value = String(this.state.lock ? this.state.lock.idleMinutes : 0);
+            this.renderLockStatus();
+            this.renderEncryptionStatus();
             this.toggleModal('settings', true);
         },
 
+        renderEncryptionStatus() {
+            const d = this.dom;
+            if(d.encryptionStatus) {
+                d.encryptionStatus.textContent = Vault.enabled
+                    ? "🔒 On — patient records are encrypted with your passphrase."
+                    : "🔓 Off — patient records are stored unencrypted in this browser.";
+            }
+            if(d.encryptionBtn) d.encryptionBtn.textContent = Vault.enabled ? "Change Passphrase" : "Enable Encryption";
+        },
+
+        openEncryptionSettings() {
+            const d = this.dom;
+            [d.encCurrentPass, d.encNewPass, d.encConfirmPass].forEach(el => { if(el) el.value = ""; });
+            if(d.encCurrentGroup) d.encCurrentGroup.style.display = Vault.enabled ? "" : "none";
+            if(d.encDisableBtn) d.encDisableBtn.style.display = Vault.enabled ? "" : "none";
+            if(d.encSaveBtn) d.encSaveBtn.textContent = Vault.enabled ? "Change Passphrase" : "Enable Encryption";
+            this.toggleModal('settings', false);
+            this.toggleModal('encryption', true);
+            setTimeout(() => (Vault.enabled ? d.encCurrentPass : d.encNewPass).focus(), 100);
+        },
+
+        /**
+         * Asks for the current passphrase again before any re-encryption,
+         * so an unlocked but unattended session cannot be re-keyed.
+         */
+        async confirmCurrentPassphrase() {
+            if (!Vault.enabled) return true;
+            const d = this.dom;
+            const ok = await Vault.unlock(d.encCurrentPass.value);
+            if (!ok) {
+                this.showToast("Current passphrase is incorrect.", "error");
+                d.encCurrentPass.focus();
+            }
+            return ok;
+        },
+
+        async saveEncryptionSettings() {
+            const d = this.dom;
+            const pass = d.encNewPass.value;
+
+            if (pass.length < CONFIG.SECURITY.MIN_PASSPHRASE_LENGTH) {
+                this.showToast(`Passphrase must be at least ${CONFIG.SECURITY.MIN_PASSPHRASE_LENGTH} characters.`, "warning");
+                return d.encNewPass.focus();
+            }
+            if (pass !== d.encConfirmPass.value) {
+                this.showToast("Passphrases do not match.", "warning");
+                return d.encConfirmPass.focus();
+            }
+            if (!(await this.confirmCurrentPassphrase())) return;
+
+            const wasEnabled = Vault.enabled;
+            try {
+                d.encSaveBtn.disabled = true;
+                await Vault.rekey(pass);
+                this.toggleModal('encryption', false);
+                this.showToast(wasEnabled ? "Passphrase changed. All records re-encrypted." : "Encryption enabled. Do not forget your passphrase: it cannot be recovered.", "success");
+            } catch (e) {
+                Logger.error("Re-encryption Failed", e);
+                this.showToast("Could not re-encrypt records. The previous passphrase is still active.", "error");
+            } finally {
+                d.encSaveBtn.disabled = false;
+            }
+        },
+
+        async disableEncryption() {
+            if (!(await this.confirmCurrentPassphrase())) return;
+            if (!confirm("Turn off encryption? Patient records will be stored unencrypted in this browser.")) return;
+
+            try {
+                await Vault.rekey(null);
+                this.toggleModal('encryption', false);
+                this.showToast("Encryption turned off.", "info");
+            } catch (e) {
+                Logger.error("Decryption Failed", e);
+                this.showToast("Could not decrypt records. Encryption is still on.", "error");
+            }
+        },
+
         saveSettings() {
             const d = this.dom;
             this.state.clinic = {
                 name: d.settingClinicName.value,
                 doctor: d.settingDoctorName.value,
                 address: d.settingClinicAddress.value,
-                footerNote: d.settingFooterNote.value
+                footerNote: d.settingFooterNote.value,
+                rxNames: d.settingRxNames ? d.settingRxNames.value : "as-written"
             };
-            this.persistData();
+            this.persistData({ settings: true });
             this.renderClinicBranding();
             this.toggleModal('settings', false);
             this.showToast("Settings Updated", "success");
         },
 
+        /**
+         * Downloads every object store as one checksummed JSON file, sealed
+         * under the vault key when encryption at rest is on.
+         */
+        async exportBackup() {
+            try {
+                const data = await Store.exportAll();
+                const envelope = await Backup.build(data, Vault.key, Vault.header);
+                const stamp = new Date().toISOString().slice(0, 10);
+                Utils.downloadFile(`solo-clinic-backup-${stamp}.json`, JSON.stringify(envelope, null, 2));
+
+                const patients = (data[CONFIG.DB.STORES.PATIENTS] || []).length;
+                const visits = (data[CONFIG.DB.STORES.VISITS] || []).length;
+                this.showToast(envelope.sealed
+                    ? `Encrypted backup created: ${patients} patients, ${visits} visits. Restoring it needs the current passphrase.`
+                    : `Backup created: ${patients} patients, ${visits} visits.`, "success");
+            } catch (e) {
+                Logger.error("Backup Failed", e);
+                this.showToast("Backup failed. See console for details.", "error");
+            }
+        },
+
+        /**
+         * Reads and validates a backup file, then shows what a restore would change.
+         * Nothing is written until the doctor picks Merge or Replace.
+         */
+        async handleRestoreFile(file) {
+            try {
+                let envelope;
+                try {
+                    envelope = JSON.parse(await file.text());
+                } catch (e) {
+                    throw new Error("File is not valid JSON.");
+                }
+
+                if (envelope && envelope.sealed) {
+                    // Nothing in an encrypted backup is read before its passphrase is given
+                    await Backup.verify(envelope);
+                    this.state.pendingRestore = { data: null, envelope };
+                    this.renderRestorePassphrase();
+                    this.toggleModal('settings', false);
+                    this.toggleModal('restore', true);
+                    return;
+                }
+                await this.reviewRestore(envelope, null);
+            } catch (e) {
+                Logger.error("Restore Validation Failed", e);
+                this.showToast(`Restore rejected: ${Utils.escapeHtml(e.message)}`, "error");
+            }
+        },
+
+        /** Validates (and, if sealed, decrypts) the backup and shows the summary. */
+        async reviewRestore(envelope, passphrase) {
+            const keyPaths = await Store.keyPaths();
+            const { data, ignoredStores } = await Backup.validate(envelope, keyPaths, passphrase);
+            const summary = Backup.summarize(data, await Store.exportAll(), keyPaths);
+
+            this.state.pendingRestore = { data, envelope };
+            this.renderRestoreSummary(envelope, summary, ignoredStores);
+            this.toggleModal('settings', false);
+            this.toggleModal('restore', true);
+        },
+
+        renderRestorePassphrase() {
+            const d = this.dom;
+            const box = d.restoreSummary;
+            if(!box) return;
+            [d.restoreMergeBtn, d.restoreReplaceBtn].forEach(btn => { if(btn) btn.disabled = true; });
+            box.innerHTML = `
+                <div class="restore-note">This backup is encrypted. Enter the passphrase that was in use when it was made.</div>
+                <div class="form-group"><label>Backup Passphrase</label><input id="restorePassInput" type="password" autocomplete="off" /></div>
+                <button class="btn btn-primary" data-action="unlock">Unlock Backup</button>
+            `;
+            const input = box.querySelector('#restorePassInput');
+            const unlock = async () => {
+                try {
+                    await this.reviewRestore(this.state.pendingRestore.envelope, input.value);
+                } catch (e) {
+                    Logger.error("Restore Validation Failed", e);
+                    this.showToast(`Restore rejected: ${Utils.escapeHtml(e.message)}`, "error");
+                    input.value = "";
+                }
+            };
+            box.querySelector('[data-action="unlock"]').onclick = unlock;
+            input.onkeydown = (e) => { if (e.key === "Enter") unlock(); };
+            input.focus();
+        },
+
+        renderRestoreSummary(envelope, summary, ignoredStores) {
+            const d = this.dom;
+            const box = d.restoreSummary;
+            if(!box) return;
+            [d.restoreMergeBtn, d.restoreReplaceBtn].forEach(btn => { if(btn) btn.disabled = false; });
+
+            const rows = Object.entries(summary).map(([storeName, s]) => `
+                <tr>
+                    <td>${Utils.escapeHtml(storeName)}</td>
+                    <td>${s.incoming}</td>
+                    <td class="restore-add">+${s.added}</td>
+                    <td class="restore-upd">${s.updated}</td>
+                    <td>${s.unchanged}</td>
+                    <td class="restore-del">${s.onlyLocal}</td>
+                </tr>
+            `).join('');
+
+            box.innerHTML = `
+                <div class="restore-meta">
+                    <div><strong>Created:</strong> ${Utils.escapeHtml(new Date(envelope.exportedAt).toLocaleString())}</div>
+                    <div><strong>By:</strong> ${Utils.escapeHtml(envelope.app || "--")} (schema v${Utils.escapeHtml(envelope.schemaVersion)})</div>
+                    <div class="restore-ok">✅ Checksum verified${envelope.sealed ? " · 🔒 Decrypted" : ""}</div>
+                </div>
+                <table class="restore-table">
+                    <thead><tr><th>Section</th><th>In file</th><th>New</th><th>Changed</th><th>Same</th><th>Only here</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                ${ignoredStores.length ? `<div class="restore-note">Ignored unknown sections: ${Utils.escapeHtml(ignoredStores.join(', '))}</div>` : ''}
+                <div class="restore-note">
+                    <strong>Merge by ID</strong> adds new records and overwrites changed ones; records that exist only on this computer are kept.<br>
+                    <strong>Replace Everything</strong> deletes the "Only here" records as well.
+                </div>
+            `;
+        },
+
+        async applyRestore(mode) {
+            const pending = this.state.pendingRestore;
+            if(!pending || !pending.data) return;
+
+            if(mode === "replace" && !confirm("Replace ALL data on this computer with the backup? Records not in the file will be permanently deleted.")) {
+                return;
+            }
+
+            try {
+                await Store.importAll(pending.data, mode);
+                this.state.pendingRestore = null;
+                this.toggleModal('restore', false);
+
+                // Re-hydrate in-memory state from the restored database
+                await this.loadData();
+                DrugSearch.setCustom(this.state.customDrugs);
+                DrugSearch.setUsage(this.state.visits);
+                this.renderClinicBranding();
+                this.loadPatientContext(null);
+                this.showToast(`Backup restored (${mode === "replace" ? "replaced" : "merged"}).`, "success");
+            } catch (e) {
+                Logger.error("Restore Failed", e);
+                this.showToast("Restore failed. No changes were saved.", "error");
+            }
+        },
+
+        cancelRestore() {
+            this.state.pendingRestore = null;
+            this.toggleModal('restore', false);
+        },
+
         renderClinicBranding() {
             if(this.dom.clinicNameDisplay) this.dom.clinicNameDisplay.textContent = this.state.clinic.name;
             if(this.dom.doctorNameDisplay) this.dom.doctorNameDisplay.textContent = this.state.clinic.doctor;
@@ -1729,6 +7146,9 @@
         },
 
         showToast(message, type = "info") {
+            // Toasts often name the patient; hold them back while the screen is locked
+            if(this.state.isLocked) return;
+
             const container = document.getElementById('toast-container') || (() => {
                 const div = document.createElement('div');
                 div.id = 'toast-container';
@@ -1780,6 +7200,179 @@
                 toast.style.transform = "translateY(20px)";
                 setTimeout(() => toast.remove(), 300);
             }, CONFIG.UI.TOAST_DURATION);
+        },
+
+
+        /* ==========================================================================
+           14.0 ACCESS CONTROL (LOCK SCREEN & AUTO-LOCK)
+           ==========================================================================
+           Locking never touches the clinical forms or state: it raises an
+           opaque overlay and adds `body.is-locked`, which hides the patient
+           strip, preview sheet, drawer and toasts. Unlocking removes both and
+           returns focus to the field the doctor was typing in.
+           ========================================================================== */
+
+        initLockScreen() {
+            // The locked flag lives in memory only, so a reload starts locked
+            if (this.state.lock) this.lockScreen();
+
+            const touch = () => { this.state.lastActivityAt = Date.now(); };
+            ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'].forEach(evt => {
+                document.addEventListener(evt, touch, { passive: true, capture: true });
+            });
+
+            setInterval(() => {
+                const lock = this.state.lock;
+                if (!lock || !lock.idleMinutes || this.state.isLocked) return;
+                if (Date.now() - this.state.lastActivityAt >= lock.idleMinutes * 60000) {
+                    Logger.info(`Auto-lock after ${lock.idleMinutes} min of inactivity.`);
+                    this.lockScreen();
+                }
+            }, CONFIG.SECURITY.IDLE_CHECK_INTERVAL);
+        },
+
+        hashPin(pin, salt) {
+            return Utils.sha256Hex(`${salt}:${pin}`);
+        },
+
+        lockScreen() {
+            const d = this.dom;
+            if (!this.state.lock) {
+                this.showToast("Set a lock PIN in Settings first.", "warning");
+                return;
+            }
+            if (this.state.isLocked) return;
+
+            this.state.focusBeforeLock = document.activeElement;
+            if (this.state.isRecording && this.state.recognitionObject) this.state.recognitionObject.stop();
+
+            this.state.isLocked = true;
+            document.body.classList.add('is-locked');
+            d.lockOverlay.setAttribute("aria-hidden", "false");
+            d.lockPinInput.value = "";
+            d.lockError.textContent = "";
+            setTimeout(() => d.lockPinInput.focus(), 50);
+        },
+
+        async attemptUnlockScreen() {
+            const d = this.dom;
+            const lock = this.state.lock;
+            if (!this.state.isLocked || d.lockUnlockBtn.disabled) return;
+
+            const ok = (await this.hashPin(d.lockPinInput.value, lock.salt)) === lock.pinHash;
+            d.lockPinInput.value = "";
+
+            if (!ok) {
+                this.state.failedPinAttempts++;
+                if (this.state.failedPinAttempts >= CONFIG.SECURITY.MAX_PIN_ATTEMPTS) {
+                    this.state.failedPinAttempts = 0;
+                    d.lockUnlockBtn.disabled = true;
+                    d.lockPinInput.disabled = true;
+                    d.lockError.textContent = `Too many attempts. Try again in ${CONFIG.SECURITY.PIN_LOCKOUT / 1000} seconds.`;
+                    setTimeout(() => {
+                        d.lockUnlockBtn.disabled = false;
+                        d.lockPinInput.disabled = false;
+                        d.lockError.textContent = "";
+                        d.lockPinInput.focus();
+                    }, CONFIG.SECURITY.PIN_LOCKOUT);
+                } else {
+                    d.lockError.textContent = "Incorrect PIN.";
+                    d.lockPinInput.focus();
+                }
+                return;
+            }
+
+            this.state.failedPinAttempts = 0;
+            this.state.isLocked = false;
+            this.state.lastActivityAt = Date.now();
+            document.body.classList.remove('is-locked');
+            d.lockOverlay.setAttribute("aria-hidden", "true");
+
+            const previous = this.state.focusBeforeLock;
+            this.state.focusBeforeLock = null;
+            if (previous && typeof previous.focus === "function" && document.body.contains(previous)) previous.focus();
+        },
+
+        renderLockStatus() {
+            const d = this.dom;
+            const el = d.lockStatus;
+            if (!el) return;
+            const lock = this.state.lock;
+            if (d.lockCurrentPinGroup) d.lockCurrentPinGroup.classList.toggle('is-hidden', !lock);
+            if (d.removeLockBtn) d.removeLockBtn.classList.toggle('is-hidden', !lock);
+            if (!lock) el.textContent = "No PIN set. The screen cannot be locked.";
+            else el.textContent = lock.idleMinutes
+                ? `PIN set. Auto-locks after ${lock.idleMinutes} min of inactivity (Alt+L to lock now).`
+                : "PIN set. Auto-lock is off (Alt+L to lock now).";
+        },
+
+        /** Checks the Current PIN field; changing or removing a PIN needs it. */
+        async verifyCurrentPin() {
+            const d = this.dom;
+            const lock = this.state.lock;
+            const ok = (await this.hashPin(d.settingCurrentPin.value.trim(), lock.salt)) === lock.pinHash;
+            d.settingCurrentPin.value = "";
+            if (!ok) {
+                this.showToast("Current PIN is incorrect.", "error");
+                d.settingCurrentPin.focus();
+            }
+            return ok;
+        },
+
+        /**
+         * Saves the PIN and idle timeout. An empty PIN field keeps the current
+         * PIN and only updates the timeout.
+         */
+        async saveLockSettings() {
+            const d = this.dom;
+            const pin = d.settingLockPin.value.trim();
+            const idleMinutes = parseInt(d.settingIdleMinutes.value, 10) || 0;
+            const current = this.state.lock;
+
+            if (current && !await this.verifyCurrentPin()) return;
+
+            if (!pin && !current) {
+                this.showToast("Enter a PIN of 4-8 digits.", "warning");
+                return d.settingLockPin.focus();
+            }
+            if (pin && !CONFIG.SECURITY.PIN_PATTERN.test(pin)) {
+                this.showToast("PIN must be 4-8 digits.", "warning");
+                return d.settingLockPin.focus();
+            }
+
+            const lock = { ...current, idleMinutes: idleMinutes };
+            if (pin) {
+                lock.salt = Utils.generateId("S");
+                lock.pinHash = await this.hashPin(pin, lock.salt);
+            }
+
+            try {
+                await Store.putSetting(CONFIG.DB.SETTING_KEYS.LOCK, lock);
+                this.state.lock = lock;
+                this.state.lastActivityAt = Date.now();
+                d.settingLockPin.value = "";
+                this.renderLockStatus();
+                this.showToast("Lock settings saved.", "success");
+            } catch (e) {
+                Logger.error("Lock Settings Save Failed", e);
+                this.showToast("Could not save lock settings.", "error");
+            }
+        },
+
+        async removeLockSettings() {
+            if (!this.state.lock || !await this.verifyCurrentPin()) return;
+            if (!confirm("Remove the lock PIN? The screen will no longer lock.")) return;
+            try {
+                await Store.putSetting(CONFIG.DB.SETTING_KEYS.LOCK, null);
+                this.state.lock = null;
+                this.dom.settingLockPin.value = "";
+                this.dom.settingIdleMinutes.value = "0";
+                this.renderLockStatus();
+                this.showToast("Lock PIN removed.", "info");
+            } catch (e) {
+                Logger.error("Lock Settings Save Failed", e);
+                this.showToast("Could not save lock settings.", "error");
+            }
         }
     };
 